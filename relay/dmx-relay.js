@@ -0,0 +1,147 @@
+/**
+ * dmx-relay.js - Local WebSocket <-> UDP relay for Art-Net / sACN
+ *
+ * Browsers cannot send UDP, so the app streams complete Art-Net or sACN
+ * packets over a WebSocket and this relay forwards each one as a datagram.
+ * With --listen it also receives Art-Net from a lighting desk and forwards
+ * each ArtDmx packet to every connected client (DMX input mode).
+ *
+ * Usage: npm run relay -- [--port 6455] [--artnet-host 255.255.255.255] [--sacn-host <unicast>]
+ *                         [--listen] [--listen-host 0.0.0.0] [--listen-port 6454]
+ *
+ * With the defaults on both sides, relay/fake-receiver.js on the same machine
+ * receives the output (it binds 0.0.0.0 and joins the sACN multicast groups).
+ */
+
+import dgram from 'node:dgram';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+import {
+  ARTNET_PORT,
+  SACN_PORT,
+  isArtNet,
+  isSacn,
+  decodeArtDmx,
+  sacnMulticastAddress,
+} from '../src/DMXProtocol.js';
+
+/**
+ * Start a relay
+ * @param {Object} [options]
+ * @param {number} [options.port] - WebSocket port the app connects to
+ * @param {string} [options.artnetHost] - Art-Net destination (broadcast or node IP)
+ * @param {number} [options.artnetPort]
+ * @param {string} [options.sacnHost] - sACN unicast destination (default: per-universe multicast)
+ * @param {number} [options.sacnPort]
+ * @param {boolean} [options.listen] - Receive Art-Net and forward it to clients
+ * @param {string} [options.listenHost]
+ * @param {number} [options.listenPort]
+ * @returns {Promise<{port: number, close: Function}>}
+ */
+export async function createRelay(options = {}) {
+  const {
+    port = 6455,
+    artnetHost = '255.255.255.255',
+    artnetPort = ARTNET_PORT,
+    sacnHost = null,
+    sacnPort = SACN_PORT,
+    listen = false,
+    listenHost = '0.0.0.0',
+    listenPort = ARTNET_PORT,
+  } = options;
+
+  const udp = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+  await new Promise((resolve) => udp.bind(0, resolve));
+  udp.setBroadcast(true);
+
+  const server = new WebSocketServer({ port });
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  server.on('connection', (socket, request) => {
+    console.log('[relay] Client connected:', request.socket.remoteAddress);
+
+    socket.on('message', (message, isBinary) => {
+      if (!isBinary) return;
+
+      const packet = new Uint8Array(message.buffer, message.byteOffset, message.byteLength);
+
+      if (isArtNet(packet)) {
+        udp.send(packet, artnetPort, artnetHost);
+      } else if (isSacn(packet)) {
+        const universe = (packet[113] << 8) | packet[114];
+        udp.send(packet, sacnPort, sacnHost || sacnMulticastAddress(universe));
+      } else {
+        console.warn('[relay] Dropping unknown packet of', packet.length, 'bytes');
+      }
+    });
+
+    socket.on('close', () => console.log('[relay] Client disconnected'));
+  });
+
+  let input = null;
+
+  if (listen) {
+    input = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    const outputPort = udp.address().port;
+
+    input.on('message', (message, remote) => {
+      // Ignore our own broadcast output looping back
+      if (remote.port === outputPort) return;
+      if (!decodeArtDmx(new Uint8Array(message))) return;
+
+      for (const client of server.clients) {
+        if (client.readyState === client.OPEN) {
+          client.send(message, { binary: true });
+        }
+      }
+    });
+
+    await new Promise((resolve) => input.bind(listenPort, listenHost, resolve));
+    console.log(`[relay] Listening for Art-Net on ${listenHost}:${listenPort}`);
+  }
+
+  console.log(`[relay] WebSocket on ws://localhost:${server.address().port}`);
+  console.log(`[relay] Art-Net -> ${artnetHost}:${artnetPort}`);
+  console.log(`[relay] sACN -> ${sacnHost || 'multicast 239.255.x.x'}:${sacnPort}`);
+
+  return {
+    port: server.address().port,
+    close: () =>
+      new Promise((resolve) => {
+        for (const client of server.clients) {
+          client.terminate();
+        }
+        server.close(() => {
+          if (input) input.close();
+          udp.close(resolve);
+        });
+      }),
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '6455' },
+      'artnet-host': { type: 'string', default: '255.255.255.255' },
+      'artnet-port': { type: 'string', default: String(ARTNET_PORT) },
+      'sacn-host': { type: 'string' },
+      'sacn-port': { type: 'string', default: String(SACN_PORT) },
+      listen: { type: 'boolean', default: false },
+      'listen-host': { type: 'string', default: '0.0.0.0' },
+      'listen-port': { type: 'string', default: String(ARTNET_PORT) },
+    },
+  });
+
+  createRelay({
+    port: Number(values.port),
+    artnetHost: values['artnet-host'],
+    artnetPort: Number(values['artnet-port']),
+    sacnHost: values['sacn-host'] || null,
+    sacnPort: Number(values['sacn-port']),
+    listen: values.listen,
+    listenHost: values['listen-host'],
+    listenPort: Number(values['listen-port']),
+  });
+}
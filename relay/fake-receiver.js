@@ -0,0 +1,113 @@
+/**
+ * fake-receiver.js - Records Art-Net / sACN packets for testing the DMX output
+ *
+ * Stands in for a real node: binds the Art-Net and sACN ports, decodes every
+ * packet and keeps it in memory (and optionally appends it to a JSONL file).
+ * It binds all interfaces and joins the sACN multicast groups of its universes,
+ * so the relay's defaults (Art-Net broadcast, sACN multicast) reach it.
+ *
+ * Usage: npm run relay:fake-receiver -- [--host 0.0.0.0] [--universes 1,2] [--out packets.jsonl]
+ */
+
+import dgram from 'node:dgram';
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import {
+  ARTNET_PORT,
+  SACN_PORT,
+  decodeDmxPacket,
+  sacnMulticastAddress,
+} from '../src/DMXProtocol.js';
+
+/**
+ * Start a fake receiver
+ * @param {Object} [options]
+ * @param {string} [options.host] - Interface to bind (all by default, which broadcasts need)
+ * @param {number} [options.artnetPort]
+ * @param {number} [options.sacnPort]
+ * @param {Array<number>} [options.sacnUniverses] - sACN universes whose multicast groups to join
+ * @param {string} [options.out] - Optional JSONL file to append packets to
+ * @param {Function} [options.onPacket] - Called with each decoded packet
+ * @returns {Promise<{packets: Array, close: Function}>}
+ */
+export async function createFakeReceiver(options = {}) {
+  const {
+    host = '0.0.0.0',
+    artnetPort = ARTNET_PORT,
+    sacnPort = SACN_PORT,
+    sacnUniverses = [1],
+    out = null,
+    onPacket = () => {},
+  } = options;
+
+  const packets = [];
+  const sockets = [];
+
+  for (const port of [artnetPort, sacnPort]) {
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    socket.on('message', (message, remote) => {
+      const decoded = decodeDmxPacket(new Uint8Array(message));
+      if (!decoded) return;
+
+      const packet = {
+        ...decoded,
+        data: Array.from(decoded.data),
+        from: `${remote.address}:${remote.port}`,
+        receivedAt: Date.now(),
+      };
+
+      packets.push(packet);
+      onPacket(packet);
+
+      if (out) {
+        fs.appendFileSync(out, JSON.stringify(packet) + '\n');
+      }
+    });
+
+    await new Promise((resolve) => socket.bind(port, host, resolve));
+    sockets.push(socket);
+
+    if (port === sacnPort) {
+      for (const universe of sacnUniverses) {
+        try {
+          socket.addMembership(sacnMulticastAddress(universe));
+        } catch (error) {
+          console.warn(`[fake-receiver] Cannot join sACN universe ${universe}:`, error.message);
+        }
+      }
+    }
+  }
+
+  console.log(`[fake-receiver] Listening on ${host} (Art-Net ${artnetPort}, sACN ${sacnPort})`);
+
+  return {
+    packets,
+    close: () =>
+      Promise.all(sockets.map((socket) => new Promise((resolve) => socket.close(resolve)))),
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      host: { type: 'string', default: '0.0.0.0' },
+      universes: { type: 'string', default: '1' },
+      out: { type: 'string' },
+    },
+  });
+
+  createFakeReceiver({
+    host: values.host,
+    sacnUniverses: values.universes.split(',').map(Number),
+    out: values.out || null,
+    onPacket: (packet) => {
+      const active = packet.data.filter((value) => value > 0).length;
+      console.log(
+        `[fake-receiver] ${packet.protocol} universe ${packet.universe} seq ${packet.sequence}: ` +
+          `${packet.data.length} channels, ${active} non-zero`
+      );
+    },
+  });
+}
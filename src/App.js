@@ -8,6 +8,12 @@ import { loadEnvironment, applyEnvironmentScale, createPlaceholderEnvironment }
 import { Controls } from './Controls.js';
 import { LightManager } from './Lights.js';
 import { UIManager } from './UI.js';
+import { AudioEngine } from './Audio.js';
+import { MidiController, describeMapping } from './Midi.js';
+import { LightplanEditor } from './Editor.js';
+import { FileWatcher } from './DevWatcher.js';
+import { importMVR, importGDTF } from './ShowImport.js';
+import { saveSnapshot, getSnapshot, getAllSnapshots } from './Cache.js';
 
 export class App {
   constructor() {
@@ -16,8 +22,16 @@ export class App {
     this.renderer = null;
     this.controls = null;
     this.lightManager = null;
+    this.audio = null;
+    this.midi = null;
+    this.editor = null;
+    this.watcher = null;
     this.ui = null;
     
+    // assets.json as last loaded (kept for the dev watcher)
+    this.assetsUrl = null;
+    this.assetsConfig = null;
+    
     this.environment = null;
     this.clock = new THREE.Clock();
     
@@ -155,6 +169,26 @@ export class App {
     
     // Create light manager
     this.lightManager = new LightManager(this.scene);
+    this.lightManager.setViewer(this.camera);
+    
+    // Photosensitivity setting, stored on this device
+    this.ui.setReducedFlashing(this.lightManager.flashLimiter.reduced);
+    window.addEventListener('reduced-flashing-toggle', () => {
+      const reduced = !this.lightManager.flashLimiter.reduced;
+      this.lightManager.setReducedFlashing(reduced);
+      this.ui.setReducedFlashing(reduced);
+    });
+    
+    // Music analysis drives strobes and moving heads while a track plays
+    this.audio = new AudioEngine();
+    this.lightManager.setAudio(this.audio);
+    
+    // MIDI controller mapped to master, group faders, cues, tap tempo, strobe flash and effect speed
+    this.midi = new MidiController(this.lightManager);
+    this.midi.on('learn', (mapping) => {
+      this.ui.setMidiLearning(false);
+      this.ui.setMidiStatus(`Learned ${describeMapping(mapping)}`);
+    });
     
     // Add some immediate visible content
     this.addImmediateContent();
@@ -162,6 +196,79 @@ export class App {
     // Handle window resize
     window.addEventListener('resize', () => this.onResize());
     
+    // Handle music playback
+    window.addEventListener('audio-toggle', () => this.toggleAudio());
+    window.addEventListener('audio-file', (event) => {
+      this.setAudioSource(event.detail.file);
+      this.toggleAudio();
+    });
+    
+    // In-world lightplan editor
+    this.editor = new LightplanEditor({
+      scene: this.scene,
+      camera: this.camera,
+      renderer: this.renderer,
+      lightManager: this.lightManager,
+      controls: this.controls,
+    });
+    this.editor.on('select', (selection) => {
+      this.ui.showEditorSelection(this.editor.plan.fixtures, selection);
+    });
+    this.editor.on('change', (validation) => {
+      this.ui.showLightplanIssues(validation, { fallback: 'edits not applied yet' });
+    });
+    
+    window.addEventListener('editor-toggle', () => this.toggleEditor());
+    window.addEventListener('editor-select', (event) => this.editor.select(event.detail.index));
+    window.addEventListener('editor-add', (event) => this.editor.addFixture(event.detail.type));
+    window.addEventListener('editor-duplicate', () => this.editor.duplicateSelected());
+    window.addEventListener('editor-remove', () => this.editor.removeSelected());
+    window.addEventListener('editor-property', (event) => {
+      this.editor.setProperty(event.detail.key, event.detail.value);
+    });
+    window.addEventListener('editor-export', () => this.exportLightplan());
+    window.addEventListener('lightplan-import', (event) => this.importShowFile(event.detail.file));
+    
+    // Handle show transport
+    window.addEventListener('show-toggle', () => this.lightManager.toggleShow());
+    window.addEventListener('show-seek', (event) => this.seekShow(event.detail.time));
+    window.addEventListener('show-rate', (event) => this.lightManager.setShowRate(event.detail.rate));
+    window.addEventListener('show-loop', (event) => this.setShowLoop(event.detail.from, event.detail.to));
+    
+    // Handle MIDI controller
+    window.addEventListener('midi-connect', () => this.connectMidi());
+    window.addEventListener('midi-learn', (event) => this.startMidiLearn(event.detail.target));
+    window.addEventListener('midi-learn-cancel', () => {
+      this.midi.cancelLearn();
+      this.ui.setMidiLearning(false);
+      this.ui.setMidiStatus(this.midi.input ? this.midi.input.name : 'Not connected');
+    });
+    window.addEventListener('midi-export', () => this.exportMidiMapping());
+    
+    // Handle lighting snapshots
+    window.addEventListener('snapshot-store', (event) => this.storeSnapshot(event.detail.number));
+    window.addEventListener('snapshot-recall', (event) => {
+      this.recallSnapshot(event.detail.number, event.detail.fade);
+    });
+    this.refreshSnapshots();
+    
+    // Handle tempo: keyboard shortcuts on desktop, controller buttons in VR
+    window.addEventListener('keydown', (event) => this.onTempoKey(event));
+    window.addEventListener('tempo-tap', () => {
+      const bpm = this.lightManager.tapTempo();
+      if (this.isVR) {
+        this.controls.showVRNotification(`${bpm.toFixed(1)} BPM`);
+      }
+    });
+    window.addEventListener('tempo-resync', () => {
+      this.lightManager.resyncDownbeat();
+      if (this.isVR) {
+        this.controls.showVRNotification('Downbeat');
+      }
+    });
+    this.lightManager.on('beat', (position) => this.ui.setTempo(this.lightManager.bpm, position));
+    this.lightManager.on('tempo', ({ bpm }) => this.ui.setTempo(bpm));
+    
     // Handle quality changes
     window.addEventListener('quality-change', (event) => {
       this.onQualityChange(event.detail.quality);
@@ -210,15 +317,385 @@ export class App {
     
     try {
       console.log('Calling lightManager.loadLightplan...');
-      await this.lightManager.loadLightplan(url);
+      const validation = await this.lightManager.loadLightplan(url);
       console.log('Lightplan loading completed');
-      this.ui.updateSplashProgress(0.8, 'Lights loaded');
+      
+      if (validation.valid) {
+        this.ui.updateSplashProgress(0.8, 'Lights loaded');
+      } else {
+        this.ui.updateSplashProgress(
+          0.8,
+          `Lightplan invalid (${validation.errors.length} error(s)) - using default lighting`
+        );
+      }
+      
+      this.showLightplanState(validation);
     } catch (error) {
       console.error('Failed to load lightplan:', error);
       this.ui.updateSplashProgress(0.8, 'Light loading failed');
     }
   }
   
+  /**
+   * Apply an edited lightplan without interrupting the show
+   * @param {string} url
+   * @param {string} [text] - Contents already fetched from the URL
+   */
+  async reloadLightplan(url, text) {
+    if (this.editor.enabled) {
+      console.warn('Lightplan changed on disk; close the editor and save it again to reload');
+      return;
+    }
+    
+    try {
+      const validation = await this.lightManager.reloadLightplan(url, text);
+      this.showLightplanState(validation, { fallback: 'keeping the current plan' });
+    } catch (error) {
+      console.error('Failed to reload lightplan:', error);
+    }
+  }
+  
+  /**
+   * Show lightplan issues and the groups and cues available to MIDI learn
+   * @param {{errors: Array, warnings: Array}} issues
+   * @param {Object} [options] - Heading options for UIManager.showLightplanIssues
+   */
+  showLightplanState(issues, options) {
+    this.ui.showLightplanIssues(issues, options);
+    this.ui.setMidiTargets({
+      groups: [...this.lightManager.groups.keys()],
+      cues: this.lightManager.cueEngine.cues.map((cue) => cue.name),
+    });
+  }
+  
+  /**
+   * Jump the show to a time typed in the HUD
+   * @param {number|string} time - Seconds or "hh:mm:ss:ff"
+   */
+  seekShow(time) {
+    try {
+      this.lightManager.seekShow(time);
+    } catch (error) {
+      console.warn('Cannot seek the show:', error);
+      alert(error.message);
+    }
+  }
+  
+  /**
+   * Loop a region of the show typed in the HUD, or clear the loop without one
+   */
+  setShowLoop(from, to) {
+    try {
+      this.lightManager.setShowLoop(from, to);
+    } catch (error) {
+      console.warn('Cannot loop the show:', error);
+      alert(error.message);
+    }
+  }
+  
+  /**
+   * Replace the lightplan with one converted from an MVR scene or a GDTF fixture type; what did
+   * not convert is listed with the lightplan issues
+   * @param {File} file - .mvr or .gdtf
+   */
+  async importShowFile(file) {
+    if (this.editor.enabled) {
+      this.toggleEditor();
+    }
+    
+    try {
+      const buffer = await file.arrayBuffer();
+      const result = /\.gdtf$/i.test(file.name)
+        ? await importGDTF(buffer)
+        : await importMVR(buffer, { name: file.name.replace(/\.mvr$/i, '') });
+      
+      const { validation } = result;
+      if (validation.valid) {
+        this.lightManager.validation = validation;
+        this.lightManager.applyLightplan(result.lightplan);
+      }
+      
+      this.showLightplanState(
+        { errors: validation.errors, warnings: [...result.warnings, ...validation.warnings] },
+        { title: `Import ${file.name}`, fallback: 'not loaded' }
+      );
+      console.log(`Imported ${result.lightplan.fixtures.length} fixtures from ${file.name}`);
+    } catch (error) {
+      console.error('Failed to import:', error);
+      alert(`Import failed: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Development: watch assets.json and the lightplan and MIDI mapping it points to, and apply
+   * changes without reloading the page
+   * @param {string} assetsUrl
+   * @param {Object} assetsConfig - assets.json as loaded at boot
+   */
+  async startDevWatcher(assetsUrl, assetsConfig) {
+    this.assetsUrl = assetsUrl;
+    this.assetsConfig = assetsConfig;
+    
+    this.watcher = new FileWatcher();
+    this.watcher.on('change', ({ url, text }) => this.onWatchedFileChange(url, text));
+    
+    for (const url of [assetsUrl, assetsConfig.lightplanUrl, assetsConfig.midiMappingUrl]) {
+      if (url) {
+        await this.watcher.watch(url);
+      }
+    }
+    this.watcher.start();
+  }
+  
+  onWatchedFileChange(url, text) {
+    console.log('Changed:', url);
+    
+    if (url === this.assetsUrl) {
+      try {
+        this.applyAssetsConfig(JSON.parse(text));
+      } catch (error) {
+        console.error('Ignoring assets.json change:', error);
+      }
+    } else if (url === this.assetsConfig.lightplanUrl) {
+      this.reloadLightplan(url, text);
+    } else if (url === this.assetsConfig.midiMappingUrl) {
+      this.loadMidiMapping(url);
+    }
+  }
+  
+  /**
+   * Follow the URLs in a changed assets.json
+   */
+  applyAssetsConfig(config) {
+    const previous = this.assetsConfig;
+    this.assetsConfig = config;
+    
+    const rewatch = (key) => {
+      if (previous[key]) this.watcher.unwatch(previous[key]);
+      if (config[key]) this.watcher.watch(config[key]);
+    };
+    
+    if (config.lightplanUrl !== previous.lightplanUrl) {
+      rewatch('lightplanUrl');
+      if (config.lightplanUrl) {
+        this.reloadLightplan(config.lightplanUrl);
+      }
+    }
+    
+    if (config.midiMappingUrl !== previous.midiMappingUrl) {
+      rewatch('midiMappingUrl');
+      if (config.midiMappingUrl) {
+        this.loadMidiMapping(config.midiMappingUrl);
+      }
+    }
+    
+    if (config.audioUrl && config.audioUrl !== previous.audioUrl) {
+      this.setAudioSource(config.audioUrl);
+    }
+    
+    if (config.environmentUrl !== previous.environmentUrl) {
+      console.warn('environmentUrl changed; reload the page to load the new environment');
+    }
+  }
+  
+  /**
+   * Enter or leave the lightplan editor
+   */
+  toggleEditor() {
+    if (this.editor.enabled) {
+      this.editor.disable();
+      this.ui.showLightplanIssues(this.lightManager.validation);
+    } else {
+      this.editor.enable();
+    }
+    this.ui.showEditor(this.editor.enabled);
+  }
+  
+  /**
+   * Download the edited lightplan (only when it validates)
+   */
+  exportLightplan() {
+    const { json, validation } = this.editor.exportPlan();
+    this.ui.showLightplanIssues(validation);
+    
+    if (!validation.valid) {
+      alert(`Lightplan has ${validation.errors.length} error(s); fix them before exporting`);
+      return;
+    }
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = 'lightplan.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+  
+  /**
+   * Tempo shortcuts: T tap, R resync downbeat, [ / ] nudge 10 ms, - / = BPM down/up
+   */
+  onTempoKey(event) {
+    if (event.target.closest && event.target.closest('input, select, textarea')) return;
+    
+    switch (event.code) {
+      case 'KeyT':
+        if (!event.repeat) {
+          window.dispatchEvent(new CustomEvent('tempo-tap'));
+        }
+        break;
+      case 'KeyR':
+        if (!event.repeat) {
+          window.dispatchEvent(new CustomEvent('tempo-resync'));
+        }
+        break;
+      case 'BracketLeft':
+        this.lightManager.nudge(-10);
+        break;
+      case 'BracketRight':
+        this.lightManager.nudge(10);
+        break;
+      case 'Minus':
+        this.lightManager.setBpm(this.lightManager.bpm - 1);
+        break;
+      case 'Equal':
+        this.lightManager.setBpm(this.lightManager.bpm + 1);
+        break;
+    }
+  }
+  
+  /**
+   * Load the MIDI mapping file (assets.json midiMappingUrl). Connecting asks for MIDI access, so it
+   * waits for Connect Controller or Learn; a controller already connected is reconnected in case
+   * the mapping names another input.
+   */
+  async loadMidiMapping(url) {
+    try {
+      await this.midi.loadMapping(url);
+    } catch (error) {
+      console.error('Failed to load MIDI mapping:', error);
+      this.ui.setMidiStatus('Mapping failed to load');
+      return;
+    }
+    
+    if (this.midi.input) {
+      await this.connectMidi();
+    } else {
+      this.ui.setMidiStatus('Mapping loaded, not connected');
+    }
+  }
+  
+  /**
+   * Connect the MIDI controller
+   */
+  async connectMidi() {
+    try {
+      const name = await this.midi.connect();
+      this.ui.setMidiStatus(name);
+    } catch (error) {
+      console.warn('MIDI controller unavailable:', error);
+      this.ui.setMidiStatus(error.message);
+    }
+  }
+  
+  /**
+   * Map the next control moved on the MIDI controller to an action
+   * @param {Object} target - { action, group?, cue? }
+   */
+  async startMidiLearn(target) {
+    if (!this.midi.input) {
+      await this.connectMidi();
+      if (!this.midi.input) return;
+    }
+    
+    this.midi.startLearn(target);
+    this.ui.setMidiLearning(true);
+    this.ui.setMidiStatus('Move a control...');
+  }
+  
+  /**
+   * Download the current MIDI mappings (file plus learned) as a mapping file
+   */
+  exportMidiMapping() {
+    const json = JSON.stringify(this.midi.exportMapping(), null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = 'midi-mapping.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+  
+  /**
+   * Store the look on stage as a numbered snapshot
+   * @param {number} number
+   */
+  async storeSnapshot(number) {
+    const state = this.lightManager.getState();
+    
+    try {
+      await saveSnapshot(number, state, { cue: state.clock.cue });
+      await this.refreshSnapshots(number);
+      this.ui.setSnapshotStatus(`Stored ${number}`);
+    } catch (error) {
+      console.error('Failed to store snapshot:', error);
+      this.ui.setSnapshotStatus('Store failed');
+    }
+  }
+  
+  /**
+   * Crossfade to a stored snapshot
+   * @param {number} number
+   * @param {number} fade - Seconds
+   */
+  async recallSnapshot(number, fade) {
+    try {
+      const snapshot = await getSnapshot(number);
+      if (!snapshot) {
+        this.ui.setSnapshotStatus(`${number} is empty`);
+        return;
+      }
+      
+      this.lightManager.setState(snapshot.state, { fade });
+      this.ui.setSnapshotStatus(`Recalled ${number}`);
+    } catch (error) {
+      console.error('Failed to recall snapshot:', error);
+      this.ui.setSnapshotStatus('Recall failed');
+    }
+  }
+  
+  /**
+   * List the stored snapshots in the HUD
+   * @param {number} [selected] - Snapshot to select
+   */
+  async refreshSnapshots(selected) {
+    try {
+      const snapshots = await getAllSnapshots();
+      this.ui.setSnapshots(snapshots, selected);
+    } catch (error) {
+      console.warn('Snapshots unavailable:', error);
+      this.ui.setSnapshotStatus('Unavailable');
+    }
+  }
+  
+  /**
+   * Set the music track (assets.json audioUrl or a local file)
+   */
+  setAudioSource(source) {
+    this.audio.load(source);
+    this.ui.setAudioState(false, true);
+  }
+  
+  /**
+   * Play/pause the music track
+   */
+  async toggleAudio() {
+    try {
+      const playing = await this.audio.toggle();
+      this.ui.setAudioState(playing, true);
+    } catch (error) {
+      console.error('Failed to play audio:', error);
+      this.ui.setAudioState(false, this.audio.hasTrack());
+    }
+  }
+  
   /**
    * Start the application
    */
@@ -253,9 +730,25 @@ export class App {
       this.controls.update(delta);
     }
     
+    // Analyse music
+    if (this.audio) {
+      this.audio.update();
+    }
+    
+    // Apply lightplan edits
+    if (this.editor) {
+      this.editor.update();
+    }
+    
     // Update lights
     if (this.lightManager) {
       this.lightManager.update(delta);
+      const { showClock } = this.lightManager;
+      this.ui.setShowState(
+        this.lightManager.getShowTimecode(),
+        this.lightManager.isShowPlaying(),
+        showClock ? showClock.rate : 1
+      );
     }
     
     // Render scene
@@ -277,6 +770,11 @@ export class App {
   onQualityChange(quality) {
     console.log('Changing quality to:', quality);
     
+    // Beam detail follows quality
+    if (this.lightManager) {
+      this.lightManager.setQuality(quality);
+    }
+    
     switch (quality) {
       case 'high':
         this.renderer.setPixelRatio(window.devicePixelRatio);
@@ -350,6 +848,26 @@ export class App {
       this.lightManager.dispose();
     }
     
+    // Stop watching files
+    if (this.watcher) {
+      this.watcher.dispose();
+    }
+    
+    // Dispose editor
+    if (this.editor) {
+      this.editor.dispose();
+    }
+    
+    // Dispose MIDI
+    if (this.midi) {
+      this.midi.dispose();
+    }
+    
+    // Dispose audio
+    if (this.audio) {
+      this.audio.dispose();
+    }
+    
     // Dispose scene
     this.scene.traverse((object) => {
       if (object.geometry) {
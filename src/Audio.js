@@ -0,0 +1,358 @@
+/**
+ * Audio.js - Music playback with beat, tempo and band analysis for audio-reactive lighting
+ */
+
+// Frequency bands (Hz)
+const BANDS = {
+  low: [20, 150],
+  mid: [150, 2000],
+  high: [2000, 12000],
+};
+
+// Kick detection
+const FLUX_WINDOW = 1.0; // Seconds of flux history for the adaptive threshold
+const FLUX_SENSITIVITY = 1.5; // Standard deviations above the mean
+const MIN_KICK_LEVEL = 0.3; // Normalised bass level required for a kick
+const MIN_KICK_INTERVAL = 0.28; // Seconds (caps detection at ~214 BPM)
+
+// Tempo estimation
+const TEMPO_WINDOW = 10; // Seconds of onsets considered
+const MIN_BPM = 80;
+const MAX_BPM = 180;
+const MIN_CONFIDENCE = 0.15;
+
+/**
+ * Plays a track through an AnalyserNode and tracks band energies, kicks, tempo and beat phase
+ */
+export class AudioEngine {
+  constructor() {
+    this.context = null;
+    this.element = null;
+    this.source = null;
+    this.analyser = null;
+    this.frequencyData = null;
+    this.objectUrl = null;
+
+    this.playing = false;
+
+    // Normalised band energies (0-1) and their running peaks for auto-gain
+    this.bands = { low: 0, mid: 0, high: 0 };
+    this.peaks = { low: 0.05, mid: 0.05, high: 0.05 };
+
+    // Onset detection
+    this.previousLow = 0;
+    this.fluxHistory = [];
+    this.lastKickTime = -Infinity;
+    this.onsets = [];
+
+    // Tempo and phase
+    this.bpm = 0;
+    this.confidence = 0;
+    this.beatAnchor = 0;
+    this.phaseMisses = 0;
+    this.lastBeatIndex = -1;
+
+    this.listeners = new Map();
+  }
+
+  /**
+   * Set the track to play
+   * @param {string|Blob} source - Stream/file URL (e.g. assets.json audioUrl) or a local File
+   */
+  load(source) {
+    this.pause();
+
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+
+    if (!this.element) {
+      this.element = new Audio();
+      this.element.crossOrigin = 'anonymous';
+      this.element.loop = true;
+    }
+
+    if (source instanceof Blob) {
+      this.objectUrl = URL.createObjectURL(source);
+      this.element.src = this.objectUrl;
+    } else {
+      this.element.src = source;
+    }
+
+    this.resetAnalysis();
+    console.log('Audio track loaded:', source instanceof Blob ? source.name : source);
+  }
+
+  /**
+   * Whether a track has been loaded
+   */
+  hasTrack() {
+    return Boolean(this.element && this.element.src);
+  }
+
+  /**
+   * Start playback (must be called from a user gesture the first time)
+   */
+  async play() {
+    if (!this.hasTrack()) {
+      throw new Error('No audio track loaded');
+    }
+
+    if (!this.context) {
+      this.context = new AudioContext();
+      this.source = this.context.createMediaElementSource(this.element);
+      this.analyser = this.context.createAnalyser();
+      this.analyser.fftSize = 2048;
+      this.analyser.smoothingTimeConstant = 0.3;
+      this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+
+      this.source.connect(this.analyser);
+      this.analyser.connect(this.context.destination);
+    }
+
+    await this.context.resume();
+    await this.element.play();
+    this.playing = true;
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    if (this.element) {
+      this.element.pause();
+    }
+    this.playing = false;
+  }
+
+  /**
+   * Toggle playback
+   */
+  async toggle() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      await this.play();
+    }
+    return this.playing;
+  }
+
+  /**
+   * Subscribe to 'kick' (detected onset) or 'beat' (tracked beat grid) events
+   * @returns {Function} Unsubscribe
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+    return () => this.listeners.get(event).delete(callback);
+  }
+
+  emit(event, data) {
+    const callbacks = this.listeners.get(event);
+    if (callbacks) {
+      for (const callback of callbacks) {
+        callback(data);
+      }
+    }
+  }
+
+  /**
+   * Whether tempo and phase are reliable enough to drive the lights
+   */
+  isLocked() {
+    return this.playing && this.bpm > 0 && this.confidence >= MIN_CONFIDENCE;
+  }
+
+  /**
+   * Position within the current beat (0-1)
+   */
+  getBeatPhase() {
+    if (!this.bpm) return 0;
+    const period = 60 / this.bpm;
+    const phase = ((this.context.currentTime - this.beatAnchor) / period) % 1;
+    return phase < 0 ? phase + 1 : phase;
+  }
+
+  /**
+   * Analyse the current frame (call once per frame)
+   */
+  update() {
+    if (!this.playing || !this.analyser) return;
+
+    const now = this.context.currentTime;
+    this.analyser.getByteFrequencyData(this.frequencyData);
+
+    this.updateBands();
+    this.detectKick(now);
+    this.updateBeat(now);
+  }
+
+  /**
+   * Average each band and normalise against its decaying peak
+   */
+  updateBands() {
+    const binWidth = this.context.sampleRate / this.analyser.fftSize;
+
+    for (const [band, [low, high]] of Object.entries(BANDS)) {
+      const start = Math.max(1, Math.floor(low / binWidth));
+      const end = Math.min(this.frequencyData.length - 1, Math.ceil(high / binWidth));
+
+      let sum = 0;
+      for (let i = start; i <= end; i++) {
+        sum += this.frequencyData[i];
+      }
+      const energy = sum / ((end - start + 1) * 255);
+
+      this.peaks[band] = Math.max(energy, this.peaks[band] * 0.995, 0.05);
+      this.bands[band] = Math.min(1, energy / this.peaks[band]);
+    }
+  }
+
+  /**
+   * Spectral flux onset detection on the bass band with an adaptive threshold
+   */
+  detectKick(now) {
+    const flux = Math.max(0, this.bands.low - this.previousLow);
+    this.previousLow = this.bands.low;
+
+    this.fluxHistory.push({ time: now, flux });
+    while (this.fluxHistory.length > 0 && now - this.fluxHistory[0].time > FLUX_WINDOW) {
+      this.fluxHistory.shift();
+    }
+
+    const values = this.fluxHistory.map((entry) => entry.flux);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    const threshold = mean + FLUX_SENSITIVITY * Math.sqrt(variance);
+
+    if (
+      flux > threshold &&
+      flux > 0 &&
+      this.bands.low >= MIN_KICK_LEVEL &&
+      now - this.lastKickTime >= MIN_KICK_INTERVAL
+    ) {
+      this.lastKickTime = now;
+      this.onOnset(now);
+      this.emit('kick', { time: now, strength: flux });
+    }
+  }
+
+  /**
+   * Update tempo estimate and phase lock from a new onset
+   */
+  onOnset(now) {
+    this.onsets.push(now);
+    while (this.onsets.length > 0 && now - this.onsets[0] > TEMPO_WINDOW) {
+      this.onsets.shift();
+    }
+
+    this.estimateTempo();
+    if (!this.bpm) return;
+
+    // Phase-locked loop: pull the beat grid towards onsets that land near a beat,
+    // re-seed it when onsets keep missing
+    const period = 60 / this.bpm;
+    let error = ((now - this.beatAnchor) / period) % 1;
+    if (error < 0) error += 1;
+    if (error > 0.5) error -= 1;
+
+    if (Math.abs(error) < 0.25) {
+      this.beatAnchor += error * period * 0.3;
+      this.phaseMisses = 0;
+    } else if (++this.phaseMisses >= 3) {
+      this.beatAnchor = now;
+      this.phaseMisses = 0;
+    }
+  }
+
+  /**
+   * Inter-onset interval histogram folded into MIN_BPM..MAX_BPM
+   */
+  estimateTempo() {
+    if (this.onsets.length < 4) return;
+
+    const histogram = new Float32Array(MAX_BPM - MIN_BPM + 1);
+    let total = 0;
+
+    for (let i = 0; i < this.onsets.length; i++) {
+      for (let j = i + 1; j < this.onsets.length; j++) {
+        const interval = this.onsets[j] - this.onsets[i];
+        if (interval > 2) break;
+
+        let bpm = 60 / interval;
+        while (bpm < MIN_BPM) bpm *= 2;
+        while (bpm > MAX_BPM) bpm /= 2;
+
+        // Spread each vote over neighbouring bins
+        const center = Math.round(bpm) - MIN_BPM;
+        for (let offset = -1; offset <= 1; offset++) {
+          const bin = center + offset;
+          if (bin >= 0 && bin < histogram.length) {
+            const weight = offset === 0 ? 1 : 0.5;
+            histogram[bin] += weight;
+            total += weight;
+          }
+        }
+      }
+    }
+
+    if (total === 0) return;
+
+    let best = 0;
+    for (let i = 1; i < histogram.length; i++) {
+      if (histogram[i] > histogram[best]) best = i;
+    }
+
+    const candidate = best + MIN_BPM;
+    this.bpm = this.bpm ? this.bpm + (candidate - this.bpm) * 0.2 : candidate;
+    this.confidence = histogram[best] / total;
+  }
+
+  /**
+   * Emit 'beat' whenever the tracked beat grid crosses a beat
+   */
+  updateBeat(now) {
+    if (!this.isLocked()) return;
+
+    const beatIndex = Math.floor((now - this.beatAnchor) / (60 / this.bpm));
+    if (beatIndex !== this.lastBeatIndex) {
+      this.lastBeatIndex = beatIndex;
+      this.emit('beat', { time: now, bpm: this.bpm });
+    }
+  }
+
+  /**
+   * Forget analysis state when the track changes
+   */
+  resetAnalysis() {
+    this.bands = { low: 0, mid: 0, high: 0 };
+    this.peaks = { low: 0.05, mid: 0.05, high: 0.05 };
+    this.previousLow = 0;
+    this.fluxHistory = [];
+    this.lastKickTime = -Infinity;
+    this.onsets = [];
+    this.bpm = 0;
+    this.confidence = 0;
+    this.phaseMisses = 0;
+    this.lastBeatIndex = -1;
+  }
+
+  /**
+   * Release the audio graph
+   */
+  dispose() {
+    this.pause();
+    if (this.context) {
+      this.context.close();
+      this.context = null;
+    }
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+    this.listeners.clear();
+  }
+}
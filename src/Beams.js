@@ -0,0 +1,185 @@
+/**
+ * Beams.js - Visible beam geometry for moving heads and lasers
+ *
+ * Beams are additive meshes with a falloff along their length and soft edges,
+ * built with unit size and scaled/oriented every frame by LightManager.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Geometry detail and brightness per quality mode
+ */
+export const BEAM_QUALITY = {
+  high: { coneSegments: 48, laserSegments: 12, opacity: 1.0 },
+  medium: { coneSegments: 24, laserSegments: 8, opacity: 0.8 },
+  low: { coneSegments: 12, laserSegments: 6, opacity: 0.5 },
+};
+
+const geometryCache = new Map();
+
+const beamVertexShader = /* glsl */ `
+  varying float vDistance;
+  varying vec3 vNormal;
+  varying vec3 vViewDir;
+
+  void main() {
+    // Geometry runs from z = 0 (source) to z = 1 (end)
+    vDistance = position.z;
+
+    vec4 viewPosition = modelViewMatrix * vec4(position, 1.0);
+    vNormal = normalize(normalMatrix * normal);
+    vViewDir = normalize(-viewPosition.xyz);
+
+    gl_Position = projectionMatrix * viewPosition;
+  }
+`;
+
+const beamFragmentShader = /* glsl */ `
+  uniform vec3 color;
+  uniform float intensity;
+  uniform float falloff;
+  uniform float edgeSoftness;
+
+  varying float vDistance;
+  varying vec3 vNormal;
+  varying vec3 vViewDir;
+
+  void main() {
+    // Fade out along the beam
+    float distanceFade = pow(clamp(1.0 - vDistance, 0.0, 1.0), falloff);
+
+    // Surfaces seen edge-on are the beam's silhouette: fade them for a soft edge
+    float facing = abs(dot(normalize(vNormal), normalize(vViewDir)));
+    float edgeFade = pow(facing, edgeSoftness);
+
+    gl_FragColor = vec4(color * intensity * distanceFade * edgeFade, 1.0);
+  }
+`;
+
+/**
+ * Open cone with its apex at the origin and a unit-radius base at z = 1
+ */
+function getConeGeometry(segments) {
+  const key = `cone-${segments}`;
+
+  if (!geometryCache.has(key)) {
+    const geometry = new THREE.ConeGeometry(1, 1, segments, 8, true);
+    geometry.translate(0, -0.5, 0);
+    geometry.rotateX(-Math.PI / 2);
+    geometryCache.set(key, geometry);
+  }
+
+  return geometryCache.get(key);
+}
+
+/**
+ * Open unit-radius cylinder from z = 0 to z = 1
+ */
+function getCylinderGeometry(segments) {
+  const key = `cylinder-${segments}`;
+
+  if (!geometryCache.has(key)) {
+    const geometry = new THREE.CylinderGeometry(1, 1, 1, segments, 1, true);
+    geometry.translate(0, 0.5, 0);
+    geometry.rotateX(Math.PI / 2);
+    geometryCache.set(key, geometry);
+  }
+
+  return geometryCache.get(key);
+}
+
+/**
+ * Create an additive beam material
+ */
+function createBeamMaterial(color, falloff, edgeSoftness) {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      color: { value: new THREE.Color(color) },
+      intensity: { value: 1.0 },
+      falloff: { value: falloff },
+      edgeSoftness: { value: edgeSoftness },
+    },
+    vertexShader: beamVertexShader,
+    fragmentShader: beamFragmentShader,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    blending: THREE.AdditiveBlending,
+  });
+}
+
+/**
+ * Create a volumetric cone for a spotlight
+ * @param {THREE.Color|string} color
+ * @param {string} quality - 'high' | 'medium' | 'low'
+ */
+export function createBeamCone(color, quality = 'medium') {
+  const mesh = new THREE.Mesh(
+    getConeGeometry(BEAM_QUALITY[quality].coneSegments),
+    createBeamMaterial(color, 1.5, 1.5)
+  );
+  mesh.userData.beamKind = 'cone';
+  mesh.renderOrder = 1;
+  mesh.frustumCulled = false;
+  return mesh;
+}
+
+/**
+ * Create a glowing laser beam
+ * @param {THREE.Color|string} color
+ * @param {string} quality - 'high' | 'medium' | 'low'
+ */
+export function createLaserBeam(color, quality = 'medium') {
+  const mesh = new THREE.Mesh(
+    getCylinderGeometry(BEAM_QUALITY[quality].laserSegments),
+    createBeamMaterial(color, 0.3, 3.0)
+  );
+  mesh.userData.beamKind = 'laser';
+  mesh.renderOrder = 1;
+  mesh.frustumCulled = false;
+  return mesh;
+}
+
+/**
+ * Swap a beam's geometry for the given quality
+ */
+export function setBeamQuality(mesh, quality) {
+  const settings = BEAM_QUALITY[quality];
+
+  mesh.geometry =
+    mesh.userData.beamKind === 'cone'
+      ? getConeGeometry(settings.coneSegments)
+      : getCylinderGeometry(settings.laserSegments);
+}
+
+/**
+ * Stretch and aim a beam from origin to end
+ * @param {THREE.Mesh} mesh
+ * @param {THREE.Vector3} origin
+ * @param {THREE.Vector3} end
+ * @param {number} radius - End radius (cone) or beam radius (laser)
+ */
+export function aimBeam(mesh, origin, end, radius) {
+  const length = origin.distanceTo(end);
+
+  mesh.position.copy(origin);
+  mesh.lookAt(end);
+  mesh.scale.set(radius, radius, Math.max(length, 1e-3));
+}
+
+/**
+ * Set a beam's color and brightness
+ */
+export function setBeamOutput(mesh, color, intensity) {
+  mesh.material.uniforms.color.value.copy(color);
+  mesh.material.uniforms.intensity.value = intensity;
+  mesh.visible = intensity > 0.001;
+}
+
+/**
+ * Dispose a beam's material (geometry is shared)
+ */
+export function disposeBeam(mesh) {
+  mesh.material.dispose();
+}
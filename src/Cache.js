@@ -2,9 +2,33 @@
  * Cache.js - Asset caching and service worker management
  */
 
+import { Sha256 } from './Sha256.js';
+
 const DB_NAME = 'xr_industrial_club';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const STORE_NAME = 'xr_asset_meta';
+const SNAPSHOT_STORE = 'xr_snapshots';
+const CHUNK_STORE = 'xr_asset_chunks';
+const CACHE_NAME = 'xr-cache-v1';
+
+// Downloads are saved to IndexedDB in blocks of this size, so a dropped connection loses less
+const CHUNK_SIZE = 1024 * 1024;
+
+// Space all cached venues may take up unless the user picks another budget (bytes)
+const DEFAULT_CACHE_BUDGET = 1024 * 1024 * 1024;
+const BUDGET_KEY = 'xr_cache_budget';
+
+/**
+ * Download scheduling: files at once, retries per file, backoff before the first retry (doubling
+ * each time up to maxRetryDelay, ms) and how long a file may go without receiving data (ms)
+ */
+export const DOWNLOAD_DEFAULTS = {
+  concurrency: 3,
+  retries: 4,
+  retryDelay: 1000,
+  maxRetryDelay: 30000,
+  timeout: 30000,
+};
 
 /**
  * Register service worker
@@ -46,14 +70,25 @@ function openDB() {
         const store = db.createObjectStore(STORE_NAME, { keyPath: 'url' });
         store.createIndex('timestamp', 'timestamp', { unique: false });
       }
+      
+      if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+        db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'number' });
+      }
+      
+      // Partial downloads: one record per block, keyed by URL and byte offset
+      if (!db.objectStoreNames.contains(CHUNK_STORE)) {
+        db.createObjectStore(CHUNK_STORE, { keyPath: ['url', 'offset'] });
+      }
     };
   });
 }
 
 /**
  * Save asset metadata to IndexedDB
+ * @param {Object} [options]
+ * @param {boolean} [options.touch=true] - Mark the asset used (false keeps its timestamp)
  */
-async function saveAssetMeta(url, meta) {
+async function saveAssetMeta(url, meta, { touch = true } = {}) {
   const db = await openDB();
   
   return new Promise((resolve, reject) => {
@@ -63,7 +98,7 @@ async function saveAssetMeta(url, meta) {
     const data = {
       url,
       ...meta,
-      timestamp: Date.now(),
+      timestamp: touch ? Date.now() : meta.timestamp,
     };
     
     const request = store.put(data);
@@ -108,22 +143,149 @@ export async function getAllAssetMeta() {
 }
 
 /**
- * Clear all asset metadata
+ * Clear all asset metadata and partial downloads
  */
 async function clearAssetMeta() {
   const db = await openDB();
   
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
+    const transaction = db.transaction([STORE_NAME, CHUNK_STORE], 'readwrite');
+    
+    transaction.objectStore(STORE_NAME).clear();
+    transaction.objectStore(CHUNK_STORE).clear();
+    
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Key range covering every saved block of a download
+ */
+function chunkRange(url) {
+  return IDBKeyRange.bound([url, 0], [url, Infinity]);
+}
+
+/**
+ * Save a block of a download together with the metadata recording how far it got, so the two
+ * never disagree
+ * @param {string} url
+ * @param {number} offset - Byte offset of the block in the file
+ * @param {Blob} data
+ * @param {Object} meta - Partial download metadata (received, total, validators)
+ */
+async function saveAssetChunk(url, offset, data, meta) {
+  const db = await openDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME, CHUNK_STORE], 'readwrite');
+    
+    transaction.objectStore(CHUNK_STORE).put({ url, offset, data });
+    transaction.objectStore(STORE_NAME).put({
+      url,
+      ...meta,
+      timestamp: Date.now(),
+    });
+    
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get the saved blocks of a download, in file order
+ */
+async function getAssetChunks(url) {
+  const db = await openDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CHUNK_STORE], 'readonly');
+    const store = transaction.objectStore(CHUNK_STORE);
+    
+    const request = store.getAll(chunkRange(url));
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Delete the saved blocks of a download
+ */
+async function deleteAssetChunks(url) {
+  const db = await openDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CHUNK_STORE], 'readwrite');
+    const store = transaction.objectStore(CHUNK_STORE);
+    
+    const request = store.delete(chunkRange(url));
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Store a lighting snapshot (LightManager.getState()) under a number, replacing any there
+ * @param {number} number
+ * @param {Object} state
+ * @param {Object} [details] - Extra fields to keep with it (e.g. the cue it was taken in)
+ */
+export async function saveSnapshot(number, state, details = {}) {
+  const db = await openDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SNAPSHOT_STORE], 'readwrite');
+    const store = transaction.objectStore(SNAPSHOT_STORE);
     
-    const request = store.clear();
+    const request = store.put({
+      number,
+      ...details,
+      state,
+      timestamp: Date.now(),
+    });
     
     request.onsuccess = () => resolve();
     request.onerror = () => reject(request.error);
   });
 }
 
+/**
+ * Get a stored lighting snapshot
+ * @returns {Promise<{number: number, state: Object, timestamp: number}|undefined>}
+ */
+export async function getSnapshot(number) {
+  const db = await openDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SNAPSHOT_STORE], 'readonly');
+    const store = transaction.objectStore(SNAPSHOT_STORE);
+    
+    const request = store.get(number);
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get every stored lighting snapshot, by number
+ */
+export async function getAllSnapshots() {
+  const db = await openDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SNAPSHOT_STORE], 'readonly');
+    const store = transaction.objectStore(SNAPSHOT_STORE);
+    
+    const request = store.getAll();
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Read assets.json configuration
  */
@@ -141,103 +303,626 @@ export async function readAssetsJson(path = '/assets.json') {
 }
 
 /**
- * Prefetch assets with progress tracking
- * @param {Array<{url: string, name: string}>} assetList - List of assets to download
+ * Prefetch assets with progress tracking. Several files download at once, each retried with
+ * backoff when the network fails it. Downloads are saved as they arrive, so a retry (or the next
+ * attempt after a failure or cancel) resumes where it stopped.
+ * @param {Array<{url: string, name: string, size?: number, sha256?: string}>} assetList - List of
+ *   assets to download; a file whose size or SHA-256 (hex) differs from the one given is rejected
  * @param {Object} callbacks - Progress callbacks
- * @param {Function} callbacks.onProgress - Called with (completed, total, currentFile)
+ * @param {Function} callbacks.onProgress - Called with ({completed, total, receivedBytes,
+ *   totalBytes, currentFile}); totalBytes is estimated until every file's size is known
  * @param {Function} callbacks.onFileStart - Called with (url, name)
+ * @param {Function} callbacks.onFileProgress - Called with (url, name, received, size)
+ * @param {Function} callbacks.onFileRetry - Called with (url, name, attempt, delay, error)
  * @param {Function} callbacks.onFileComplete - Called with (url, name, size)
- * @param {Function} callbacks.onFileError - Called with (url, name, error)
+ * @param {Function} callbacks.onFileError - Called with (url, name, error); an AbortError when
+ *   cancelled
+ * @param {Object} [options] - DOWNLOAD_DEFAULTS overrides, plus `signal` (AbortSignal) to cancel,
+ *   `refresh` to download cached assets again (the cached copy stays until the new one is
+ *   complete), `budget` (bytes, default getCacheBudget()) for evicting other assets and `keep`
+ *   (URLs never evicted, default the assets in the list; the whole venue when updating some)
  */
-export async function prefetchAssets(assetList, callbacks = {}) {
+export async function prefetchAssets(assetList, callbacks = {}, options = {}) {
   const {
     onProgress = () => {},
     onFileStart = () => {},
+    onFileProgress = () => {},
+    onFileRetry = () => {},
     onFileComplete = () => {},
     onFileError = () => {},
   } = callbacks;
+  const settings = { ...DOWNLOAD_DEFAULTS, ...options };
+  const {
+    signal,
+    refresh,
+    budget = getCacheBudget(),
+    keep = assetList.map((asset) => asset.url),
+  } = settings;
 
   const total = assetList.length;
   let completed = 0;
 
   const results = [];
-
-  for (const asset of assetList) {
+  
+  // Bytes per file: expected (null while unknown) and received so far
+  const sizes = assetList.map((asset) => asset.size || null);
+  const received = assetList.map(() => 0);
+  
+  const report = (currentFile) => {
+    const known = sizes.filter((size) => size > 0);
+    const average = known.length > 0 ? known.reduce((sum, size) => sum + size, 0) / known.length : 0;
+    
+    // A file of unknown size counts as an average one until its response says otherwise
+    const totalBytes = sizes.reduce(
+      (sum, size, index) => sum + (size === null ? Math.max(average, received[index]) : size),
+      0
+    );
+    const receivedBytes = received.reduce((sum, bytes) => sum + bytes, 0);
+    
+    onProgress({ completed, total, receivedBytes, totalBytes, currentFile });
+  };
+  
+  const prefetchOne = async (asset, index) => {
     const { url, name } = asset;
     
     try {
+      if (signal && signal.aborted) {
+        throw cancelledError();
+      }
+      
       onFileStart(url, name);
       
-      // Check if already cached
-      const meta = await getAssetMeta(url);
-      if (meta) {
+      // Check if already cached (a partial download still has to finish)
+      const meta = refresh ? null : await getAssetMeta(url);
+      if (meta && !meta.partial && asset.sha256 && !meta.sha256) {
+        // Cached before digests were kept: hash it now rather than download it again
+        meta.sha256 = await hashCachedAsset(url);
+        meta.verified = Date.now();
+        await saveAssetMeta(url, meta);
+      }
+      
+      if (meta && !meta.partial && !matchesDigest(meta, asset.sha256)) {
+        // assets.json now expects another file
+        console.log(`Cached ${name} does not match its SHA-256, downloading again`);
+        await purgeAsset(url);
+      } else if (meta && !meta.partial) {
         console.log(`Asset already cached: ${name}`);
+        
+        // Mark it used: the least recently used assets are evicted first
+        await saveAssetMeta(url, meta);
+
+        sizes[index] = received[index] = meta.size || 0;
         completed++;
-        onProgress(completed, total, name);
+        report(name);
         onFileComplete(url, name, meta.size);
-        results.push({ url, name, cached: true, size: meta.size });
-        continue;
+        return { url, name, cached: true, size: meta.size };
       }
       
-      // Fetch with progress tracking
-      const response = await fetch(url);
+      const onBytes = (bytes, size) => {
+        received[index] = bytes;
+        if (size > 0) sizes[index] = size;
+        onFileProgress(url, name, bytes, size);
+        report(name);
+      };
+      const onRetry = (attempt, delay, error) => {
+        console.warn(`Retrying ${name} in ${Math.round(delay)} ms (attempt ${attempt}):`, error);
+        onFileRetry(url, name, attempt, delay, error);
+      };
       
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const { size, resumed } = await downloadWithRetries(asset, onBytes, onRetry, settings);
+      
+      sizes[index] = received[index] = size;
+      completed++;
+      report(name);
+      onFileComplete(url, name, size);
+      
+      return { url, name, cached: false, resumed, size };
+    
+    } catch (error) {
+      const cancelled = error.name === 'AbortError';
+      if (cancelled) {
+        console.log(`Download cancelled: ${name}`);
+      } else {
+        console.error(`Failed to fetch asset: ${name}`, error);
       }
+      onFileError(url, name, error);
       
-      const contentLength = parseInt(response.headers.get('content-length') || '0', 10);
+      // Whatever did not arrive drops out of the total
+      sizes[index] = received[index];
+      completed++;
+      report(name);
       
-      // Clone response for caching
-      const cache = await caches.open('xr-cache-v1');
-      await cache.put(url, response.clone());
+      return { url, name, error: error.message, cancelled };
+    }
+  };
+  
+  // Make room for what is about to arrive (as far as sizes are known yet), never evicting the
+  // assets on the list
+  let incoming = 0;
+  for (const asset of assetList) {
+    incoming += await getBytesToDownload(asset, refresh, false);
+  }
+  await evictAssets({ budget, keep, incoming });
+  
+  // Workers take the next file off the queue until it is empty; results keep the list's order
+  const queue = assetList.map((asset, index) => ({ asset, index }));
+  const worker = async () => {
+    while (queue.length > 0) {
+      const { asset, index } = queue.shift();
+      results[index] = await prefetchOne(asset, index);
+    }
+  };
+  
+  const workers = Math.max(1, Math.min(settings.concurrency, queue.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  
+  // Sizes that were unknown before the downloads may have taken the cache over budget
+  await evictAssets({ budget, keep });
+
+  return results;
+}
+
+/**
+ * Ask the server whether assets changed since they were cached. Conditional requests
+ * (If-None-Match / If-Modified-Since on the stored ETag / Last-Modified) cost no body for an
+ * unchanged file, and a changed one reports its new size.
+ * @param {Array<{url: string, name: string, sha256?: string, size?: number}>} assetList
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<Object>>} Per asset: {url, name, status, size, cachedSize, error};
+ *   status is 'unchanged', 'changed', 'new' (not cached yet), 'unknown' (the server sends no
+ *   validators) or 'error'
+ */
+export async function checkForUpdates(assetList, { signal } = {}) {
+  return Promise.all(assetList.map((asset) => checkAsset(asset, signal)));
+}
+
+async function checkAsset(asset, signal) {
+  const { url, name } = asset;
+  const meta = await getAssetMeta(url);
+  
+  if (!meta || meta.partial) {
+    const size = asset.size || (meta && meta.total) || (await getRemoteSize(url, signal)) || null;
+    return { url, name, status: 'new', size, cachedSize: null };
+  }
+  
+  const result = { url, name, status: 'unchanged', size: meta.size, cachedSize: meta.size };
+  
+  try {
+    const response = await probeAsset(url, meta, signal);
+    
+    // 304 Not Modified keeps the cached size
+    if (response.status !== 304) {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
       
-      // Read the body to ensure it's fully downloaded
-      const reader = response.body.getReader();
-      let receivedLength = 0;
-      const chunks = [];
+      const length = parseInt(response.headers.get('content-length') || '0', 10);
+      result.size = length || null;
+      result.status = isSameFile(response, meta, length) ? 'unchanged' : 'changed';
       
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) break;
-        
-        chunks.push(value);
-        receivedLength += value.length;
-        
-        // Update progress
-        if (contentLength > 0) {
-          const fileProgress = receivedLength / contentLength;
-          onProgress(completed + fileProgress, total, name);
-        }
+      if (!meta.etag && !meta.lastModified && result.status === 'unchanged') {
+        result.status = 'unknown';
+      }
+    }
+  } catch (error) {
+    if (signal && signal.aborted) throw cancelledError();
+    console.warn(`Failed to check ${name} for updates:`, error);
+    return { ...result, status: 'error', error: error.message };
+  }
+  
+  // assets.json expecting another file counts too
+  if (!matchesDigest(meta, asset.sha256)) {
+    result.status = 'changed';
+    result.size = asset.size || result.size;
+  }
+  
+  return result;
+}
+
+/**
+ * Conditional HEAD request for an asset, or a conditional GET (body dropped) where HEAD is not
+ * allowed
+ */
+async function probeAsset(url, meta, signal) {
+  const headers = {};
+  if (meta.etag) headers['If-None-Match'] = meta.etag;
+  if (meta.lastModified) headers['If-Modified-Since'] = meta.lastModified;
+  
+  const options = { headers, cache: 'no-store', signal };
+  const response = await fetch(url, { ...options, method: 'HEAD' });
+  if (response.status !== 405 && response.status !== 501) {
+    return response;
+  }
+  
+  const fallback = await fetch(url, options);
+  if (fallback.body) {
+    await fallback.body.cancel();
+  }
+  return fallback;
+}
+
+/**
+ * Whether a full response (the server ignored the condition) still describes the cached file
+ */
+function isSameFile(response, meta, length) {
+  const etag = response.headers.get('etag');
+  const lastModified = response.headers.get('last-modified');
+  
+  if (etag && meta.etag) return etag === meta.etag;
+  if (lastModified && meta.lastModified) return lastModified === meta.lastModified;
+  return !length || length === meta.size;
+}
+
+/**
+ * Download an asset, retrying failures that may pass (network errors, timeouts, server errors)
+ * after an exponential backoff with jitter
+ * @returns {Promise<{size: number, resumed: boolean}>}
+ */
+async function downloadWithRetries(asset, onBytes, onRetry, settings) {
+  const { retries, retryDelay, maxRetryDelay, timeout, signal } = settings;
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await attemptDownload(asset, onBytes, timeout, signal);
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw cancelledError();
+      }
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
       }
       
-      // Save metadata
-      await saveAssetMeta(url, {
-        size: receivedLength,
-        contentType: response.headers.get('content-type'),
-        etag: response.headers.get('etag'),
-        lastModified: response.headers.get('last-modified'),
-      });
+      // Half the backoff is fixed, half random, so clients that failed together spread out
+      const backoff = Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+      const delay = backoff / 2 + Math.random() * backoff / 2;
       
-      completed++;
-      onProgress(completed, total, name);
-      onFileComplete(url, name, receivedLength);
+      onRetry(attempt + 1, delay, error);
+      await wait(delay, signal);
+    }
+  }
+}
+
+/**
+ * One download attempt, aborted when `signal` fires or no data arrives for `timeout` ms
+ */
+async function attemptDownload(asset, onBytes, timeout, signal) {
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  let timedOut = false;
+  let timer;
+  
+  const restartTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+  };
+  
+  if (signal) {
+    signal.addEventListener('abort', cancel, { once: true });
+  }
+  restartTimer();
+  
+  try {
+    return await downloadAsset(asset, (bytes, size) => {
+      restartTimer();
+      onBytes(bytes, size);
+    }, controller.signal);
+  } catch (error) {
+    if (timedOut) {
+      throw new Error(`Timed out after ${timeout / 1000} s without data`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+/**
+ * Whether a failed download is worth retrying: not for client errors such as 404, nor for a file
+ * that is not the one expected
+ */
+function isRetryable(error) {
+  if (error.integrity) {
+    return false;
+  }
+  if (error.status) {
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+  }
+  return true;
+}
+
+/**
+ * Resolve after `ms`, or reject with an AbortError when `signal` fires first
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+function cancelledError() {
+  return new DOMException('Download cancelled', 'AbortError');
+}
+
+/**
+ * Download one asset into Cache Storage, resuming a partial download when the server still has
+ * the same file
+ * @param {{url: string, size?: number, sha256?: string}} asset
+ * @param {Function} onBytes - Called with (received, total) bytes; total is 0 when unknown
+ * @param {AbortSignal} [signal] - Stops the download, keeping what arrived
+ * @returns {Promise<{size: number, resumed: boolean}>}
+ */
+async function downloadAsset(asset, onBytes, signal) {
+  const { url } = asset;
+  const meta = await getAssetMeta(url);
+  const validator = meta && meta.partial ? getValidator(meta) : null;
+  let offset = 0;
+  
+  // Without a validator the server could send the rest of a different file
+  if (meta && meta.partial && !validator) {
+    await deleteAssetChunks(url);
+  } else if (validator && meta.received > 0) {
+    offset = meta.received;
+    if (meta.total > 0 && offset >= meta.total) {
+      return { size: await assembleAsset(asset, meta), resumed: true };
+    }
+  }
+  
+  // Opting out of the HTTP cache also keeps the service worker from caching the download itself
+  const headers = offset > 0 ? { Range: `bytes=${offset}-`, 'If-Range': validator } : {};
+  const response = await fetch(url, { headers, cache: 'no-store', signal });
+  
+  if (response.status === 416 && offset > 0) {
+    console.warn(`Saved part of ${url} no longer fits the file, starting over`);
+    await forgetAsset(url);
+    return downloadAsset(asset, onBytes, signal);
+  }
+  
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  let total = parseInt(response.headers.get('content-length') || '0', 10);
+  
+  if (response.status === 206) {
+    const range = parseContentRange(response.headers.get('content-range'));
+    if (!range || range.start !== offset) {
+      await response.body.cancel();
+      console.warn(`Unexpected range for ${url}, starting over`);
+      await forgetAsset(url);
+      return downloadAsset(asset, onBytes, signal);
+    }
+    total = range.total;
+    console.log(`Resuming ${url} at ${offset} of ${total} bytes`);
+  } else if (offset > 0) {
+    // If-Range failed: the file changed (or ranges are unsupported) and the whole of it follows
+    console.log(`${url} changed since the partial download, starting over`);
+    await deleteAssetChunks(url);
+    offset = 0;
+  }
+  
+  // Refuse a file of the wrong size before downloading it
+  if (asset.size && total > 0 && total !== asset.size) {
+    await response.body.cancel();
+    await purgeAsset(url);
+    throw integrityError(url, `expected ${asset.size} bytes, the server has ${total}`);
+  }
+  
+  const resumed = offset > 0;
+  const info = {
+    partial: true,
+    total,
+    contentType: response.headers.get('content-type') || (meta && meta.contentType) || null,
+    etag: response.headers.get('etag') || (resumed ? meta.etag : null),
+    lastModified: response.headers.get('last-modified') || (resumed ? meta.lastModified : null),
+  };
+  
+  const reader = response.body.getReader();
+  let parts = [];
+  let buffered = 0;
+  
+  const flush = async () => {
+    if (buffered === 0) return;
+    
+    await saveAssetChunk(url, offset, new Blob(parts), { ...info, received: offset + buffered });
+    offset += buffered;
+    parts = [];
+    buffered = 0;
+  };
+  
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
       
-      results.push({ url, name, cached: false, size: receivedLength });
+      if (done) break;
       
-    } catch (error) {
-      console.error(`Failed to fetch asset: ${name}`, error);
-      onFileError(url, name, error);
+      parts.push(value);
+      buffered += value.length;
       
-      completed++;
-      onProgress(completed, total, name);
+      if (buffered >= CHUNK_SIZE) {
+        await flush();
+      }
       
-      results.push({ url, name, error: error.message });
+      onBytes(offset + buffered, total);
     }
+  } catch (error) {
+    // Keep what did arrive for the next attempt
+    await flush();
+    throw error;
   }
+  
+  await flush();
+  
+  if (total > 0 && offset < total) {
+    throw new Error(`Download incomplete: ${offset} of ${total} bytes`);
+  }
+  
+  return { size: await assembleAsset(asset, info), resumed };
+}
 
-  return results;
+/**
+ * Join a finished download's blocks into its Cache Storage entry and replace the partial
+ * metadata with the asset's, after checking the file against the expected size and SHA-256
+ * @returns {Promise<number>} Size in bytes
+ */
+async function assembleAsset(asset, info) {
+  const { url } = asset;
+  const chunks = await getAssetChunks(url);
+  const blob = new Blob(chunks.map((chunk) => chunk.data), { type: info.contentType || '' });
+  
+  if (asset.size && blob.size !== asset.size) {
+    await purgeAsset(url);
+    throw integrityError(url, `expected ${asset.size} bytes, received ${blob.size}`);
+  }
+  
+  const sha256 = await hashBlob(blob);
+  if (!matchesDigest({ sha256 }, asset.sha256)) {
+    await purgeAsset(url);
+    throw integrityError(url, `SHA-256 is ${sha256}, expected ${asset.sha256}`);
+  }
+
+  const headers = { 'Content-Length': String(blob.size) };
+  if (info.contentType) headers['Content-Type'] = info.contentType;
+  if (info.etag) headers.ETag = info.etag;
+  if (info.lastModified) headers['Last-Modified'] = info.lastModified;
+  
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(url, new Response(blob, { headers }));
+  
+  await saveAssetMeta(url, {
+    size: blob.size,
+    contentType: info.contentType,
+    etag: info.etag,
+    lastModified: info.lastModified,
+    sha256,
+    downloaded: Date.now(),
+    verified: Date.now(),
+  });
+  await deleteAssetChunks(url);
+  
+  return blob.size;
+}
+
+/**
+ * Drop an asset's metadata and any saved blocks of it
+ */
+async function forgetAsset(url) {
+  const db = await openDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME, CHUNK_STORE], 'readwrite');
+    
+    transaction.objectStore(STORE_NAME).delete(url);
+    transaction.objectStore(CHUNK_STORE).delete(chunkRange(url));
+    
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Drop an asset entirely: metadata, saved blocks and its Cache Storage entry
+ */
+async function purgeAsset(url) {
+  await forgetAsset(url);
+  
+  const cache = await caches.open(CACHE_NAME);
+  await cache.delete(url);
+}
+
+/**
+ * Remove assets from the cache (e.g. the mismatches getCacheInfo() reports) so they download
+ * again
+ * @param {Array<string>} urls
+ */
+export async function purgeAssets(urls) {
+  for (const url of urls) {
+    await purgeAsset(url);
+  }
+}
+
+/**
+ * SHA-256 of a blob as lowercase hex, read as a stream so the file is never in memory at once
+ */
+async function hashBlob(blob) {
+  const hash = new Sha256();
+  const reader = blob.stream().getReader();
+  
+  for (let read = await reader.read(); !read.done; read = await reader.read()) {
+    hash.update(read.value);
+  }
+  
+  return hash.digest();
+}
+
+/**
+ * SHA-256 of a file in Cache Storage (null if it is not there)
+ */
+async function hashCachedAsset(url) {
+  const response = await (await caches.open(CACHE_NAME)).match(url);
+  return response ? hashBlob(await response.blob()) : null;
+}
+
+/**
+ * Whether metadata has the expected digest (anything does when none is expected)
+ */
+function matchesDigest(meta, sha256) {
+  return !sha256 || meta.sha256 === sha256.toLowerCase();
+}
+
+function integrityError(url, detail) {
+  const error = new Error(`Integrity check failed for ${url}: ${detail}`);
+  error.integrity = true;
+  return error;
+}
+
+/**
+ * Validator for If-Range: a strong ETag, else Last-Modified (weak ETags are not allowed)
+ */
+function getValidator(meta) {
+  if (meta.etag && !meta.etag.startsWith('W/')) {
+    return meta.etag;
+  }
+  return meta.lastModified || null;
+}
+
+/**
+ * Parse "bytes start-end/total" (total may be "*", giving 0)
+ * @returns {{start: number, end: number, total: number}|null}
+ */
+function parseContentRange(header) {
+  const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec((header || '').trim());
+  if (!match) return null;
+  
+  return {
+    start: parseInt(match[1], 10),
+    end: parseInt(match[2], 10),
+    total: match[3] === '*' ? 0 : parseInt(match[3], 10),
+  };
 }
 
 /**
@@ -286,26 +971,247 @@ export async function clearAllCaches() {
 
 /**
  * Get cache statistics
+ * @param {Object} [options]
+ * @param {boolean} [options.verify=false] - List cached files that are gone from Cache Storage or
+ *   do not match their stored digest. Only files never hashed since they were cached are read.
  */
-export async function getCacheInfo() {
+export async function getCacheInfo({ verify = false } = {}) {
   try {
-    const meta = await getAllAssetMeta();
+    const all = await getAllAssetMeta();
+    const meta = all.filter((item) => !item.partial);
+    const partial = all.filter((item) => item.partial);
     const totalSize = meta.reduce((sum, item) => sum + (item.size || 0), 0);
     
-    // Get latest update time
+    // Get latest update time (timestamp is when an asset was last used)
     const latestUpdate = meta.length > 0 
-      ? Math.max(...meta.map(item => item.timestamp))
+      ? Math.max(...meta.map(item => item.downloaded || item.timestamp))
       : null;
     
     return {
-      version: 'xr-cache-v1',
+      version: CACHE_NAME,
       files: meta.length,
       totalSize,
       latestUpdate,
       assets: meta,
+      // Downloads that stopped part way and will resume
+      partial: partial.map(({ url, received, total }) => ({ url, received, total })),
+      // [{url, reason: 'missing' | 'digest'}], only filled in when verifying
+      mismatched: verify ? await findMismatches(meta) : [],
+      budget: getCacheBudget(),
     };
   } catch (error) {
     console.error('Failed to get cache info:', error);
     return null;
   }
 }
+
+/**
+ * Cached files that are gone from Cache Storage or do not hash to their stored digest. A file is
+ * hashed once (downloads are as they are assembled); its verified digest is then kept in its
+ * metadata, so unchanged files are not read again.
+ */
+async function findMismatches(meta) {
+  const cache = await caches.open(CACHE_NAME);
+  const mismatched = [];
+  
+  // One file at a time
+  for (const item of meta) {
+    const response = await cache.match(item.url);
+    if (!response) {
+      mismatched.push({ url: item.url, reason: 'missing' });
+      continue;
+    }
+    
+    if (item.verified) continue;
+    
+    const sha256 = await hashBlob(await response.blob());
+    if (item.sha256 && sha256 !== item.sha256) {
+      mismatched.push({ url: item.url, reason: 'digest' });
+    } else {
+      await saveAssetMeta(item.url, { ...item, sha256, verified: Date.now() }, { touch: false });
+    }
+  }
+  
+  if (mismatched.length > 0) {
+    console.warn('Cached assets no longer match their digest:', mismatched);
+  }
+  
+  return mismatched;
+}
+
+/**
+ * Space the cached assets may take up, in bytes
+ */
+export function getCacheBudget() {
+  try {
+    const stored = Number(localStorage.getItem(BUDGET_KEY));
+    if (stored > 0) {
+      return stored;
+    }
+  } catch (error) {
+    console.warn('Ignoring stored cache budget:', error);
+  }
+  
+  return DEFAULT_CACHE_BUDGET;
+}
+
+/**
+ * Set and remember the cache budget (applied by evictAssets() and the next download)
+ * @param {number} bytes
+ */
+export function setCacheBudget(bytes) {
+  try {
+    localStorage.setItem(BUDGET_KEY, String(bytes));
+  } catch (error) {
+    console.warn('Failed to store cache budget:', error);
+  }
+}
+
+/**
+ * Evict the least recently used assets (by the `timestamp` index, refreshed whenever an asset is
+ * used) until the cache fits its budget
+ * @param {Object} [options]
+ * @param {number} [options.budget] - Bytes (default getCacheBudget())
+ * @param {Array<string>} [options.keep] - URLs never to evict (the venue being downloaded)
+ * @param {number} [options.incoming=0] - Bytes about to be added
+ * @returns {Promise<Array<string>>} Evicted URLs
+ */
+export async function evictAssets({ budget = getCacheBudget(), keep = [], incoming = 0 } = {}) {
+  const entries = await getAssetMetaByAge();
+  const sizeOf = (item) => (item.partial ? item.received || 0 : item.size || 0);
+  const kept = new Set(keep);
+  const evicted = [];
+  
+  let used = entries.reduce((sum, item) => sum + sizeOf(item), incoming);
+  
+  for (const item of entries) {
+    if (used <= budget) break;
+    if (kept.has(item.url)) continue;
+    
+    await purgeAsset(item.url);
+    used -= sizeOf(item);
+    evicted.push(item.url);
+  }
+  
+  if (evicted.length > 0) {
+    console.log(`Evicted ${evicted.length} least recently used asset(s) to fit the cache budget:`, evicted);
+  }
+  if (used > budget) {
+    console.warn(`Cache needs ${used} bytes, over its budget of ${budget}`);
+  }
+  
+  return evicted;
+}
+
+/**
+ * All asset metadata, least recently used first
+ */
+async function getAssetMetaByAge() {
+  const db = await openDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const index = transaction.objectStore(STORE_NAME).index('timestamp');
+    
+    const request = index.getAll();
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Ask the browser to keep the cache when storage runs low (it may decide without asking)
+ * @returns {Promise<boolean>} Whether storage is persistent
+ */
+export async function requestPersistentStorage() {
+  if (!navigator.storage || !navigator.storage.persist) {
+    return false;
+  }
+  
+  try {
+    if (await navigator.storage.persisted()) {
+      return true;
+    }
+    
+    const persisted = await navigator.storage.persist();
+    if (!persisted) {
+      console.warn('Persistent storage not granted; the browser may evict the cache');
+    }
+    return persisted;
+  } catch (error) {
+    console.warn('Failed to request persistent storage:', error);
+    return false;
+  }
+}
+
+/**
+ * Storage used and available to the app, and whether it is persistent (null if unsupported)
+ * @returns {Promise<{usage: number, quota: number, persisted: boolean}|null>}
+ */
+export async function getStorageEstimate() {
+  if (!navigator.storage || !navigator.storage.estimate) {
+    return null;
+  }
+  
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+    return { usage, quota, persisted };
+  } catch (error) {
+    console.warn('Failed to estimate storage:', error);
+    return null;
+  }
+}
+
+/**
+ * Compare the bytes still to download for assets with the free storage quota
+ * @param {Array<Object>} assetList - As for prefetchAssets()
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Count cached assets too (they are downloaded again)
+ * @returns {Promise<{needed: number, available: number|null, fits: boolean}>} fits is true when
+ *   the browser does not tell
+ */
+export async function checkStorage(assetList, { refresh = false } = {}) {
+  let needed = 0;
+  for (const asset of assetList) {
+    needed += await getBytesToDownload(asset, refresh, true);
+  }
+  
+  const estimate = await getStorageEstimate();
+  if (!estimate) {
+    return { needed, available: null, fits: true };
+  }
+  
+  const available = Math.max(0, estimate.quota - estimate.usage);
+  return { needed, available, fits: needed <= available };
+}
+
+/**
+ * Bytes an asset still needs: all of it, less what a partial download has, or none when cached
+ * @param {boolean} probe - Ask the server for sizes not known yet (else they count as 0)
+ */
+async function getBytesToDownload(asset, refresh, probe) {
+  const meta = await getAssetMeta(asset.url);
+  if (meta && !meta.partial && !refresh) {
+    return 0;
+  }
+  
+  const partial = meta && meta.partial ? meta : null;
+  const size = asset.size || (partial && partial.total) || (probe ? await getRemoteSize(asset.url) : 0);
+  
+  return Math.max(0, size - (partial ? partial.received || 0 : 0));
+}
+
+/**
+ * Size of a file on the server from a HEAD request (0 if it does not say)
+ */
+async function getRemoteSize(url, signal) {
+  try {
+    const response = await fetch(url, { method: 'HEAD', cache: 'no-store', signal });
+    return response.ok ? parseInt(response.headers.get('content-length') || '0', 10) : 0;
+  } catch (error) {
+    console.warn(`Failed to get the size of ${url}:`, error);
+    return 0;
+  }
+}
@@ -16,6 +16,7 @@ export class Controls {
     this.vrFlyMode = false; // Toggle for VR fly mode
     this.lastTurnTime = 0; // For snap turning
     this.lastFlyToggle = 0; // For fly mode toggle
+    this.tempoButtons = { tap: false, resync: false }; // Previous pressed state of the tempo buttons
     this.vrNotification = null; // For VR notifications
     this.lastDebugLog = 0; // For debug logging
     this.orbitControls = null;
@@ -437,6 +438,23 @@ export class Controls {
         }
       }
     }
+    
+    // TEMPO BUTTONS - B taps the tempo, Y resyncs the downbeat (once per press)
+    this.onTempoButton('tap', rightGamepad, 'tempo-tap');
+    this.onTempoButton('resync', leftGamepad, 'tempo-resync');
+  }
+  
+  /**
+   * Dispatch a tempo event when a controller's second face button (B/Y) goes down
+   */
+  onTempoButton(name, gamepad, eventName) {
+    const button = gamepad && gamepad.buttons[5];
+    const pressed = Boolean(button && button.pressed);
+    
+    if (pressed && !this.tempoButtons[name]) {
+      window.dispatchEvent(new CustomEvent(eventName));
+    }
+    this.tempoButtons[name] = pressed;
   }
   
   /**
@@ -0,0 +1,274 @@
+/**
+ * CueEngine.js - Cue list playback with crossfades between fixture looks
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Plays the lightplan's cue list against a LightManager's fixtures.
+ *
+ * Each cue is a complete look: fixtures it does not mention return to their
+ * lightplan defaults. Rising intensities fade over the incoming cue's fadeIn,
+ * falling intensities over the outgoing cue's fadeOut; color, target, gobo rotation
+ * and color wheel follow fadeIn. The fixture effect and gobo switch at the start of
+ * the fade.
+ */
+export class CueEngine {
+  constructor(manager) {
+    this.manager = manager;
+    this.cues = [];
+    this.loop = true;
+
+    this.currentIndex = -1;
+    this.paused = false;
+    this.elapsed = 0; // Seconds since the current cue was triggered
+    this.transition = null;
+  }
+
+  /**
+   * Load a cue list (from a validated lightplan)
+   */
+  load(cues = [], { loop = true } = {}) {
+    this.cues = cues;
+    this.loop = loop;
+    this.currentIndex = -1;
+    this.transition = null;
+    this.elapsed = 0;
+
+    if (this.cues.length > 0) {
+      this.goToIndex(0);
+    }
+  }
+
+  /**
+   * Get the active cue (or null)
+   */
+  get currentCue() {
+    return this.cues[this.currentIndex] || null;
+  }
+
+  /**
+   * Jump to a cue by name
+   * @param {string} name - Cue name
+   * @param {Object} [options]
+   * @param {number} [options.fade] - Override the cue's fadeIn (seconds)
+   * @returns {boolean} Whether the cue exists
+   */
+  goToCue(name, options = {}) {
+    const index = this.cues.findIndex((cue) => cue.name === name);
+
+    if (index === -1) {
+      console.warn('Unknown cue:', name);
+      return false;
+    }
+
+    this.goToIndex(index, options);
+    return true;
+  }
+
+  /**
+   * Advance to the next cue (wrapping when looping)
+   * @returns {boolean} Whether a cue was triggered
+   */
+  nextCue(options = {}) {
+    if (this.cues.length === 0) return false;
+
+    let index = this.currentIndex + 1;
+    if (index >= this.cues.length) {
+      if (!this.loop) return false;
+      index = 0;
+    }
+
+    this.goToIndex(index, options);
+    return true;
+  }
+
+  /**
+   * Stop automatic cue advance (running fades still complete)
+   */
+  pauseCues() {
+    this.paused = true;
+  }
+
+  /**
+   * Resume automatic cue advance
+   */
+  resumeCues() {
+    this.paused = false;
+  }
+
+  /**
+   * Start the transition into a cue
+   */
+  goToIndex(index, { fade } = {}) {
+    const previous = this.currentCue;
+    const cue = this.cues[index];
+
+    const fadeIn = fade !== undefined ? fade : cue.fadeIn || 0;
+    const fadeOut = fade !== undefined ? fade : (previous && previous.fadeOut) || fadeIn;
+
+    const fixtures = this.manager.fixtures.map((fixture) => {
+      const to = this.resolveLook(fixture, cue);
+
+      fixture.effect = to.effect;
+      fixture.effectGroup = to.effectGroup;
+
+      return { fixture, from: captureLook(fixture), to };
+    });
+
+    this.currentIndex = index;
+    this.elapsed = 0;
+    this.transition = { fadeIn, fadeOut, start: 0, fixtures };
+
+    console.log(`Cue: ${cue.name} (fade ${fadeIn}s)`);
+  }
+
+  /**
+   * Crossfade fixtures to looks from outside the cue list (a recalled snapshot), keeping the
+   * current cue and its trigger time. The next cue replaces them as usual.
+   * @param {Array<{fixture: Object, to: Object}>} looks - Looks shaped like resolveLook()'s
+   * @param {number} fade - Seconds
+   */
+  fadeTo(looks, fade) {
+    const fixtures = looks.map(({ fixture, to }) => {
+      fixture.effect = to.effect;
+      fixture.effectGroup = to.effectGroup;
+
+      return { fixture, from: captureLook(fixture), to };
+    });
+
+    this.transition = { fadeIn: fade, fadeOut: fade, start: this.elapsed, fixtures };
+  }
+
+  /**
+   * Merge a cue's look for a fixture over the fixture's lightplan defaults.
+   * Looks for the fixture's groups apply first (in lightplan order), then its own look.
+   */
+  resolveLook(fixture, cue) {
+    const { home } = fixture;
+    const looks = cue.fixtures || {};
+    const look = {};
+    let effectGroup = null;
+
+    for (const group of this.manager.getFixtureGroups(fixture)) {
+      const groupLook = looks[group.name];
+      if (!groupLook) continue;
+
+      Object.assign(look, groupLook);
+      if (groupLook.effect) {
+        effectGroup = group.name;
+      }
+    }
+
+    const ownLook = looks[fixture.id];
+    if (ownLook) {
+      Object.assign(look, ownLook);
+      if (ownLook.effect) {
+        effectGroup = null;
+      }
+    }
+
+    const to = {
+      color: look.color !== undefined ? new THREE.Color(look.color) : home.color.clone(),
+      intensity: look.intensity !== undefined ? look.intensity : home.intensity,
+      target: look.target ? new THREE.Vector3().fromArray(look.target) : home.target,
+      effect: look.effect || 'default',
+      effectGroup,
+    };
+
+    if (home.wheels) {
+      to.wheels = {
+        gobo: look.gobo !== undefined ? look.gobo : home.wheels.gobo,
+        goboSpin: look.goboSpin !== undefined ? look.goboSpin : home.wheels.goboSpin,
+        wheel: look.wheel !== undefined ? look.wheel : home.wheels.wheel,
+      };
+    }
+
+    return to;
+  }
+
+  /**
+   * Advance fades and triggers (call once per frame before fixtures update)
+   */
+  update(deltaTime) {
+    this.elapsed += deltaTime;
+
+    // Recalled looks fade without a cue list too
+    if (this.transition) {
+      this.applyTransition();
+    }
+
+    const cue = this.currentCue;
+    if (cue && !this.paused && this.isTriggerDue(cue)) {
+      this.nextCue();
+    }
+  }
+
+  /**
+   * Write the crossfaded look into each fixture's base state
+   */
+  applyTransition() {
+    const { fadeIn, fadeOut, start, fixtures } = this.transition;
+    const elapsed = this.elapsed - start;
+    const inProgress = fadeIn > 0 ? Math.min(elapsed / fadeIn, 1) : 1;
+    const outProgress = fadeOut > 0 ? Math.min(elapsed / fadeOut, 1) : 1;
+
+    for (const { fixture, from, to } of fixtures) {
+      const intensityProgress = to.intensity >= from.intensity ? inProgress : outProgress;
+
+      fixture.baseColor.lerpColors(from.color, to.color, inProgress);
+      fixture.baseIntensity = THREE.MathUtils.lerp(from.intensity, to.intensity, intensityProgress);
+
+      if (fixture.baseTarget && from.target && to.target) {
+        fixture.baseTarget.lerpVectors(from.target, to.target, inProgress);
+      }
+
+      // The color wheel turns through the slots in between, like the real thing
+      if (fixture.baseWheels && from.wheels && to.wheels) {
+        const wheels = fixture.baseWheels;
+        wheels.gobo = to.wheels.gobo;
+        wheels.goboSpin = THREE.MathUtils.lerp(
+          from.wheels.goboSpin,
+          to.wheels.goboSpin,
+          inProgress
+        );
+        wheels.wheel = THREE.MathUtils.lerp(from.wheels.wheel, to.wheels.wheel, inProgress);
+      }
+    }
+
+    if (inProgress >= 1 && outProgress >= 1) {
+      this.transition = null;
+    }
+  }
+
+  /**
+   * Check whether the current cue's trigger has elapsed
+   */
+  isTriggerDue(cue) {
+    const { trigger } = cue;
+    if (!trigger) return false;
+
+    switch (trigger.type) {
+      case 'time':
+        return this.elapsed >= trigger.seconds;
+
+      case 'beats':
+        return this.elapsed / this.manager.beatDuration >= trigger.count;
+
+      default:
+        return false;
+    }
+  }
+}
+
+/**
+ * A fixture's current base look, the starting point of a crossfade
+ */
+function captureLook(fixture) {
+  return {
+    color: fixture.baseColor.clone(),
+    intensity: fixture.baseIntensity,
+    target: fixture.baseTarget ? fixture.baseTarget.clone() : null,
+    wheels: fixture.baseWheels ? { ...fixture.baseWheels } : null,
+  };
+}
@@ -0,0 +1,386 @@
+/**
+ * DMX.js - DMX universe model, fixture channel profiles and the WebSocket relay bridges
+ */
+
+import { DMX_CHANNELS, encodeArtDmx, encodeSacnData, decodeDmxPacket } from './DMXProtocol.js';
+
+/**
+ * Channel layouts by profile name. 16-bit attributes use "<attr>Fine" for the LSB.
+ */
+export const DMX_PROFILES = {
+  'movingHead-9ch': [
+    'pan',
+    'panFine',
+    'tilt',
+    'tiltFine',
+    'dimmer',
+    'red',
+    'green',
+    'blue',
+    'shutter',
+  ],
+  'strobe-5ch': ['dimmer', 'red', 'green', 'blue', 'shutter'],
+  'laser-6ch': ['dimmer', 'red', 'green', 'blue', 'pan', 'tilt'],
+  'par-4ch': ['dimmer', 'red', 'green', 'blue'],
+  'rgb-3ch': ['red', 'green', 'blue'],
+  'dimmer-1ch': ['dimmer'],
+};
+
+/**
+ * Profile used when a fixture's dmx block does not name one
+ */
+export const DEFAULT_PROFILES = {
+  movingHead: 'movingHead-9ch',
+  strobe: 'strobe-5ch',
+  laser: 'laser-6ch',
+  par: 'par-4ch',
+  wash: 'par-4ch',
+  ledBar: 'par-4ch',
+  blinder: 'dimmer-1ch',
+  mirrorBall: 'dimmer-1ch',
+};
+
+// Mechanical ranges pan/tilt values are normalised against (degrees)
+export const PAN_RANGE = 540;
+export const TILT_RANGE = 270;
+
+/**
+ * One 512-channel DMX universe
+ */
+export class DMXUniverse {
+  constructor(number) {
+    this.number = number;
+    this.data = new Uint8Array(DMX_CHANNELS);
+  }
+
+  /**
+   * Set a channel by 1-based DMX address
+   */
+  set(address, value) {
+    this.data[address - 1] = value;
+  }
+
+  /**
+   * Get a channel by 1-based DMX address
+   */
+  get(address) {
+    return this.data[address - 1];
+  }
+}
+
+/**
+ * Resolve a lightplan fixture's dmx block
+ * @returns {{universe: number, address: number, profile: string, channels: Array<string>, maxIntensity: number}}
+ */
+export function resolveDmxPatch(data, type, homeIntensity) {
+  const profile = data.profile || DEFAULT_PROFILES[type];
+
+  return {
+    universe: data.universe || 0,
+    address: data.address,
+    profile,
+    channels: DMX_PROFILES[profile],
+    maxIntensity: data.maxIntensity || homeIntensity || 1,
+  };
+}
+
+/**
+ * Current output of a fixture as normalised (0-1) attributes
+ * @param {Object} fixture - LightManager fixture with a dmx patch
+ * @param {Object} aim - { position, target } world-space Vector3s, or null
+ */
+export function getFixtureAttributes(fixture, aim) {
+  const { light, dmx } = fixture;
+  const attributes = {
+    dimmer: clamp01(light.intensity / dmx.maxIntensity),
+    red: clamp01(light.color.r),
+    green: clamp01(light.color.g),
+    blue: clamp01(light.color.b),
+    shutter: light.intensity > 0 ? 1 : 0,
+    pan: 0.5,
+    tilt: 0.5,
+  };
+
+  if (aim) {
+    const { pan, tilt } = aimToPanTilt(aim.position, aim.target);
+    attributes.pan = clamp01(pan / PAN_RANGE + 0.5);
+    attributes.tilt = clamp01(tilt / TILT_RANGE + 0.5);
+  }
+
+  return attributes;
+}
+
+/**
+ * Pan/tilt in degrees for a fixture hanging at position aimed at target.
+ * pan 0 faces +Z, tilt 0 points straight down.
+ */
+export function aimToPanTilt(position, target) {
+  const dx = target.x - position.x;
+  const dy = target.y - position.y;
+  const dz = target.z - position.z;
+  const horizontal = Math.hypot(dx, dz);
+
+  return {
+    pan: horizontal > 1e-6 ? (Math.atan2(dx, dz) * 180) / Math.PI : 0,
+    tilt: (Math.atan2(horizontal, -dy) * 180) / Math.PI,
+  };
+}
+
+/**
+ * Write attributes into a universe following the fixture's channel profile
+ */
+export function writeFixtureChannels(universe, patch, attributes) {
+  patch.channels.forEach((channel, offset) => {
+    const address = patch.address + offset;
+
+    if (channel.endsWith('Fine')) {
+      const value = Math.round(attributes[channel.slice(0, -4)] * 65535);
+      universe.set(address, value & 0xff);
+    } else if (patch.channels.includes(`${channel}Fine`)) {
+      const value = Math.round(attributes[channel] * 65535);
+      universe.set(address, value >> 8);
+    } else {
+      universe.set(address, Math.round((attributes[channel] || 0) * 255));
+    }
+  });
+}
+
+/**
+ * Shutter channel values (normalised) for DMX input:
+ * below SHUTTER_CLOSED is closed, from SHUTTER_OPEN up is open, in between strobes
+ * with a rate rising from STROBE_MIN_HZ to STROBE_MAX_HZ.
+ */
+const SHUTTER_CLOSED = 0.02;
+const SHUTTER_OPEN = 0.5;
+const STROBE_MIN_HZ = 1;
+const STROBE_MAX_HZ = 20;
+
+/**
+ * Read a fixture's channels back into normalised (0-1) attributes
+ */
+export function readFixtureChannels(universe, patch) {
+  const attributes = {};
+
+  patch.channels.forEach((channel, offset) => {
+    if (channel.endsWith('Fine')) return;
+
+    const address = patch.address + offset;
+    const fineOffset = patch.channels.indexOf(`${channel}Fine`);
+
+    if (fineOffset !== -1) {
+      const fine = universe.get(patch.address + fineOffset);
+      attributes[channel] = ((universe.get(address) << 8) | fine) / 65535;
+    } else {
+      attributes[channel] = universe.get(address) / 255;
+    }
+  });
+
+  return attributes;
+}
+
+/**
+ * Whether the shutter lets light through at a given time
+ * @param {number} shutter - Normalised shutter channel (undefined = no shutter channel)
+ * @param {number} time - Seconds
+ */
+export function isShutterOpen(shutter, time) {
+  if (shutter === undefined || shutter >= SHUTTER_OPEN) return true;
+  if (shutter < SHUTTER_CLOSED) return false;
+
+  const amount = (shutter - SHUTTER_CLOSED) / (SHUTTER_OPEN - SHUTTER_CLOSED);
+  const rate = STROBE_MIN_HZ + amount * (STROBE_MAX_HZ - STROBE_MIN_HZ);
+  return (time * rate) % 1 < 0.2;
+}
+
+/**
+ * Unit direction for pan/tilt in degrees (inverse of aimToPanTilt)
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function panTiltToDirection(pan, tilt) {
+  const panRad = (pan * Math.PI) / 180;
+  const tiltRad = (tilt * Math.PI) / 180;
+
+  return {
+    x: Math.sin(tiltRad) * Math.sin(panRad),
+    y: -Math.cos(tiltRad),
+    z: Math.sin(tiltRad) * Math.cos(panRad),
+  };
+}
+
+/**
+ * WebSocket connection to relay/dmx-relay.js that reconnects until closed
+ */
+class RelayConnection {
+  constructor(relayUrl, label) {
+    this.relayUrl = relayUrl || 'ws://localhost:6455';
+    this.label = label;
+
+    this.socket = null;
+    this.connected = false;
+    this.closed = false;
+    this.reconnectDelay = 1000;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Open the relay connection (reconnects automatically until close())
+   */
+  connect() {
+    this.close();
+    this.closed = false;
+    this.open();
+  }
+
+  open() {
+    const socket = new WebSocket(this.relayUrl);
+    socket.binaryType = 'arraybuffer';
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      this.connected = true;
+      this.reconnectDelay = 1000;
+      console.log(`${this.label} connected:`, this.relayUrl);
+    });
+
+    socket.addEventListener('message', (event) => {
+      if (event.data instanceof ArrayBuffer) {
+        this.onPacket(new Uint8Array(event.data));
+      }
+    });
+
+    socket.addEventListener('close', () => {
+      // A socket replaced by connect() or closed by close() must not reconnect
+      if (this.closed || this.socket !== socket) return;
+
+      this.connected = false;
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.open();
+      }, this.reconnectDelay);
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, 10000);
+    });
+
+    socket.addEventListener('error', () => {
+      console.warn('DMX relay connection failed:', this.relayUrl);
+    });
+  }
+
+  /**
+   * Handle a binary message from the relay
+   */
+  onPacket(_packet) {}
+
+  /**
+   * Close the relay connection
+   */
+  close() {
+    this.closed = true;
+    this.connected = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * Streams universes as Art-Net or sACN packets to the local relay over a WebSocket
+ */
+export class DMXOutput extends RelayConnection {
+  /**
+   * @param {Object} options
+   * @param {string} [options.relayUrl] - WebSocket URL of relay/dmx-relay.js
+   * @param {string} [options.protocol] - 'artnet' or 'sacn'
+   * @param {number} [options.rate] - Frames per second
+   */
+  constructor(options = {}) {
+    const protocol = options.protocol || 'artnet';
+    super(options.relayUrl, `DMX output (${protocol})`);
+
+    this.protocol = protocol;
+    this.rate = options.rate || 40;
+    this.sinceLastFrame = 0;
+    this.sequences = new Map();
+    this.cid = crypto.getRandomValues(new Uint8Array(16));
+  }
+
+  /**
+   * Send universes if a frame is due
+   * @param {Map<number, DMXUniverse>} universes
+   * @param {number} deltaTime - Seconds since last call
+   */
+  update(universes, deltaTime) {
+    this.sinceLastFrame += deltaTime;
+    if (this.sinceLastFrame < 1 / this.rate) return;
+    this.sinceLastFrame = 0;
+
+    // Drop frames rather than queue them behind a slow relay
+    if (!this.connected || this.socket.bufferedAmount > 64 * 1024) return;
+
+    for (const universe of universes.values()) {
+      this.socket.send(this.encode(universe));
+    }
+  }
+
+  /**
+   * Build a packet for one universe
+   */
+  encode(universe) {
+    const sequence = ((this.sequences.get(universe.number) || 0) % 255) + 1;
+    this.sequences.set(universe.number, sequence);
+
+    if (this.protocol === 'sacn') {
+      // sACN universes start at 1
+      return encodeSacnData(universe.number + 1, universe.data, { cid: this.cid, sequence });
+    }
+
+    return encodeArtDmx(universe.number, universe.data, sequence);
+  }
+}
+
+/**
+ * Receives DMX frames from an external desk via the relay's Art-Net listener
+ */
+export class DMXInput extends RelayConnection {
+  /**
+   * @param {Object} options
+   * @param {string} [options.relayUrl] - WebSocket URL of relay/dmx-relay.js (run with --listen)
+   */
+  constructor(options = {}) {
+    super(options.relayUrl, 'DMX input');
+
+    this.universes = new Map();
+    this.lastFrameAt = 0;
+  }
+
+  /**
+   * Store an incoming frame in its universe
+   */
+  onPacket(packet) {
+    const frame = decodeDmxPacket(packet);
+    if (!frame) return;
+
+    // Match the output numbering: sACN universe 1 is Art-Net port address 0
+    const number = frame.protocol === 'sacn' ? frame.universe - 1 : frame.universe;
+
+    if (!this.universes.has(number)) {
+      this.universes.set(number, new DMXUniverse(number));
+    }
+
+    this.universes.get(number).data.set(frame.data.subarray(0, DMX_CHANNELS));
+    this.lastFrameAt = performance.now();
+  }
+
+  /**
+   * Get a received universe (null until the desk has sent it)
+   */
+  getUniverse(number) {
+    return this.universes.get(number) || null;
+  }
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,184 @@
+/**
+ * DMXProtocol.js - Art-Net and sACN (E1.31) packet encoding/decoding
+ *
+ * Dependency-free so the browser bridge and the Node relay share it.
+ */
+
+export const DMX_CHANNELS = 512;
+
+export const ARTNET_PORT = 6454;
+export const SACN_PORT = 5568;
+
+const ARTNET_ID = 'Art-Net\0';
+const ARTNET_OP_DMX = 0x5000;
+const ARTNET_VERSION = 14;
+
+const ACN_ID = 'ASC-E1.17\0\0\0';
+const SACN_HEADER_SIZE = 126;
+const VECTOR_ROOT_E131_DATA = 0x00000004;
+const VECTOR_E131_DATA_PACKET = 0x00000002;
+const VECTOR_DMP_SET_PROPERTY = 0x02;
+
+/**
+ * Encode an ArtDmx packet
+ * @param {number} universe - 15-bit Port-Address (net << 8 | subnet << 4 | universe)
+ * @param {Uint8Array} data - Channel values (up to 512)
+ * @param {number} [sequence] - 1-255, or 0 to disable sequencing
+ * @returns {Uint8Array}
+ */
+export function encodeArtDmx(universe, data, sequence = 0) {
+  // Length must be even and between 2 and 512
+  const length = Math.min(DMX_CHANNELS, Math.max(2, data.length + (data.length % 2)));
+  const packet = new Uint8Array(18 + length);
+  const view = new DataView(packet.buffer);
+
+  writeAscii(packet, 0, ARTNET_ID);
+  view.setUint16(8, ARTNET_OP_DMX, true);
+  view.setUint16(10, ARTNET_VERSION);
+  packet[12] = sequence & 0xff;
+  packet[13] = 0; // Physical
+  packet[14] = universe & 0xff; // SubUni
+  packet[15] = (universe >> 8) & 0x7f; // Net
+  view.setUint16(16, length);
+  packet.set(data.subarray(0, length), 18);
+
+  return packet;
+}
+
+/**
+ * Decode an ArtDmx packet
+ * @param {Uint8Array} packet
+ * @returns {{protocol: string, universe: number, sequence: number, data: Uint8Array}|null}
+ */
+export function decodeArtDmx(packet) {
+  if (!isArtNet(packet) || packet.length < 18) return null;
+
+  const view = new DataView(packet.buffer, packet.byteOffset, packet.byteLength);
+  if (view.getUint16(8, true) !== ARTNET_OP_DMX) return null;
+
+  const length = Math.min(view.getUint16(16), packet.length - 18);
+
+  return {
+    protocol: 'artnet',
+    universe: packet[14] | (packet[15] << 8),
+    sequence: packet[12],
+    data: packet.slice(18, 18 + length),
+  };
+}
+
+/**
+ * Encode an E1.31 data packet
+ * @param {number} universe - 1-63999
+ * @param {Uint8Array} data - Channel values (up to 512)
+ * @param {Object} options
+ * @param {Uint8Array} options.cid - 16-byte component identifier
+ * @param {string} [options.sourceName]
+ * @param {number} [options.sequence] - 0-255
+ * @param {number} [options.priority] - 0-200
+ * @returns {Uint8Array}
+ */
+export function encodeSacnData(universe, data, options) {
+  const { cid, sourceName = 'XR Industrial Club', sequence = 0, priority = 100 } = options;
+  const channels = Math.min(DMX_CHANNELS, data.length);
+  const packet = new Uint8Array(SACN_HEADER_SIZE + channels);
+  const view = new DataView(packet.buffer);
+
+  // Root layer
+  view.setUint16(0, 0x0010); // Preamble size
+  view.setUint16(2, 0x0000); // Postamble size
+  writeAscii(packet, 4, ACN_ID);
+  view.setUint16(16, 0x7000 | (packet.length - 16));
+  view.setUint32(18, VECTOR_ROOT_E131_DATA);
+  packet.set(cid.subarray(0, 16), 22);
+
+  // Framing layer
+  view.setUint16(38, 0x7000 | (packet.length - 38));
+  view.setUint32(40, VECTOR_E131_DATA_PACKET);
+  writeAscii(packet, 44, sourceName.slice(0, 63));
+  packet[108] = priority;
+  view.setUint16(109, 0); // Synchronization address
+  packet[111] = sequence & 0xff;
+  packet[112] = 0; // Options
+  view.setUint16(113, universe);
+
+  // DMP layer
+  view.setUint16(115, 0x7000 | (packet.length - 115));
+  packet[117] = VECTOR_DMP_SET_PROPERTY;
+  packet[118] = 0xa1; // Address type & data type
+  view.setUint16(119, 0x0000); // First property address
+  view.setUint16(121, 0x0001); // Address increment
+  view.setUint16(123, channels + 1); // Property value count (incl. start code)
+  packet[125] = 0x00; // DMX start code
+  packet.set(data.subarray(0, channels), SACN_HEADER_SIZE);
+
+  return packet;
+}
+
+/**
+ * Decode an E1.31 data packet
+ * @param {Uint8Array} packet
+ * @returns {{protocol: string, universe: number, sequence: number, priority: number, sourceName: string, data: Uint8Array}|null}
+ */
+export function decodeSacnData(packet) {
+  if (!isSacn(packet) || packet.length < SACN_HEADER_SIZE) return null;
+
+  const view = new DataView(packet.buffer, packet.byteOffset, packet.byteLength);
+  if (view.getUint32(18) !== VECTOR_ROOT_E131_DATA) return null;
+  if (view.getUint32(40) !== VECTOR_E131_DATA_PACKET) return null;
+  if (packet[125] !== 0x00) return null; // Only plain DMX start code
+
+  const channels = Math.min(view.getUint16(123) - 1, packet.length - SACN_HEADER_SIZE);
+
+  return {
+    protocol: 'sacn',
+    universe: view.getUint16(113),
+    sequence: packet[111],
+    priority: packet[108],
+    sourceName: readAscii(packet, 44, 64),
+    data: packet.slice(SACN_HEADER_SIZE, SACN_HEADER_SIZE + channels),
+  };
+}
+
+/**
+ * Decode either protocol
+ */
+export function decodeDmxPacket(packet) {
+  if (isArtNet(packet)) return decodeArtDmx(packet);
+  if (isSacn(packet)) return decodeSacnData(packet);
+  return null;
+}
+
+/**
+ * Check for the Art-Net packet ID
+ */
+export function isArtNet(packet) {
+  return packet.length >= 8 && readAscii(packet, 0, 8) === 'Art-Net';
+}
+
+/**
+ * Check for the ACN packet identifier
+ */
+export function isSacn(packet) {
+  return packet.length >= 16 && readAscii(packet, 4, 12) === 'ASC-E1.17';
+}
+
+/**
+ * Multicast group for an sACN universe
+ */
+export function sacnMulticastAddress(universe) {
+  return `239.255.${(universe >> 8) & 0xff}.${universe & 0xff}`;
+}
+
+function writeAscii(target, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    target[offset + i] = text.charCodeAt(i) & 0x7f;
+  }
+}
+
+function readAscii(source, offset, length) {
+  let text = '';
+  for (let i = offset; i < offset + length && source[i]; i++) {
+    text += String.fromCharCode(source[i]);
+  }
+  return text;
+}
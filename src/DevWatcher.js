@@ -0,0 +1,157 @@
+/**
+ * DevWatcher.js - Polls files during development and reports when they change
+ *
+ * Each poll is a conditional request (If-None-Match, else If-Modified-Since) so an unchanged file
+ * costs a 304. The body is still compared on a 200, which covers servers without validators and
+ * saves that touch a file without changing it.
+ */
+
+const DEFAULT_INTERVAL = 1000;
+
+/**
+ * Watches URLs and emits 'change' with { url, text } when their contents change
+ */
+export class FileWatcher {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.interval] - Milliseconds between polls
+   */
+  constructor({ interval = DEFAULT_INTERVAL } = {}) {
+    this.interval = interval;
+
+    // url -> { etag, lastModified, text, failed }
+    this.files = new Map();
+    this.timer = null;
+    this.polling = false;
+
+    this.listeners = new Map();
+  }
+
+  /**
+   * Start watching a URL; its current contents are the baseline
+   * @param {string} url
+   */
+  async watch(url) {
+    if (this.files.has(url)) return;
+
+    const state = { etag: null, lastModified: null, text: null, failed: false };
+    this.files.set(url, state);
+    await this.check(url, state);
+  }
+
+  /**
+   * Stop watching a URL
+   */
+  unwatch(url) {
+    this.files.delete(url);
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.interval);
+    console.log(`Watching ${this.files.size} files for changes`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Check every watched file once
+   */
+  async poll() {
+    // A slow server must not stack up requests
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      for (const [url, state] of this.files) {
+        const text = await this.check(url, state);
+
+        // Skip files unwatched while the request was in flight
+        if (text !== null && this.files.get(url) === state) {
+          this.emit('change', { url, text });
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Fetch a file if it changed since the last check
+   * @returns {Promise<string|null>} New contents, null when unchanged, unreachable or on the first
+   *   check
+   */
+  async check(url, state) {
+    const headers = {};
+    if (state.etag) {
+      headers['If-None-Match'] = state.etag;
+    } else if (state.lastModified) {
+      headers['If-Modified-Since'] = state.lastModified;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { cache: 'no-store', headers });
+    } catch (error) {
+      if (!state.failed) {
+        console.warn(`Watcher: ${url} unreachable:`, error.message);
+      }
+      state.failed = true;
+      return null;
+    }
+    state.failed = false;
+
+    // A file missing half-way through a save shows up again on a later poll
+    if (response.status === 304 || !response.ok) {
+      return null;
+    }
+
+    const text = await response.text();
+    const changed = state.text !== null && text !== state.text;
+
+    state.etag = response.headers.get('ETag');
+    state.lastModified = response.headers.get('Last-Modified');
+    state.text = text;
+
+    return changed ? text : null;
+  }
+
+  /**
+   * Subscribe to 'change' events
+   * @returns {Function} Unsubscribe
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+    return () => this.listeners.get(event).delete(callback);
+  }
+
+  emit(event, data) {
+    const callbacks = this.listeners.get(event);
+    if (callbacks) {
+      for (const callback of callbacks) {
+        callback(data);
+      }
+    }
+  }
+
+  /**
+   * Stop polling and forget every file
+   */
+  dispose() {
+    this.stop();
+    this.files.clear();
+    this.listeners.clear();
+  }
+}
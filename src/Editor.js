@@ -0,0 +1,602 @@
+/**
+ * Editor.js - In-world lightplan editor
+ *
+ * Shows a handle for each fixture (and its aim point) that can be dragged with TransformControls
+ * on desktop or grabbed with a controller's squeeze in VR. Edits go into a copy of the loaded
+ * lightplan, which replaces it (rebuilding the affected fixtures live) whenever it validates, and
+ * can be exported as lightplan JSON.
+ */
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { FIXTURE_SCHEMAS, getFixtureIds, validateLightplan } from './LightplanSchema.js';
+
+const BODY_SIZE = 0.3;
+const AIM_RADIUS = 0.12;
+
+// Pointer movement (px) up to which a press and release counts as a click
+const CLICK_TOLERANCE = 5;
+
+// Meters in front of the camera where added fixtures appear
+const ADD_DISTANCE = 4;
+
+const bodyGeometry = new THREE.BoxGeometry(BODY_SIZE, BODY_SIZE, BODY_SIZE);
+const aimGeometry = new THREE.SphereGeometry(AIM_RADIUS, 12, 8);
+
+const ray = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+const rotation = new THREE.Matrix4();
+const worldPosition = new THREE.Vector3();
+
+/**
+ * Whether a fixture type can be aimed at a target point
+ */
+export function isAimable(type) {
+  return Boolean(FIXTURE_SCHEMAS[type] && FIXTURE_SCHEMAS[type].properties.target);
+}
+
+/**
+ * Edits a copy of the LightManager's lightplan; the LightManager only ever gets valid versions
+ */
+export class LightplanEditor {
+  /**
+   * @param {Object} options
+   * @param {THREE.Scene} options.scene
+   * @param {THREE.Camera} options.camera
+   * @param {THREE.WebGLRenderer} options.renderer
+   * @param {LightManager} options.lightManager
+   * @param {Controls} options.controls - Orbit controls are paused while dragging
+   */
+  constructor({ scene, camera, renderer, lightManager, controls }) {
+    this.scene = scene;
+    this.camera = camera;
+    this.renderer = renderer;
+    this.lightManager = lightManager;
+    this.controls = controls;
+
+    this.enabled = false;
+    this.plan = null;
+    this.selected = -1;
+    this.validation = { valid: true, errors: [], warnings: [] };
+
+    // Fixture entries edited but not yet rebuilt (kept while the plan is invalid)
+    this.dirty = new Set();
+    this.changed = false;
+    // Fixtures were added or removed since the last commit
+    this.restructured = false;
+
+    this.helpers = new THREE.Group();
+    this.helpers.name = 'lightplan-editor';
+    this.handles = [];
+
+    this.transform = new TransformControls(camera, renderer.domElement);
+    this.transform.addEventListener('dragging-changed', (event) => {
+      if (this.controls.orbitControls) {
+        this.controls.orbitControls.enabled = !event.value;
+      }
+
+      // Fixtures only move while dragging; validate and rebuild once it ends
+      this.dragging = event.value;
+      if (!event.value) {
+        this.flush();
+      }
+    });
+    this.transform.addEventListener('objectChange', () => {
+      this.onHandleMoved(this.transform.object);
+    });
+
+    // VR grabs: controller -> handle
+    this.grabs = new Map();
+    this.dragging = false;
+    this.controllersBound = false;
+
+    this.pointerDown = null;
+    this.listeners = new Map();
+  }
+
+  /**
+   * Start editing the loaded lightplan (or a new empty one)
+   */
+  enable() {
+    if (this.enabled) return;
+
+    const manager = this.lightManager;
+    this.plan = manager.lightplan
+      ? structuredClone(manager.lightplan)
+      : { bpm: manager.bpm, fixtures: [] };
+
+    // Explicit ids so removing a fixture never renumbers the others
+    const ids = getFixtureIds(this.plan.fixtures);
+    this.plan.fixtures.forEach((data, index) => {
+      data.id = ids[index];
+    });
+
+    if (!manager.lightplan) {
+      manager.applyLightplan(structuredClone(this.plan));
+    }
+    manager.setEditMode(true);
+
+    this.enabled = true;
+    this.scene.add(this.helpers);
+    this.scene.add(this.transform);
+    this.bindControllers();
+
+    this.renderer.domElement.addEventListener('pointerdown', this.onPointerDown);
+    this.renderer.domElement.addEventListener('pointerup', this.onPointerUp);
+
+    this.rebuildHandles();
+    this.validate();
+    this.select(this.plan.fixtures.length > 0 ? 0 : -1);
+  }
+
+  /**
+   * Stop editing and hand the fixtures back to the cues or show. Edits that do not validate are
+   * dropped: the fixtures are rebuilt from the last valid plan.
+   */
+  disable() {
+    if (!this.enabled) return;
+
+    this.flush();
+    if (!this.validation.valid) {
+      console.warn('Lightplan edits do not validate; restoring the last valid plan');
+      this.lightManager.applyLightplan(this.lightManager.lightplan);
+      this.dirty.clear();
+      this.restructured = false;
+    }
+
+    this.enabled = false;
+    this.transform.detach();
+    this.dragging = false;
+    this.scene.remove(this.transform);
+    this.scene.remove(this.helpers);
+    this.clearHandles();
+    this.grabs.clear();
+
+    this.renderer.domElement.removeEventListener('pointerdown', this.onPointerDown);
+    this.renderer.domElement.removeEventListener('pointerup', this.onPointerUp);
+
+    this.lightManager.setEditMode(false);
+  }
+
+  /**
+   * Select a fixture by plan index (-1 for none) and attach the gizmo to its body
+   * @param {number} index
+   * @param {string} [handle] - 'position' or 'target'
+   */
+  select(index, handle = 'position') {
+    this.selected = index;
+
+    const mesh = this.handles.find((candidate) => {
+      return candidate.userData.index === index && candidate.userData.handle === handle;
+    });
+
+    if (mesh && !this.renderer.xr.isPresenting) {
+      this.transform.attach(mesh);
+    } else {
+      this.transform.detach();
+    }
+
+    this.emit('select', this.getSelection());
+  }
+
+  /**
+   * The selected fixture's entry and what the panel can edit for it
+   * @returns {{index: number, data: Object, color: string, aimable: boolean,
+   *   beamAngle: Object|null}|null}
+   */
+  getSelection() {
+    const data = this.plan && this.plan.fixtures[this.selected];
+    if (!data) return null;
+
+    const fixture = this.getFixture(data);
+    const schema = FIXTURE_SCHEMAS[data.type];
+
+    const color =
+      fixture && !data.color ? fixture.home.color : new THREE.Color(data.color || '#ffffff');
+
+    return {
+      index: this.selected,
+      data,
+      color: `#${color.getHexString()}`,
+      aimable: isAimable(data.type),
+      beamAngle: schema ? schema.properties.beamAngle || null : null,
+    };
+  }
+
+  /**
+   * Set color, intensity or beamAngle of the selected fixture
+   * @param {string} key
+   * @param {*} value - Undefined or NaN removes the property (the fixture default applies)
+   */
+  setProperty(key, value) {
+    const data = this.plan.fixtures[this.selected];
+    if (!data) return;
+
+    if (value === undefined || Number.isNaN(value)) {
+      delete data[key];
+    } else {
+      data[key] = value;
+    }
+
+    this.markDirty(data);
+    this.updateHandleColor(this.selected, data);
+  }
+
+  /**
+   * Add a fixture in front of the camera, aimed straight down
+   * @param {string} type - Fixture type
+   */
+  addFixture(type) {
+    const position = this.camera.getWorldPosition(new THREE.Vector3());
+    const direction = this.camera.getWorldDirection(new THREE.Vector3());
+    position.addScaledVector(direction, ADD_DISTANCE);
+    position.y = Math.max(position.y, 1);
+
+    const data = { id: this.createId(type), type, position: roundVector(position) };
+    if (isAimable(type)) {
+      data.target = [data.position[0], 0, data.position[2]];
+    }
+
+    this.plan.fixtures.push(data);
+    this.applyStructure();
+    this.select(this.plan.fixtures.length - 1);
+  }
+
+  /**
+   * Copy the selected fixture, offset to the side
+   */
+  duplicateSelected() {
+    const source = this.plan.fixtures[this.selected];
+    if (!source) return;
+
+    const data = JSON.parse(JSON.stringify(source));
+    data.id = this.createId(source.type);
+    data.position[0] += 1;
+    if (data.target) {
+      data.target[0] += 1;
+    }
+    delete data.dmx;
+
+    this.plan.fixtures.splice(this.selected + 1, 0, data);
+    this.applyStructure();
+    this.select(this.selected + 1);
+  }
+
+  /**
+   * Remove the selected fixture and every group, cue look and timeline event that names it
+   */
+  removeSelected() {
+    const data = this.plan.fixtures[this.selected];
+    if (!data) return;
+
+    this.plan.fixtures.splice(this.selected, 1);
+    removeReferences(this.plan, data.id);
+
+    this.applyStructure();
+    this.select(Math.min(this.selected, this.plan.fixtures.length - 1));
+  }
+
+  /**
+   * The edited lightplan as JSON text, with its validation result
+   * @returns {{json: string, validation: {valid: boolean, errors: Array, warnings: Array}}}
+   */
+  exportPlan() {
+    this.flush();
+    return { json: `${JSON.stringify(this.plan, null, 2)}\n`, validation: this.validation };
+  }
+
+  /**
+   * Follow VR grabs and apply edits once nothing is being dragged (call once per frame)
+   */
+  update() {
+    if (!this.enabled) return;
+
+    for (const handle of this.grabs.values()) {
+      this.onHandleMoved(handle);
+    }
+
+    if (!this.dragging && this.grabs.size === 0) {
+      this.flush();
+    }
+  }
+
+  markDirty(data) {
+    this.dirty.add(data);
+    this.changed = true;
+  }
+
+  /**
+   * Commit the edits once the plan is valid
+   */
+  flush() {
+    if (!this.changed) return;
+    this.changed = false;
+
+    this.validate();
+
+    if (this.validation.valid) {
+      this.commit();
+    }
+
+    this.emit('select', this.getSelection());
+  }
+
+  /**
+   * Give the LightManager a copy of the valid plan, so later edits stay out of it until they
+   * validate too. Fixtures added or removed since the last commit rebuild every fixture; other
+   * edits rebuild only the fixtures whose entries changed.
+   */
+  commit() {
+    const manager = this.lightManager;
+    const plan = structuredClone(this.plan);
+
+    if (this.restructured) {
+      manager.applyLightplan(plan);
+    } else {
+      for (const data of this.dirty) {
+        const fixture = this.getFixture(data);
+        if (fixture) {
+          manager.replaceFixture(fixture, { ...data });
+        }
+      }
+      manager.lightplan = plan;
+    }
+
+    this.restructured = false;
+    this.dirty.clear();
+  }
+
+  validate() {
+    this.validation = validateLightplan(this.plan);
+    this.emit('change', this.validation);
+  }
+
+  /**
+   * Rebuild every fixture after fixtures were added or removed
+   */
+  applyStructure() {
+    this.restructured = true;
+    this.changed = true;
+    this.flush();
+    this.rebuildHandles();
+  }
+
+  getFixture(data) {
+    return this.lightManager.fixtures.find((fixture) => fixture.id === data.id) || null;
+  }
+
+  createId(type) {
+    const ids = new Set(getFixtureIds(this.plan.fixtures));
+    let count = 1;
+    while (ids.has(`${type}-${count}`)) {
+      count++;
+    }
+    return `${type}-${count}`;
+  }
+
+  /**
+   * Write a moved handle's position into its fixture entry and move the fixture to match (it is
+   * rebuilt by the next flush())
+   */
+  onHandleMoved(mesh) {
+    if (!mesh) return;
+
+    const { index, handle } = mesh.userData;
+    const data = this.plan.fixtures[index];
+    if (!data) return;
+
+    data[handle] = roundVector(mesh.getWorldPosition(worldPosition));
+    this.markDirty(data);
+    this.updateAimLine(index);
+
+    const fixture = this.getFixture(data);
+    if (fixture) {
+      this.lightManager.moveFixture(fixture, { [handle]: data[handle] });
+    }
+  }
+
+  rebuildHandles() {
+    this.clearHandles();
+
+    this.plan.fixtures.forEach((data, index) => {
+      const material = new THREE.MeshBasicMaterial({ wireframe: true, depthTest: false });
+      const body = new THREE.Mesh(bodyGeometry, material);
+      body.position.fromArray(data.position);
+      body.userData = { index, handle: 'position' };
+      body.renderOrder = 2;
+      this.helpers.add(body);
+      this.handles.push(body);
+
+      if (isAimable(data.type)) {
+        const fixture = this.getFixture(data);
+        const target = data.target
+          ? new THREE.Vector3().fromArray(data.target)
+          : (fixture && fixture.home.target) ||
+            new THREE.Vector3(data.position[0], 0, data.position[2]);
+
+        const aim = new THREE.Mesh(aimGeometry, material);
+        aim.position.copy(target);
+        aim.userData = { index, handle: 'target' };
+        aim.renderOrder = 2;
+        this.helpers.add(aim);
+        this.handles.push(aim);
+
+        const line = new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints([body.position, aim.position]),
+          new THREE.LineDashedMaterial({ dashSize: 0.2, gapSize: 0.1, depthTest: false })
+        );
+        line.computeLineDistances();
+        line.userData = { index, handle: 'line' };
+        this.helpers.add(line);
+      }
+
+      this.updateHandleColor(index, data);
+    });
+  }
+
+  clearHandles() {
+    this.transform.detach();
+
+    for (const child of [...this.helpers.children]) {
+      if (child.userData.handle === 'line') {
+        child.geometry.dispose();
+      }
+      if (child.userData.handle !== 'target') {
+        child.material.dispose();
+      }
+      this.helpers.remove(child);
+    }
+    this.handles = [];
+  }
+
+  updateHandleColor(index, data) {
+    const color = new THREE.Color(data.color || '#ffffff');
+
+    for (const child of this.helpers.children) {
+      if (child.userData.index === index) {
+        child.material.color.copy(color);
+      }
+    }
+  }
+
+  updateAimLine(index) {
+    const [body, aim] = this.handles.filter((mesh) => mesh.userData.index === index);
+    const line = this.helpers.children.find((child) => {
+      return child.userData.index === index && child.userData.handle === 'line';
+    });
+    if (!line || !aim) return;
+
+    line.geometry.setFromPoints([
+      body.getWorldPosition(new THREE.Vector3()),
+      aim.getWorldPosition(new THREE.Vector3()),
+    ]);
+    line.computeLineDistances();
+  }
+
+  /**
+   * Pick a handle under the pointer on click (drags belong to the gizmo and orbit controls)
+   */
+  onPointerDown = (event) => {
+    this.pointerDown = { x: event.clientX, y: event.clientY };
+  };
+
+  onPointerUp = (event) => {
+    const start = this.pointerDown;
+    this.pointerDown = null;
+    if (!start || this.transform.dragging) return;
+
+    const moved = Math.hypot(event.clientX - start.x, event.clientY - start.y);
+    if (moved > CLICK_TOLERANCE) return;
+
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    ray.setFromCamera(pointer, this.camera);
+
+    const [hit] = ray.intersectObjects(this.handles, false);
+    if (hit) {
+      this.select(hit.object.userData.index, hit.object.userData.handle);
+    }
+  };
+
+  /**
+   * Grab handles with either controller's squeeze in VR
+   */
+  bindControllers() {
+    if (this.controllersBound) return;
+    this.controllersBound = true;
+
+    for (let i = 0; i < 2; i++) {
+      const controller = this.renderer.xr.getController(i);
+
+      controller.addEventListener('squeezestart', () => {
+        if (!this.enabled) return;
+
+        rotation.identity().extractRotation(controller.matrixWorld);
+        ray.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        ray.ray.direction.set(0, 0, -1).applyMatrix4(rotation);
+
+        const [hit] = ray.intersectObjects(this.handles, false);
+        if (hit) {
+          controller.attach(hit.object);
+          this.grabs.set(controller, hit.object);
+          this.select(hit.object.userData.index, hit.object.userData.handle);
+        }
+      });
+
+      controller.addEventListener('squeezeend', () => {
+        const handle = this.grabs.get(controller);
+        if (!handle) return;
+
+        this.grabs.delete(controller);
+        this.helpers.attach(handle);
+        this.onHandleMoved(handle);
+      });
+    }
+  }
+
+  /**
+   * Subscribe to 'select' (the selection from getSelection()) or 'change' (validation result)
+   * @returns {Function} Unsubscribe
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+    return () => this.listeners.get(event).delete(callback);
+  }
+
+  emit(event, data) {
+    const callbacks = this.listeners.get(event);
+    if (callbacks) {
+      for (const callback of callbacks) {
+        callback(data);
+      }
+    }
+  }
+
+  /**
+   * Leave edit mode and release the gizmo
+   */
+  dispose() {
+    this.disable();
+    this.transform.dispose();
+    this.listeners.clear();
+  }
+}
+
+/**
+ * Drop a removed fixture id from groups (removing groups left empty), cue looks and timeline
+ * events, so the plan stays valid
+ */
+function removeReferences(plan, id) {
+  const names = new Set([id]);
+
+  for (const [name, group] of Object.entries(plan.groups || {})) {
+    group.fixtures = group.fixtures.filter((member) => member !== id);
+    if (group.fixtures.length === 0) {
+      delete plan.groups[name];
+      names.add(name);
+    }
+  }
+
+  for (const cue of plan.cues || []) {
+    for (const name of names) {
+      if (cue.fixtures) delete cue.fixtures[name];
+    }
+  }
+
+  if (plan.timeline) {
+    plan.timeline.events = plan.timeline.events.filter((event) => !names.has(event.target));
+  }
+}
+
+/**
+ * Vector as a lightplan array, rounded to centimeters
+ */
+function roundVector(vector) {
+  return vector.toArray().map((value) => Math.round(value * 100) / 100);
+}
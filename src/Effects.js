@@ -0,0 +1,161 @@
+/**
+ * Effects.js - Parameterised pan/tilt, intensity and color effects
+ *
+ * An effect modifies a fixture's look ({ color, intensity, target }) from the beat count.
+ * Fixtures sharing an effect are spread across its cycle by their rank in the group.
+ */
+
+import * as THREE from 'three';
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Built-in effect types
+ * - kind: 'position' effects move the aim point (meters around the base target),
+ *   'intensity' and 'color' effects change the output, 'gobo' and 'wheel' effects turn a moving
+ *   head's gobo and color wheels
+ * - speed: beats per cycle, size: meters (degrees for gobo-shake), spread: fraction of a cycle
+ *   across the group
+ */
+export const EFFECT_TYPES = {
+  circle: { kind: 'position', speed: 16, size: 3, spread: 0 },
+  'figure-eight': { kind: 'position', speed: 16, size: 3, spread: 0 },
+  ballyhoo: { kind: 'position', speed: 8, size: 5, spread: 0.5 },
+  fan: { kind: 'position', speed: 16, size: 4, spread: 0 },
+  wave: { kind: 'position', speed: 8, size: 2, spread: 1 },
+  chase: { kind: 'intensity', speed: 4, size: 0, spread: 1 },
+  rainbow: { kind: 'color', speed: 16, size: 0, spread: 0.5 },
+  'random-color': { kind: 'color', speed: 4, size: 0, spread: 0 },
+  'gobo-shake': { kind: 'gobo', speed: 1, size: 20, spread: 0 },
+  'gobo-step': { kind: 'gobo', speed: 4, size: 0, spread: 0 },
+  'wheel-step': { kind: 'wheel', speed: 4, size: 0, spread: 0 },
+  'wheel-scroll': { kind: 'wheel', speed: 16, size: 0, spread: 0.5 },
+};
+
+/**
+ * Names a cue look can use besides effects: the fixture's lightplan effects or a static look
+ */
+export const RESERVED_EFFECT_NAMES = ['default', 'none'];
+
+/**
+ * Resolve an effect reference against the lightplan's named effects
+ * @param {string|Object} ref - Effect or preset name, or { name, ...parameter overrides }
+ * @param {Object} presets - Lightplan `effects` map of { type, ...parameters }
+ * @returns {{name: string, type: string, kind: string, speed: number, size: number,
+ *   spread: number, direction: string, colors: Array<THREE.Color>}|null} Null for an unknown name
+ */
+export function resolveEffect(ref, presets = {}) {
+  const { name, ...overrides } = typeof ref === 'string' ? { name: ref } : ref;
+  const preset = presets[name] || (EFFECT_TYPES[name] ? { type: name } : null);
+  if (!preset) return null;
+
+  const params = { ...preset, ...overrides };
+  const defaults = EFFECT_TYPES[params.type];
+
+  return {
+    name,
+    type: params.type,
+    kind: defaults.kind,
+    speed: params.speed || defaults.speed,
+    size: params.size !== undefined ? params.size : defaults.size,
+    spread: params.spread !== undefined ? params.spread : defaults.spread,
+    direction: params.direction || 'forward',
+    colors: (params.colors || []).map((value) => new THREE.Color(value)),
+  };
+}
+
+/**
+ * Apply an effect to a look in place
+ * @param {Object} effect - From resolveEffect()
+ * @param {{color: THREE.Color, intensity: number, target: THREE.Vector3|null,
+ *   wheels: {gobo: number, goboAngle: number, wheel: number}|null}} look
+ * @param {number} beats - Beat count
+ * @param {{index: number, count: number, phase: number|undefined}} slot - Fixture's rank in the
+ *   effect's group; `phase` (cycles) replaces the effect's spread when the group sets one
+ */
+export function applyEffect(effect, look, beats, slot) {
+  const { type, size } = effect;
+  const sign = effect.direction === 'reverse' ? -1 : 1;
+  const offset = slot.phase !== undefined ? slot.phase : (slot.index / slot.count) * effect.spread;
+  const t = (sign * beats) / effect.speed - offset;
+  const angle = t * TWO_PI;
+
+  if (effect.kind === 'position' && !look.target) return;
+  if ((effect.kind === 'gobo' || effect.kind === 'wheel') && !look.wheels) return;
+
+  switch (type) {
+    case 'circle':
+      look.target.x += Math.cos(angle) * size;
+      look.target.z += Math.sin(angle) * size;
+      break;
+
+    case 'figure-eight':
+      look.target.x += Math.sin(angle) * size;
+      look.target.z += Math.sin(angle * 2) * size * 0.5;
+      break;
+
+    case 'ballyhoo':
+      // Incommensurate sines: big sweeps that never quite repeat
+      look.target.x += ((Math.sin(angle) + 0.5 * Math.sin(angle * 2.3)) / 1.5) * size;
+      look.target.z += ((Math.cos(angle * 1.7) + 0.5 * Math.sin(angle * 0.6)) / 1.5) * size;
+      break;
+
+    case 'fan': {
+      // Opens from the base target out to a line across the group, then closes
+      const across = slot.count > 1 ? (slot.index / (slot.count - 1)) * 2 - 1 : 0;
+      look.target.x += across * size * (0.5 - 0.5 * Math.cos(angle));
+      break;
+    }
+
+    case 'wave':
+      look.target.z += Math.sin(angle) * size;
+      break;
+
+    case 'chase': {
+      const width = slot.count > 1 ? 1 / slot.count : 0.5;
+      look.intensity *= fract(t) < width ? 1 : 0;
+      break;
+    }
+
+    case 'rainbow':
+      look.color.setHSL(fract(t), 1, 0.5);
+      break;
+
+    case 'random-color': {
+      // Deterministic per cycle and slot so seeking a timeline gives the same colors
+      const random = hash(Math.floor(t) * 7919 + slot.index);
+      if (effect.colors.length > 0) {
+        look.color.copy(effect.colors[Math.floor(random * effect.colors.length)]);
+      } else {
+        look.color.setHSL(random, 1, 0.5);
+      }
+      break;
+    }
+
+    case 'gobo-shake':
+      look.wheels.goboAngle += Math.sin(angle) * THREE.MathUtils.degToRad(size);
+      break;
+
+    // Slots past the end of a wheel wrap around to the start
+    case 'gobo-step':
+      look.wheels.gobo += Math.floor(t);
+      break;
+
+    case 'wheel-step':
+      look.wheels.wheel += Math.floor(t);
+      break;
+
+    // Turns the wheel continuously, blending neighbouring slots on the way
+    case 'wheel-scroll':
+      look.wheels.wheel += t;
+      break;
+  }
+}
+
+function fract(value) {
+  return value - Math.floor(value);
+}
+
+function hash(value) {
+  return fract(Math.sin(value * 12.9898) * 43758.5453);
+}
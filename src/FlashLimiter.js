@@ -0,0 +1,159 @@
+/**
+ * FlashLimiter.js - Photosensitivity safety layer for the light output
+ *
+ * Follows the WCAG three-flashes threshold: a flash is a pair of opposing changes in relative
+ * luminance of 10% or more of the maximum, where the darker state is below 0.8, and no more than
+ * three may happen in any one-second period. Each fixture's output is tracked relative to its
+ * lightplan intensity. Flashes that start in the same frame count once (the viewer sees one
+ * flash), and a flash over the budget is held at the dark level until the window has room again.
+ */
+
+/**
+ * Limits in normal and "reduced flashing" mode. pulseDepth scales how deep the intensity pulses
+ * of moving heads and lasers go.
+ */
+export const FLASH_LIMITS = {
+  normal: { maxFlashes: 3, pulseDepth: 1 },
+  reduced: { maxFlashes: 1, pulseDepth: 0.25 },
+};
+
+// Period the flashes are counted over (seconds of real time)
+const FLASH_WINDOW = 1;
+
+// Smallest luminance change that counts, and the level above which a change is not a flash
+const FLASH_THRESHOLD = 0.1;
+const DARK_LIMIT = 0.8;
+
+const STORAGE_KEY = 'xr_reduced_flashing';
+
+/**
+ * Caps flashes per second across every fixture
+ */
+export class FlashLimiter {
+  constructor() {
+    this.reduced = loadReducedFlashing();
+
+    this.time = 0;
+    this.flashTimes = [];
+    this.flashThisFrame = false;
+
+    // Flashes held back since start (how often the limiter stepped in)
+    this.heldFlashes = 0;
+
+    // fixture -> { rising, trough, peak, holding }
+    this.states = new WeakMap();
+  }
+
+  get limits() {
+    return this.reduced ? FLASH_LIMITS.reduced : FLASH_LIMITS.normal;
+  }
+
+  /**
+   * Switch "reduced flashing" on or off and remember the choice
+   */
+  setReduced(reduced) {
+    this.reduced = reduced;
+    saveReducedFlashing(reduced);
+  }
+
+  /**
+   * Start a frame
+   * @param {number} deltaTime - Real seconds since the last frame (whatever the show rate)
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+    this.flashThisFrame = false;
+
+    while (this.flashTimes.length > 0 && this.time - this.flashTimes[0] > FLASH_WINDOW) {
+      this.flashTimes.shift();
+    }
+  }
+
+  /**
+   * Gain that keeps a fixture's output for this frame within the flash budget
+   * @param {Object} fixture
+   * @param {number} luminance - Output the fixture wants, relative to its lightplan intensity
+   * @returns {number} 0-1
+   */
+  limit(fixture, luminance) {
+    const wanted = Math.min(1, Math.max(0, luminance));
+    let state = this.states.get(fixture);
+
+    if (!state) {
+      state = { rising: false, trough: wanted, peak: wanted, holding: false };
+      this.states.set(fixture, state);
+      return 1;
+    }
+
+    if (state.rising) {
+      // Bright: the fall back to dark completes the flash
+      state.peak = Math.max(state.peak, wanted);
+      if (state.peak - wanted >= FLASH_THRESHOLD) {
+        state.rising = false;
+        state.trough = wanted;
+      }
+      return 1;
+    }
+
+    state.trough = Math.min(state.trough, wanted);
+
+    const flash = wanted - state.trough >= FLASH_THRESHOLD && state.trough < DARK_LIMIT;
+    if (!flash) {
+      state.holding = false;
+      return 1;
+    }
+
+    if (this.allowFlash()) {
+      state.rising = true;
+      state.holding = false;
+      state.peak = wanted;
+      return 1;
+    }
+
+    if (!state.holding) {
+      state.holding = true;
+      this.heldFlashes++;
+    }
+    return wanted > 0 ? state.trough / wanted : 1;
+  }
+
+  /**
+   * Flatten an intensity pulse (0-1, 1 = full) to the current pulse depth
+   */
+  dampen(pulse) {
+    return 1 - (1 - pulse) * this.limits.pulseDepth;
+  }
+
+  allowFlash() {
+    if (this.flashThisFrame) return true;
+    if (this.flashTimes.length >= this.limits.maxFlashes) return false;
+
+    this.flashTimes.push(this.time);
+    this.flashThisFrame = true;
+    return true;
+  }
+}
+
+/**
+ * Stored "reduced flashing" choice, else the system's reduced-motion preference
+ */
+function loadReducedFlashing() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored !== null) {
+      return stored === 'true';
+    }
+  } catch (error) {
+    console.warn('Ignoring stored flashing setting:', error);
+  }
+
+  return typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+function saveReducedFlashing(reduced) {
+  try {
+    localStorage.setItem(STORAGE_KEY, String(reduced));
+  } catch (error) {
+    console.warn('Failed to store flashing setting:', error);
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Groups.js - Named fixture groups and the order effects step across them
+ */
+
+/**
+ * How a group's fixtures are ranked
+ * - plan: as listed in the group
+ * - left-to-right: by x position
+ * - center-out: by distance from the group's center, mirrored pairs share a rank
+ * - random: shuffled, stable for a given group name
+ */
+export const GROUP_ORDERS = ['plan', 'left-to-right', 'center-out', 'random'];
+
+// Fixtures closer than this (m) to the same distance from center share a center-out rank
+const CENTER_TOLERANCE = 0.01;
+
+/**
+ * A named set of fixtures ranked by an ordering
+ */
+export class FixtureGroup {
+  /**
+   * @param {string} name
+   * @param {Array<Object>} fixtures - LightManager fixtures (with `position`), in lightplan order
+   * @param {Object} [options]
+   * @param {string} [options.order] - One of GROUP_ORDERS
+   * @param {number} [options.phaseOffset] - Fraction of an effect cycle between consecutive ranks
+   */
+  constructor(name, fixtures, options = {}) {
+    this.name = name;
+    this.order = options.order || 'plan';
+    this.phaseOffset = options.phaseOffset;
+
+    // Intensity fader (0-1) set from a controller
+    this.master = 1;
+
+    this.ranks = rankFixtures(fixtures, this.order, name);
+    this.count = Math.max(0, ...this.ranks.values()) + 1;
+    this.fixtures = [...fixtures].sort((a, b) => this.ranks.get(a) - this.ranks.get(b));
+  }
+
+  /**
+   * Whether a fixture belongs to the group
+   */
+  has(fixture) {
+    return this.ranks.has(fixture);
+  }
+
+  /**
+   * A member's place in the group for spreading effects
+   * @returns {{index: number, count: number, phase: number|undefined}}
+   */
+  getSlot(fixture) {
+    const index = this.ranks.get(fixture) || 0;
+
+    return {
+      index,
+      count: this.count,
+      phase: this.phaseOffset !== undefined ? index * this.phaseOffset : undefined,
+    };
+  }
+}
+
+/**
+ * Rank fixtures (0-based, ties allowed) for an ordering
+ * @returns {Map<Object, number>}
+ */
+function rankFixtures(fixtures, order, seed) {
+  const ranks = new Map();
+
+  switch (order) {
+    case 'left-to-right': {
+      const sorted = [...fixtures].sort((a, b) => a.position.x - b.position.x);
+      sorted.forEach((fixture, index) => ranks.set(fixture, index));
+      break;
+    }
+
+    case 'center-out': {
+      const center =
+        fixtures.reduce((sum, fixture) => sum + fixture.position.x, 0) / fixtures.length;
+      const distances = fixtures.map((fixture) => Math.abs(fixture.position.x - center));
+      const steps = [...distances]
+        .sort((a, b) => a - b)
+        .filter((distance, index, sorted) => {
+          return index === 0 || distance - sorted[index - 1] > CENTER_TOLERANCE;
+        });
+
+      fixtures.forEach((fixture, index) => {
+        const rank = steps.findIndex(
+          (step) => Math.abs(distances[index] - step) <= CENTER_TOLERANCE
+        );
+        ranks.set(fixture, rank);
+      });
+      break;
+    }
+
+    case 'random': {
+      const random = seededRandom(seed);
+      const shuffled = [...fixtures];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      shuffled.forEach((fixture, index) => ranks.set(fixture, index));
+      break;
+    }
+
+    default:
+      fixtures.forEach((fixture, index) => ranks.set(fixture, index));
+  }
+
+  return ranks;
+}
+
+/**
+ * Deterministic PRNG (mulberry32) seeded from a string
+ */
+function seededRandom(text) {
+  let state = 0;
+  for (let i = 0; i < text.length; i++) {
+    state = (Math.imul(state, 31) + text.charCodeAt(i)) | 0;
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
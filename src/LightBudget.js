@@ -0,0 +1,167 @@
+/**
+ * LightBudget.js - Shares out real lights and shadows among the fixtures every frame
+ *
+ * Each shadow-casting spot costs a shadow map and a texture unit, and every light adds uniforms
+ * to each lit material, so a large rig would run past WebGL's limits. Fixtures are ranked by how
+ * brightly they light the area around the viewer and sorted into three tiers: shadowed lights,
+ * unshadowed lights and fakes that keep only their beam and emissive parts.
+ *
+ * three.js recompiles every lit material when the number of lights or shadows of a kind changes,
+ * so the counts stay fixed for a given rig and quality: fixtures swap tiers, the totals do not.
+ * Mirror ball projectors keep their lights (their reflections are projected through the shadow
+ * camera) and sit outside the budget.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Lights and shadows per quality mode. Spot and point lights are budgeted separately because
+ * three.js counts them separately.
+ */
+export const LIGHT_BUDGETS = {
+  high: { shadows: 6, spotLights: 16, pointLights: 8 },
+  medium: { shadows: 3, spotLights: 10, pointLights: 6 },
+  low: { shadows: 0, spotLights: 6, pointLights: 4 },
+};
+
+// Distance (m) at which a light's weight has halved
+const REFERENCE_DISTANCE = 6;
+
+// Weight bonus for keeping a tier, so two similar fixtures don't trade places every frame
+const HOLD_BONUS = 1.5;
+
+const viewerPosition = new THREE.Vector3();
+const targetPosition = new THREE.Vector3();
+
+/**
+ * Decides per frame which fixtures render as shadowed lights, unshadowed lights or fakes
+ */
+export class LightBudget {
+  /**
+   * @param {string} quality - 'high' | 'medium' | 'low'
+   */
+  constructor(quality) {
+    this.quality = quality;
+
+    // fixture -> 'shadowed' | 'unshadowed' | 'fake'
+    this.tiers = new WeakMap();
+
+    // Fixtures in each tier after the last update
+    this.counts = { shadowed: 0, unshadowed: 0, fake: 0 };
+  }
+
+  get budget() {
+    return LIGHT_BUDGETS[this.quality] || LIGHT_BUDGETS.medium;
+  }
+
+  setQuality(quality) {
+    this.quality = quality;
+  }
+
+  /**
+   * Tier a fixture was given by the last update (null when it has no budgeted light)
+   */
+  getTier(fixture) {
+    return this.tiers.get(fixture) || null;
+  }
+
+  /**
+   * Rank the fixtures and switch their lights to match
+   * @param {Array<Object>} fixtures
+   * @param {THREE.Object3D|null} viewer - Camera; without one only intensity counts
+   */
+  update(fixtures, viewer) {
+    const viewpoint = viewer ? viewer.getWorldPosition(viewerPosition) : null;
+    const spots = [];
+    const points = [];
+
+    for (const fixture of fixtures) {
+      const { light } = fixture;
+      if (!light || fixture.type === 'mirrorBall') continue;
+
+      if (light.isSpotLight) {
+        spots.push(fixture);
+      } else if (light.isPointLight) {
+        points.push(fixture);
+      }
+    }
+
+    const { shadows, spotLights, pointLights } = this.budget;
+    this.counts = { shadowed: 0, unshadowed: 0, fake: 0 };
+
+    // Spots projecting a gobo are counted apart by three.js too, so they get their own share
+    const projecting = spots.filter((fixture) => fixture.light.map);
+    const plain = spots.filter((fixture) => !fixture.light.map);
+    const share = (total) => {
+      if (projecting.length === 0) return 0;
+      const count = Math.max(1, Math.round((total * projecting.length) / spots.length));
+      return Math.min(count, total);
+    };
+
+    this.assign(plain, viewpoint, spotLights - share(spotLights), shadows - share(shadows));
+    this.assign(projecting, viewpoint, share(spotLights), share(shadows));
+    this.assign(points, viewpoint, pointLights, 0);
+  }
+
+  /**
+   * Give the best-placed fixtures the lights, then the best of those the shadows
+   */
+  assign(fixtures, viewpoint, lights, shadows) {
+    const weights = new Map();
+    for (const fixture of fixtures) {
+      weights.set(fixture, this.getWeight(fixture, viewpoint));
+    }
+
+    const lit = this.rank(fixtures, weights, (tier) => tier !== 'fake').slice(0, lights);
+    const shadowed = new Set(
+      this.rank(lit, weights, (tier) => tier === 'shadowed').slice(0, shadows)
+    );
+    const visible = new Set(lit);
+
+    for (const fixture of fixtures) {
+      let tier = 'fake';
+      if (shadowed.has(fixture)) {
+        tier = 'shadowed';
+      } else if (visible.has(fixture)) {
+        tier = 'unshadowed';
+      }
+
+      this.tiers.set(fixture, tier);
+      this.counts[tier]++;
+
+      const { light } = fixture;
+      light.visible = tier !== 'fake';
+      light.castShadow = tier === 'shadowed';
+    }
+  }
+
+  /**
+   * Fixtures by weight, those already in a tier (per `holds`) favoured
+   */
+  rank(fixtures, weights, holds) {
+    const score = (fixture) => {
+      const tier = this.tiers.get(fixture);
+      return weights.get(fixture) * (tier && holds(tier) ? HOLD_BONUS : 1);
+    };
+    return [...fixtures].sort((a, b) => score(b) - score(a));
+  }
+
+  /**
+   * How much a fixture's light matters from the viewpoint: its intensity, fading with distance
+   * to the nearer of the fixture and the spot it lights
+   */
+  getWeight(fixture, viewpoint) {
+    const { light } = fixture;
+    if (!viewpoint) return light.intensity;
+
+    let distance = light.position.distanceTo(viewpoint);
+    if (light.isSpotLight) {
+      distance = Math.min(
+        distance,
+        light.target.getWorldPosition(targetPosition).distanceTo(viewpoint)
+      );
+    }
+
+    return light.intensity / (1 + (distance / REFERENCE_DISTANCE) ** 2);
+  }
+}
@@ -0,0 +1,1083 @@
+/**
+ * LightplanSchema.js - Lightplan schema and validation with JSON path / line reporting
+ */
+
+import { DMX_PROFILES, DEFAULT_PROFILES } from './DMX.js';
+import { EFFECT_TYPES, RESERVED_EFFECT_NAMES } from './Effects.js';
+import { GROUP_ORDERS } from './Groups.js';
+import { TIMECODE_RATES, isTimecode, parseTimecode } from './Timeline.js';
+
+/**
+ * Thrown when a lightplan fails validation
+ */
+export class LightplanValidationError extends Error {
+  constructor(result) {
+    super(`Lightplan is invalid (${result.errors.length} error(s))`);
+    this.name = 'LightplanValidationError';
+    this.errors = result.errors;
+    this.warnings = result.warnings;
+  }
+}
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const vector3 = { type: 'vector3' };
+const color = { type: 'color' };
+const intensity = { type: 'number', min: 0 };
+
+/**
+ * DMX patch: universe (0-based Art-Net port address), 1-based start address and channel profile
+ */
+const DMX_PATCH_SCHEMA = {
+  type: 'object',
+  required: ['address'],
+  properties: {
+    universe: { type: 'number', integer: true, min: 0, max: 32767 },
+    address: { type: 'number', integer: true, min: 1, max: 512 },
+    profile: { type: 'string', enum: Object.keys(DMX_PROFILES) },
+    maxIntensity: { type: 'number', min: 0 },
+  },
+};
+
+/**
+ * Effect parameters, set by a named effect in the lightplan or overridden where it is used
+ */
+const EFFECT_PARAMS = {
+  speed: { type: 'number', min: 0.25 },
+  size: { type: 'number', min: 0 },
+  spread: { type: 'number', min: 0 },
+  direction: { type: 'string', enum: ['forward', 'reverse'] },
+  colors: { type: 'array', items: color, minItems: 1 },
+};
+
+/**
+ * A named effect in the lightplan's `effects` map
+ */
+const EFFECT_PRESET_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: Object.keys(EFFECT_TYPES) },
+    ...EFFECT_PARAMS,
+  },
+};
+
+/**
+ * Effect reference object: { name, ...parameter overrides } (a bare name string is also allowed)
+ */
+const EFFECT_REF_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+    ...EFFECT_PARAMS,
+  },
+};
+
+/**
+ * A named fixture group: member ids, the order effects step across them and shared effects
+ */
+const GROUP_SCHEMA = {
+  type: 'object',
+  required: ['fixtures'],
+  properties: {
+    fixtures: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    order: { type: 'string', enum: GROUP_ORDERS },
+    phaseOffset: { type: 'number' },
+    effects: { type: 'array', items: { type: 'effectRef' } },
+  },
+};
+
+/**
+ * Properties shared by every fixture type
+ */
+const FIXTURE_COMMON = {
+  id: { type: 'string' },
+  type: { type: 'string' },
+  position: vector3,
+  color,
+  intensity,
+  effects: { type: 'array', items: { type: 'effectRef' } },
+  dmx: DMX_PATCH_SCHEMA,
+};
+
+/**
+ * Moving head wheel positions, in the lightplan and in cue looks: gobo slot (0 = open, 1 = the
+ * first of `gobos`), gobo rotation (turns per second, negative reverses) and color wheel slot
+ * (fractions sit between two colors)
+ */
+const WHEEL_LOOK = {
+  gobo: { type: 'number', integer: true, min: 0 },
+  goboSpin: { type: 'number' },
+  wheel: { type: 'number', min: 0 },
+};
+
+/**
+ * Moving head mechanics: pan and tilt range (degrees), top speed of each axis (degrees per
+ * second) and acceleration (degrees per second²). Defaults are HEAD_DEFAULTS in PanTilt.js.
+ */
+const HEAD_MECHANICS = {
+  panRange: { type: 'number', min: 1, max: 720 },
+  tiltRange: { type: 'number', min: 1, max: 360 },
+  panSpeed: { type: 'number', min: 1 },
+  tiltSpeed: { type: 'number', min: 1 },
+  acceleration: { type: 'number', min: 1 },
+};
+
+/**
+ * PAR cans and washes: a fixed wide spot that fades through a color list
+ */
+const WASH_PROPERTIES = {
+  target: vector3,
+  beamAngle: { type: 'number', min: 1, max: 90 },
+  colors: { type: 'array', items: color, minItems: 1 },
+  colorBeats: { type: 'number', min: 0.25 },
+};
+
+/**
+ * Per-type fixture schemas (merged with FIXTURE_COMMON)
+ */
+export const FIXTURE_SCHEMAS = {
+  movingHead: {
+    required: ['position'],
+    properties: {
+      target: vector3,
+      beamAngle: { type: 'number', min: 1, max: 90 },
+      gobos: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      colorWheel: { type: 'array', items: color, minItems: 1 },
+      ...WHEEL_LOOK,
+      ...HEAD_MECHANICS,
+    },
+  },
+  strobe: {
+    required: ['position'],
+    properties: {},
+  },
+  laser: {
+    required: ['position'],
+    properties: {
+      target: vector3,
+    },
+  },
+  par: {
+    required: ['position'],
+    properties: WASH_PROPERTIES,
+  },
+  wash: {
+    required: ['position'],
+    properties: WASH_PROPERTIES,
+  },
+  ledBar: {
+    required: ['position'],
+    properties: {
+      pixels: { type: 'number', integer: true, min: 1, max: 64 },
+      length: { type: 'number', min: 0.1 },
+      direction: vector3,
+      pattern: { type: 'string', enum: ['chase', 'rainbow', 'pulse', 'static'] },
+      speed: { type: 'number', min: 0.25 },
+    },
+  },
+  blinder: {
+    required: ['position'],
+    properties: {
+      target: vector3,
+      cells: { type: 'number', integer: true, min: 1, max: 8 },
+      hitBeats: { type: 'number', min: 1 },
+      decay: { type: 'number', min: 0.05 },
+    },
+  },
+  mirrorBall: {
+    required: ['position'],
+    properties: {
+      radius: { type: 'number', min: 0.1, max: 2 },
+      rpm: { type: 'number', min: 0, max: 30 },
+      projectors: { type: 'number', integer: true, min: 1, max: 4 },
+      beamAngle: { type: 'number', min: 5, max: 90 },
+    },
+  },
+  haze: {
+    required: ['position'],
+    properties: {
+      output: { type: 'number', min: 0, max: 1 },
+      interval: { type: 'number', min: 1 },
+      burst: { type: 'number', min: 0.5 },
+      decay: { type: 'number', min: 1 },
+    },
+  },
+};
+
+/**
+ * A fixture's look within a cue
+ */
+const CUE_LOOK_SCHEMA = {
+  type: 'object',
+  properties: {
+    color,
+    intensity,
+    target: vector3,
+    effect: { type: 'string' },
+    ...WHEEL_LOOK,
+  },
+};
+
+/**
+ * A named cue: per-fixture looks, fade times and an optional advance trigger
+ */
+const CUE_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+    fadeIn: { type: 'number', min: 0 },
+    fadeOut: { type: 'number', min: 0 },
+    trigger: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', enum: ['manual', 'time', 'beats'] },
+        seconds: { type: 'number', min: 0 },
+        count: { type: 'number', min: 1 },
+      },
+    },
+    fixtures: { type: 'map', values: CUE_LOOK_SCHEMA },
+  },
+};
+
+const timecode = { type: 'timecode' };
+
+/**
+ * Show timeline: cue and look events at timecodes, played from a clock source
+ */
+const TIMELINE_SCHEMA = {
+  type: 'object',
+  required: ['events'],
+  properties: {
+    fps: { type: 'number', enum: TIMECODE_RATES },
+    source: { type: 'string', enum: ['free', 'audio', 'mtc'] },
+    midiInput: { type: 'string' },
+    offset: timecode,
+    rate: { type: 'number', min: 0.1, max: 4 },
+    loop: {
+      type: 'object',
+      required: ['from', 'to'],
+      properties: { from: timecode, to: timecode },
+    },
+    events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['at'],
+        properties: {
+          at: timecode,
+          cue: { type: 'string' },
+          fade: { type: 'number', min: 0 },
+          target: { type: 'string' },
+          color,
+          intensity,
+          effect: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Top-level lightplan schema
+ */
+export const LIGHTPLAN_SCHEMA = {
+  type: 'object',
+  required: ['fixtures'],
+  properties: {
+    $schema: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    bpm: { type: 'number', min: 20, max: 300 },
+    fixtures: { type: 'array', items: { type: 'fixture' } },
+    cues: { type: 'array', items: CUE_SCHEMA },
+    cueLoop: { type: 'boolean' },
+    effects: { type: 'map', values: EFFECT_PRESET_SCHEMA },
+    groups: { type: 'map', values: GROUP_SCHEMA },
+    timeline: TIMELINE_SCHEMA,
+    dmxOutput: {
+      type: 'object',
+      properties: {
+        protocol: { type: 'string', enum: ['artnet', 'sacn'] },
+        relayUrl: { type: 'string' },
+        rate: { type: 'number', min: 1, max: 44 },
+      },
+    },
+    dmxInput: {
+      type: 'object',
+      properties: {
+        relayUrl: { type: 'string' },
+      },
+    },
+  },
+};
+
+/**
+ * Resolve fixture ids, defaulting to "<type>-<n>" numbered per type in plan order
+ * @param {Array<Object>} fixtures - Lightplan fixture entries
+ * @returns {Array<string>} Id for each entry
+ */
+export function getFixtureIds(fixtures) {
+  const counts = {};
+
+  return fixtures.map((fixture) => {
+    const type = fixture && fixture.type;
+    counts[type] = (counts[type] || 0) + 1;
+    return fixture && typeof fixture.id === 'string' ? fixture.id : `${type}-${counts[type]}`;
+  });
+}
+
+/**
+ * Parse lightplan JSON text and validate it
+ * @param {string} text - Raw lightplan JSON
+ * @returns {{plan: Object|null, result: {valid: boolean, errors: Array, warnings: Array}}}
+ */
+export function parseLightplan(text) {
+  let plan;
+
+  try {
+    plan = JSON.parse(text);
+  } catch (error) {
+    const issue = { path: '$', message: `Invalid JSON: ${error.message}` };
+    Object.assign(issue, getSyntaxErrorLocation(error, text));
+
+    return { plan: null, result: { valid: false, errors: [issue], warnings: [] } };
+  }
+
+  return { plan, result: validateLightplan(plan, text) };
+}
+
+/**
+ * Validate a parsed lightplan
+ * @param {Object} plan - Parsed lightplan
+ * @param {string} [source] - Original JSON text, used to attach line/column to issues
+ * @returns {{valid: boolean, errors: Array, warnings: Array}}
+ */
+export function validateLightplan(plan, source = null) {
+  const errors = [];
+  const warnings = [];
+
+  const report = {
+    error: (path, message) => errors.push({ path, message }),
+    warning: (path, message) => warnings.push({ path, message }),
+  };
+
+  checkValue(plan, LIGHTPLAN_SCHEMA, '$', report);
+
+  if (Array.isArray(plan && plan.fixtures)) {
+    checkFixtureIds(plan.fixtures, report);
+
+    if (plan.fixtures.length === 0) {
+      report.warning('$.fixtures', 'lightplan has no fixtures');
+    }
+
+    checkDmxPatches(plan.fixtures, report);
+    checkWheels(plan.fixtures, report);
+    checkGroups(plan, report);
+    checkEffects(plan, report);
+
+    if (Array.isArray(plan.cues)) {
+      checkCues(plan.cues, [...getFixtureIds(plan.fixtures), ...getGroupNames(plan)], report);
+    }
+
+    if (plan.timeline && Array.isArray(plan.timeline.events)) {
+      checkTimeline(plan, report);
+    }
+  }
+
+  if (source) {
+    const locations = locateJsonPaths(source);
+    for (const issue of [...errors, ...warnings]) {
+      Object.assign(issue, findLocation(locations, issue.path));
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Format an issue for display
+ */
+export function formatIssue(issue) {
+  const where = issue.line ? ` (line ${issue.line}, col ${issue.column})` : '';
+  return `${issue.path}${where}: ${issue.message}`;
+}
+
+/**
+ * Validate a value against a schema node
+ */
+function checkValue(value, schema, path, report) {
+  switch (schema.type) {
+    case 'object':
+      return checkObject(value, schema, path, report);
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return report.error(path, `expected an array, got ${describe(value)}`);
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        report.error(path, `expected at least ${schema.minItems} item(s)`);
+      }
+      value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, report));
+      return;
+
+    case 'map':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return report.error(path, `expected an object, got ${describe(value)}`);
+      }
+      for (const [key, child] of Object.entries(value)) {
+        checkValue(child, schema.values, joinPath(path, key), report);
+      }
+      return;
+
+    case 'fixture':
+      return checkFixture(value, path, report);
+
+    case 'effectRef':
+      if (typeof value === 'string') return;
+      return checkObject(value, EFFECT_REF_SCHEMA, path, report);
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return report.error(path, `expected a number, got ${describe(value)}`);
+      }
+      if (schema.integer && !Number.isInteger(value)) {
+        report.error(path, `expected an integer, got ${value}`);
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        report.error(path, `must be >= ${schema.min}, got ${value}`);
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        report.error(path, `must be <= ${schema.max}, got ${value}`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        report.error(path, `must be one of ${schema.enum.join(', ')}, got ${value}`);
+      }
+      return;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        return report.error(path, `expected a string, got ${describe(value)}`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        report.error(
+          path,
+          `must be one of ${schema.enum.join(', ')}${suggest(value, schema.enum)}`
+        );
+      }
+      return;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        report.error(path, `expected true or false, got ${describe(value)}`);
+      }
+      return;
+
+    case 'color':
+      if (typeof value === 'number') {
+        if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+          report.error(path, `expected a color between 0x000000 and 0xffffff, got ${value}`);
+        }
+      } else if (typeof value !== 'string' || !HEX_COLOR.test(value)) {
+        report.error(path, `expected a hex color like "#ff0088", got ${describe(value)}`);
+      }
+      return;
+
+    case 'timecode':
+      if (typeof value !== 'string' || !isTimecode(value)) {
+        report.error(path, `expected a timecode like "00:01:30:12", got ${describe(value)}`);
+      }
+      return;
+
+    case 'vector3':
+      if (!Array.isArray(value) || value.length !== 3) {
+        return report.error(path, `expected [x, y, z], got ${describe(value)}`);
+      }
+      value.forEach((component, index) => {
+        if (typeof component !== 'number' || !Number.isFinite(component)) {
+          report.error(`${path}[${index}]`, `expected a number, got ${describe(component)}`);
+        }
+      });
+      return;
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+/**
+ * Validate an object: required keys, known properties and unknown keys
+ */
+function checkObject(value, schema, path, report) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return report.error(path, `expected an object, got ${describe(value)}`);
+  }
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      report.error(path, `missing required property "${key}"`);
+    }
+  }
+
+  const known = Object.keys(schema.properties);
+
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = joinPath(path, key);
+    const childSchema = schema.properties[key];
+
+    if (childSchema) {
+      checkValue(child, childSchema, childPath, report);
+    } else {
+      report.warning(childPath, `unknown property "${key}"${suggest(key, known)}`);
+    }
+  }
+}
+
+/**
+ * Validate a fixture against the schema for its type
+ */
+function checkFixture(value, path, report) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return report.error(path, `expected a fixture object, got ${describe(value)}`);
+  }
+
+  const types = Object.keys(FIXTURE_SCHEMAS);
+  const typeSchema = FIXTURE_SCHEMAS[value.type];
+
+  if (value.type === undefined) {
+    return report.error(path, 'missing required property "type"');
+  }
+
+  if (!typeSchema) {
+    return report.error(
+      joinPath(path, 'type'),
+      `unknown fixture type ${describe(value.type)}${suggest(String(value.type), types)}`
+    );
+  }
+
+  checkObject(
+    value,
+    {
+      type: 'object',
+      required: typeSchema.required,
+      properties: { ...FIXTURE_COMMON, ...typeSchema.properties },
+    },
+    path,
+    report
+  );
+}
+
+/**
+ * Fixture ids must be unique so cues and groups can reference them
+ */
+function checkFixtureIds(fixtures, report) {
+  const seen = new Map();
+
+  fixtures.forEach((fixture, index) => {
+    if (!fixture || typeof fixture.id !== 'string') return;
+
+    if (seen.has(fixture.id)) {
+      report.error(
+        `$.fixtures[${index}].id`,
+        `duplicate fixture id "${fixture.id}" (also used by $.fixtures[${seen.get(fixture.id)}])`
+      );
+    } else {
+      seen.set(fixture.id, index);
+    }
+  });
+}
+
+/**
+ * DMX patches must fit in their universe and must not overlap
+ */
+function checkDmxPatches(fixtures, report) {
+  const ranges = [];
+
+  fixtures.forEach((fixture, index) => {
+    const dmx = fixture && fixture.dmx;
+    if (!dmx || !Number.isInteger(dmx.address)) return;
+
+    const path = `$.fixtures[${index}].dmx`;
+
+    if (!DEFAULT_PROFILES[fixture.type]) {
+      if (FIXTURE_SCHEMAS[fixture.type]) {
+        report.error(path, `${fixture.type} fixtures cannot be DMX patched`);
+      }
+      return;
+    }
+
+    const profile = dmx.profile || DEFAULT_PROFILES[fixture.type];
+    const channels = DMX_PROFILES[profile];
+    if (!channels) return;
+
+    const universe = dmx.universe || 0;
+    const start = dmx.address;
+    const end = start + channels.length - 1;
+
+    if (end > 512) {
+      report.error(
+        `${path}.address`,
+        `${profile} needs ${channels.length} channels, ends at ${end} (> 512)`
+      );
+    }
+
+    const overlap = ranges.find(
+      (range) => range.universe === universe && start <= range.end && end >= range.start
+    );
+    if (overlap) {
+      report.error(
+        `${path}.address`,
+        `channels ${start}-${end} overlap $.fixtures[${overlap.index}] (${overlap.start}-${overlap.end}) in universe ${universe}`
+      );
+    }
+
+    ranges.push({ universe, start, end, index });
+  });
+}
+
+/**
+ * A moving head's wheel positions must be slots it has
+ */
+function checkWheels(fixtures, report) {
+  fixtures.forEach((fixture, index) => {
+    if (!fixture || fixture.type !== 'movingHead') return;
+
+    const path = `$.fixtures[${index}]`;
+    const gobos = Array.isArray(fixture.gobos) ? fixture.gobos.length : 0;
+
+    if (Number.isInteger(fixture.gobo) && fixture.gobo > gobos) {
+      report.error(`${path}.gobo`, `gobo ${fixture.gobo} but the fixture has ${gobos} gobo(s)`);
+    }
+    if (typeof fixture.wheel === 'number' && !Array.isArray(fixture.colorWheel)) {
+      report.warning(`${path}.wheel`, 'ignored without a "colorWheel"');
+    }
+    if (fixture.goboSpin !== undefined && gobos === 0) {
+      report.warning(`${path}.goboSpin`, 'ignored without "gobos"');
+    }
+  });
+}
+
+/**
+ * Group names of a plan (empty when it has none)
+ */
+function getGroupNames(plan) {
+  return plan.groups && typeof plan.groups === 'object' ? Object.keys(plan.groups) : [];
+}
+
+/**
+ * Groups share a namespace with fixture ids and may only list existing fixtures
+ */
+function checkGroups(plan, report) {
+  if (!plan.groups || typeof plan.groups !== 'object') return;
+
+  const fixtureIds = getFixtureIds(plan.fixtures);
+
+  for (const [name, group] of Object.entries(plan.groups)) {
+    const path = joinPath('$.groups', name);
+
+    if (fixtureIds.includes(name)) {
+      report.error(path, `group name "${name}" is also a fixture id`);
+    }
+
+    if (!group || !Array.isArray(group.fixtures)) continue;
+
+    group.fixtures.forEach((id, index) => {
+      if (typeof id === 'string' && !fixtureIds.includes(id)) {
+        report.error(
+          `${path}.fixtures[${index}]`,
+          `unknown fixture id "${id}"${suggest(id, fixtureIds)}`
+        );
+      }
+    });
+  }
+}
+
+/**
+ * Cue names must be unique, triggers complete and looks must reference existing fixtures or groups
+ */
+function checkCues(cues, fixtureIds, report) {
+  const names = new Map();
+
+  cues.forEach((cue, index) => {
+    if (!cue || typeof cue !== 'object') return;
+
+    const path = `$.cues[${index}]`;
+
+    if (typeof cue.name === 'string') {
+      if (names.has(cue.name)) {
+        report.error(
+          `${path}.name`,
+          `duplicate cue name "${cue.name}" (also used by $.cues[${names.get(cue.name)}])`
+        );
+      } else {
+        names.set(cue.name, index);
+      }
+    }
+
+    const trigger = cue.trigger;
+    if (trigger && trigger.type === 'time' && trigger.seconds === undefined) {
+      report.error(`${path}.trigger`, 'time trigger requires "seconds"');
+    }
+    if (trigger && trigger.type === 'beats' && trigger.count === undefined) {
+      report.error(`${path}.trigger`, 'beats trigger requires "count"');
+    }
+
+    if (cue.fixtures && typeof cue.fixtures === 'object') {
+      for (const id of Object.keys(cue.fixtures)) {
+        if (!fixtureIds.includes(id)) {
+          report.error(
+            joinPath(`${path}.fixtures`, id),
+            `unknown fixture or group "${id}"${suggest(id, fixtureIds)}`
+          );
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Timeline frames must fit the frame rate, events must reference existing cues and targets,
+ * and a loop must end after it starts
+ */
+function checkTimeline(plan, report) {
+  const { timeline } = plan;
+  const fps = TIMECODE_RATES.includes(timeline.fps) ? timeline.fps : 30;
+  const frameRate = Math.round(fps);
+  const cueNames = Array.isArray(plan.cues) ? plan.cues.map((cue) => cue && cue.name) : [];
+  const targets = [...getFixtureIds(plan.fixtures), ...getGroupNames(plan)];
+
+  const checkFrames = (value, path) => {
+    if (isTimecode(value) && Number(value.slice(-2)) >= frameRate) {
+      report.error(path, `frame ${value.slice(-2)} is out of range at ${fps} fps`);
+    }
+  };
+
+  checkFrames(timeline.offset, '$.timeline.offset');
+
+  if (timeline.loop) {
+    const { from, to } = timeline.loop;
+    checkFrames(from, '$.timeline.loop.from');
+    checkFrames(to, '$.timeline.loop.to');
+
+    if (isTimecode(from) && isTimecode(to) && parseTimecode(to, fps) <= parseTimecode(from, fps)) {
+      report.error('$.timeline.loop', `loop ends (${to}) before it starts (${from})`);
+    }
+  }
+
+  if (timeline.source === 'mtc' && timeline.loop) {
+    report.warning('$.timeline.loop', 'loops are ignored when following MIDI Time Code');
+  }
+
+  timeline.events.forEach((event, index) => {
+    if (!event || typeof event !== 'object') return;
+
+    const path = `$.timeline.events[${index}]`;
+    checkFrames(event.at, `${path}.at`);
+
+    const hasLook = ['color', 'intensity', 'effect'].some((key) => event[key] !== undefined);
+
+    if (event.cue !== undefined) {
+      if (typeof event.cue === 'string' && !cueNames.includes(event.cue)) {
+        report.error(`${path}.cue`, `unknown cue "${event.cue}"${suggest(event.cue, cueNames)}`);
+      }
+      if (event.target !== undefined || hasLook) {
+        report.warning(path, 'cue events ignore target, color, intensity and effect');
+      }
+    } else if (event.target === undefined || !hasLook) {
+      report.error(path, 'event needs a "cue", or a "target" with color, intensity or effect');
+    } else if (typeof event.target === 'string' && !targets.includes(event.target)) {
+      report.error(
+        `${path}.target`,
+        `unknown fixture or group "${event.target}"${suggest(event.target, targets)}`
+      );
+    }
+  });
+}
+
+/**
+ * Named effects must not hide the cue keywords, and every effect reference must resolve
+ */
+function checkEffects(plan, report) {
+  const presets = plan.effects && typeof plan.effects === 'object' ? plan.effects : {};
+  const names = [...RESERVED_EFFECT_NAMES, ...Object.keys(EFFECT_TYPES), ...Object.keys(presets)];
+
+  for (const name of Object.keys(presets)) {
+    if (RESERVED_EFFECT_NAMES.includes(name)) {
+      report.error(joinPath('$.effects', name), `"${name}" is reserved for cue looks`);
+    } else if (EFFECT_TYPES[name]) {
+      report.warning(joinPath('$.effects', name), `hides the built-in "${name}" effect`);
+    }
+  }
+
+  const getKind = (name) => {
+    const preset = presets[name];
+    const type = preset ? preset.type : name;
+    return EFFECT_TYPES[type] ? EFFECT_TYPES[type].kind : null;
+  };
+
+  const checkName = (name, path, fixtureType) => {
+    if (!names.includes(name)) {
+      report.error(path, `unknown effect "${name}"${suggest(name, names)}`);
+    } else if (
+      getKind(name) === 'position' &&
+      FIXTURE_SCHEMAS[fixtureType] &&
+      !FIXTURE_SCHEMAS[fixtureType].properties.target
+    ) {
+      report.warning(path, `"${name}" moves the aim, which ${fixtureType} fixtures do not have`);
+    }
+  };
+
+  const fixtureTypes = new Map();
+  const ids = getFixtureIds(plan.fixtures);
+
+  plan.fixtures.forEach((fixture, index) => {
+    if (!fixture || typeof fixture !== 'object') return;
+    fixtureTypes.set(ids[index], fixture.type);
+  });
+
+  const checkRefs = (refs, path, fixtureType) => {
+    refs.forEach((ref, refIndex) => {
+      if (typeof ref === 'string') {
+        checkName(ref, `${path}[${refIndex}]`, fixtureType);
+      } else if (ref && typeof ref.name === 'string') {
+        checkName(ref.name, `${path}[${refIndex}].name`, fixtureType);
+      }
+    });
+  };
+
+  plan.fixtures.forEach((fixture, index) => {
+    if (fixture && Array.isArray(fixture.effects)) {
+      checkRefs(fixture.effects, `$.fixtures[${index}].effects`, fixture.type);
+    }
+  });
+
+  for (const name of getGroupNames(plan)) {
+    const group = plan.groups[name];
+    if (group && Array.isArray(group.effects)) {
+      checkRefs(group.effects, joinPath(joinPath('$.groups', name), 'effects'));
+    }
+  }
+
+  if (plan.timeline && Array.isArray(plan.timeline.events)) {
+    plan.timeline.events.forEach((event, index) => {
+      if (event && typeof event.effect === 'string') {
+        checkName(
+          event.effect,
+          `$.timeline.events[${index}].effect`,
+          fixtureTypes.get(event.target)
+        );
+      }
+    });
+  }
+
+  if (!Array.isArray(plan.cues)) return;
+
+  plan.cues.forEach((cue, index) => {
+    if (!cue || !cue.fixtures || typeof cue.fixtures !== 'object') return;
+
+    for (const [id, look] of Object.entries(cue.fixtures)) {
+      if (look && typeof look.effect === 'string') {
+        const path = joinPath(joinPath(`$.cues[${index}].fixtures`, id), 'effect');
+        checkName(look.effect, path, fixtureTypes.get(id));
+      }
+    }
+  });
+}
+
+/**
+ * Short human-readable description of a value for error messages
+ */
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return `an array of ${value.length}`;
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+/**
+ * Build a JSON path for an object key
+ */
+function joinPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * "Did you mean" hint for near-miss keys and enum values
+ */
+function suggest(value, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(value.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best && bestDistance <= Math.max(1, Math.floor(best.length / 3))
+    ? ` (did you mean "${best}"?)`
+    : '';
+}
+
+/**
+ * Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find the location of a path, falling back to its nearest ancestor
+ */
+function findLocation(locations, path) {
+  let current = path;
+
+  while (current) {
+    if (locations.has(current)) {
+      return locations.get(current);
+    }
+    const cut = Math.max(current.lastIndexOf('.'), current.lastIndexOf('['));
+    current = cut > 0 ? current.slice(0, cut) : null;
+  }
+
+  return {};
+}
+
+/**
+ * Extract line/column from a JSON.parse SyntaxError
+ */
+function getSyntaxErrorLocation(error, text) {
+  const lineMatch = /line (\d+) column (\d+)/.exec(error.message);
+  if (lineMatch) {
+    return { line: Number(lineMatch[1]), column: Number(lineMatch[2]) };
+  }
+
+  const positionMatch = /position (\d+)/.exec(error.message);
+  if (positionMatch) {
+    return offsetToLocation(text, Number(positionMatch[1]));
+  }
+
+  return {};
+}
+
+/**
+ * Convert a character offset into a 1-based line/column
+ */
+function offsetToLocation(text, offset) {
+  let line = 1;
+  let lineStart = 0;
+
+  for (let i = 0; i < offset && i < text.length; i++) {
+    if (text[i] === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+
+  return { line, column: offset - lineStart + 1 };
+}
+
+/**
+ * Scan JSON text and record the location of every value by JSON path.
+ * Object members are located at their key so issues point at the property line.
+ * Assumes the text already parsed successfully.
+ * @returns {Map<string, {line: number, column: number}>}
+ */
+export function locateJsonPaths(text) {
+  const locations = new Map();
+  let index = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const here = () => ({ line, column: index - lineStart + 1 });
+
+  const skipWhitespace = () => {
+    while (index < text.length && /\s/.test(text[index])) {
+      if (text[index] === '\n') {
+        line++;
+        lineStart = index + 1;
+      }
+      index++;
+    }
+  };
+
+  const readString = () => {
+    const start = index;
+    index++; // opening quote
+    while (text[index] !== '"') {
+      index += text[index] === '\\' ? 2 : 1;
+    }
+    index++; // closing quote
+    return JSON.parse(text.slice(start, index));
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    if (!locations.has(path)) {
+      locations.set(path, here());
+    }
+
+    const char = text[index];
+
+    if (char === '{') {
+      index++;
+      skipWhitespace();
+      while (text[index] !== '}') {
+        skipWhitespace();
+        const keyLocation = here();
+        const key = readString();
+        const childPath = joinPath(path, key);
+        locations.set(childPath, keyLocation);
+        skipWhitespace();
+        index++; // colon
+        readValue(childPath);
+        skipWhitespace();
+        if (text[index] === ',') index++;
+        skipWhitespace();
+      }
+      index++;
+    } else if (char === '[') {
+      index++;
+      skipWhitespace();
+      let item = 0;
+      while (text[index] !== ']') {
+        readValue(`${path}[${item++}]`);
+        skipWhitespace();
+        if (text[index] === ',') index++;
+        skipWhitespace();
+      }
+      index++;
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (index < text.length && !/[\s,\]}]/.test(text[index])) {
+        index++;
+      }
+    }
+  };
+
+  try {
+    readValue('$');
+  } catch (error) {
+    console.warn('Failed to locate lightplan paths:', error);
+  }
+
+  return locations;
+}
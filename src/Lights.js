@@ -3,6 +3,74 @@
  */
 
 import * as THREE from 'three';
+import {
+  parseLightplan,
+  formatIssue,
+  getFixtureIds,
+  LightplanValidationError,
+} from './LightplanSchema.js';
+import { CueEngine } from './CueEngine.js';
+import { resolveEffect, applyEffect } from './Effects.js';
+import { FixtureGroup } from './Groups.js';
+import { BeatClock } from './Tempo.js';
+import { FlashLimiter } from './FlashLimiter.js';
+import { LightBudget } from './LightBudget.js';
+import { PanTiltHead } from './PanTilt.js';
+import { ShowClock, ShowTimeline, parseTimecode, formatTimecode } from './Timeline.js';
+import {
+  DMXUniverse,
+  DMXOutput,
+  DMXInput,
+  PAN_RANGE,
+  TILT_RANGE,
+  resolveDmxPatch,
+  getFixtureAttributes,
+  writeFixtureChannels,
+  readFixtureChannels,
+  isShutterOpen,
+  panTiltToDirection,
+} from './DMX.js';
+
+import {
+  createBeamCone,
+  createLaserBeam,
+  setBeamQuality,
+  aimBeam,
+  setBeamOutput,
+  disposeBeam,
+  BEAM_QUALITY,
+} from './Beams.js';
+
+// Fixture types an external desk can drive in DMX input mode
+const DMX_INPUT_TYPES = ['movingHead', 'strobe', 'laser', 'par', 'wash'];
+
+// Seconds a strobe stays lit after a detected kick
+const KICK_FLASH_DURATION = 0.05;
+
+// Beam brightness per unit of light intensity, and laser beam radius (m)
+const CONE_BRIGHTNESS = 0.12;
+const LASER_BRIGHTNESS = 1.0;
+const LASER_RADIUS = 0.02;
+
+// Beam visibility with no haze in the air (1 = fully hazed)
+const HAZE_MIN_VISIBILITY = 0.15;
+
+// Strobe flash button rate (Hz)
+const STROBE_FLASH_RATE = 12;
+
+const scratchColor = new THREE.Color();
+const scratchTarget = new THREE.Vector3();
+const moveOffset = new THREE.Vector3();
+const scratchWheels = { gobo: 0, goboAngle: 0, wheel: 0 };
+const effectLook = { color: new THREE.Color(), intensity: 0, target: null, wheels: null };
+
+// Gobo textures by URL (shared between fixtures), and the open gobo: a plain soft-edged disc
+const goboTextures = new Map();
+let openGobo = null;
+
+const beamAxis = new THREE.Vector3();
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
 
 /**
  * Light fixture manager
@@ -12,12 +80,67 @@ export class LightManager {
     this.scene = scene;
     this.fixtures = [];
     this.time = 0;
-    this.bpm = 128;
-    this.beatDuration = 60 / this.bpm;
+    
+    // Beat grid; bpm, beatDuration and beatCount mirror it for the animations
+    this.tempo = new BeatClock(128);
+    this.bpm = this.tempo.bpm;
+    this.beatDuration = this.tempo.beatDuration;
+    this.beatCount = 0;
+    this.validation = { valid: true, errors: [], warnings: [] };
+    this.cueEngine = new CueEngine(this);
+    
+    // Validated lightplan the fixtures were built from (null for default lighting)
+    this.lightplan = null;
+    this.defaultLights = [];
+    
+    // Fixtures held at their static lightplan look while the plan is edited
+    this.editMode = false;
+    
+    // Show clock and cue state to go back to when editing ends ({ showPlaying, cuesPaused })
+    this.editResume = null;
+    
+    // Named effects from the lightplan, and fixtures running each effect this frame
+    this.effectPresets = {};
+    this.namedEffects = new Map();
+    this.effectGroups = new Map();
+    
+    // Named fixture groups from the lightplan
+    this.groups = new Map();
+    
+    // Timecoded show playback (null when the plan has no timeline)
+    this.showClock = null;
+    this.timeline = null;
+    
+    // DMX
+    this.universes = new Map();
+    this.dmxOutput = null;
+    this.dmxInput = null;
+    
+    // Audio-reactive input
+    this.audio = null;
+    this.kickTime = -Infinity;
+    
+    // Live controls (MIDI controller): master dimmer, effect speed, strobe flash
+    this.master = 1;
+    this.effectSpeed = 1;
+    this.effectPhase = 0;
+    this.effectBeats = 0;
+    this.strobeFlash = false;
+    this.flashTime = 0;
+    
+    // Photosensitivity limit on flashes per second, and the "reduced flashing" setting
+    this.flashLimiter = new FlashLimiter();
+    
+    this.quality = 'medium';
+    
+    // Real lights and shadows handed out per frame by distance to the viewer
+    this.lightBudget = new LightBudget(this.quality);
+    this.viewer = null;
   }
   
   /**
    * Load lightplan from JSON
+   * @returns {Promise<{valid: boolean, errors: Array, warnings: Array}>} Validation result
    */
   async loadLightplan(url) {
     console.log('Starting lightplan load from:', url);
@@ -33,9 +156,20 @@ export class LightManager {
       await Promise.race([loadPromise, timeoutPromise]);
     } catch (error) {
       console.warn('Failed to load lightplan:', error);
+      
+      if (!(error instanceof LightplanValidationError)) {
+        this.validation = {
+          valid: false,
+          errors: [{ path: '$', message: error.message }],
+          warnings: [],
+        };
+      }
+      
       console.log('Using default lighting');
       this.createDefaultLighting();
     }
+    
+    return this.validation;
   }
   
   /**
@@ -51,299 +185,2468 @@ export class LightManager {
     }
     
     console.log('Parsing JSON...');
-    const lightplan = await response.json();
-    console.log('Lightplan parsed successfully:', lightplan);
+    const { plan: lightplan, result } = parseLightplan(await response.text());
+    this.validation = result;
+    logValidation(result);
     
-    // Set BPM if specified
-    if (lightplan.bpm) {
-      this.bpm = lightplan.bpm;
-      this.beatDuration = 60 / this.bpm;
-      console.log('BPM set to:', this.bpm);
+    if (!result.valid) {
+      throw new LightplanValidationError(result);
     }
     
-    // Create fixtures
-    if (lightplan.fixtures) {
-      console.log('Creating fixtures...');
-      for (const fixtureData of lightplan.fixtures) {
-        console.log('Creating fixture:', fixtureData.type);
-        const fixture = this.createFixture(fixtureData);
-        if (fixture) {
-          this.fixtures.push(fixture);
-        }
-      }
-    }
+    console.log('Lightplan parsed successfully:', lightplan);
     
-    console.log(`Loaded ${this.fixtures.length} fixtures successfully`);
+    this.applyLightplan(lightplan);
   }
   
   /**
-   * Create a light fixture from data
+   * Load the lightplan again and apply only what changed, keeping the show running (an invalid
+   * plan is reported and leaves the current one in place)
+   * @param {string} url
+   * @param {string} [text] - Contents already fetched from the URL
+   * @returns {Promise<{valid: boolean, errors: Array, warnings: Array}>} Validation result
    */
-  createFixture(data) {
-    const { type, position, color, intensity, target, beamAngle } = data;
+  async reloadLightplan(url, text) {
+    if (text === undefined) {
+      const response = await fetch(url, { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error(`Failed to load lightplan: ${response.statusText}`);
+      }
+      text = await response.text();
+    }
     
-    switch (type) {
-      case 'movingHead':
-        return this.createMovingHead(position, color, intensity, target, beamAngle);
-      
-      case 'strobe':
-        return this.createStrobe(position, color, intensity);
-      
-      case 'laser':
-        return this.createLaser(position, color, intensity, target);
-      
-      default:
-        console.warn('Unknown fixture type:', type);
-        return null;
+    const { plan: lightplan, result } = parseLightplan(text);
+    this.validation = result;
+    logValidation(result);
+    
+    if (result.valid) {
+      const { added, changed, removed } = this.updateLightplan(lightplan);
+      console.log(
+        `Lightplan reloaded: ${added.length} added, ${changed.length} changed, ` +
+        `${removed.length} removed fixtures`
+      );
+    } else {
+      console.warn('Lightplan reload rejected, keeping the current plan');
     }
+    
+    return result;
   }
   
   /**
-   * Create a moving head spotlight
+   * Replace every fixture, group, cue and show setting with a validated lightplan's
+   * @param {Object} lightplan
    */
-  createMovingHead(position, color, intensity, target, beamAngle) {
-    const spotlight = new THREE.SpotLight(
-      new THREE.Color(color),
-      intensity || 1.0,
-      50, // distance
-      THREE.MathUtils.degToRad(beamAngle || 30),
-      0.5, // penumbra
-      1.0 // decay
-    );
+  applyLightplan(lightplan) {
+    this.dispose();
+    this.lightplan = lightplan;
     
-    spotlight.position.set(position[0], position[1], position[2]);
-    spotlight.castShadow = true;
-    spotlight.shadow.mapSize.width = 512;
-    spotlight.shadow.mapSize.height = 512;
+    // Set BPM if specified
+    if (lightplan.bpm) {
+      this.setBpm(lightplan.bpm);
+      console.log('BPM set to:', this.bpm);
+    }
     
-    // Target
-    const targetObj = new THREE.Object3D();
-    if (target) {
-      targetObj.position.set(target[0], target[1], target[2]);
-    } else {
-      targetObj.position.set(position[0], 0, position[2]);
+    this.effectPresets = lightplan.effects || {};
+    this.namedEffects.clear();
+    
+    // Create fixtures
+    console.log('Creating fixtures...');
+    const ids = getFixtureIds(lightplan.fixtures);
+    lightplan.fixtures.forEach((fixtureData, index) => {
+      console.log('Creating fixture:', ids[index]);
+      const fixture = this.createFixture({ ...fixtureData, id: ids[index] });
+      if (fixture) {
+        this.fixtures.push(fixture);
+      }
+    });
+    
+    console.log(`Loaded ${this.fixtures.length} fixtures successfully`);
+    
+    if (lightplan.groups) {
+      this.createGroups(lightplan.groups);
     }
     
-    this.scene.add(targetObj);
-    spotlight.target = targetObj;
+    // Start cue list
+    if (lightplan.cues) {
+      this.cueEngine.load(lightplan.cues, { loop: lightplan.cueLoop !== false });
+      console.log(`Loaded ${lightplan.cues.length} cues`);
+    }
     
-    this.scene.add(spotlight);
+    // Timecoded show takes over cue changes
+    if (lightplan.timeline) {
+      this.startTimeline(lightplan.timeline);
+    }
     
-    // Add visual cone helper (optional, for debugging)
-    // const helper = new THREE.SpotLightHelper(spotlight);
-    // this.scene.add(helper);
+    // Stream to the DMX relay if the plan asks for it
+    if (lightplan.dmxOutput) {
+      this.startDMXOutput(lightplan.dmxOutput);
+    }
     
-    return {
-      type: 'movingHead',
-      light: spotlight,
-      target: targetObj,
-      basePosition: new THREE.Vector3(position[0], position[1], position[2]),
-      baseTarget: new THREE.Vector3(target ? target[0] : position[0], target ? target[1] : 0, target ? target[2] : position[2]),
-      baseColor: new THREE.Color(color),
-      baseIntensity: intensity || 1.0,
-    };
+    // Let an external desk drive patched fixtures
+    if (lightplan.dmxInput) {
+      this.startDMXInput(lightplan.dmxInput);
+    }
+    
+    if (this.editMode) {
+      this.holdHomeLook();
+    }
   }
   
   /**
-   * Create a strobe light
+   * Switch to a new version of the loaded lightplan without restarting the show: fixtures are
+   * matched by id and only changed ones rebuilt, the beat grid, show time and current cue carry
+   * over, and the current look is re-applied (a running fade completes at once)
+   * @param {Object} lightplan - Validated lightplan
+   * @returns {{added: string[], changed: string[], removed: string[]}} Rebuilt fixture ids
    */
-  createStrobe(position, color, intensity) {
-    const pointLight = new THREE.PointLight(
-      new THREE.Color(color),
-      0, // Start off
-      20, // distance
-      2.0 // decay
-    );
+  updateLightplan(lightplan) {
+    const previous = this.lightplan;
     
-    pointLight.position.set(position[0], position[1], position[2]);
-    this.scene.add(pointLight);
+    if (!previous) {
+      this.applyLightplan(lightplan);
+      return { added: this.fixtures.map((fixture) => fixture.id), changed: [], removed: [] };
+    }
     
-    return {
-      type: 'strobe',
-      light: pointLight,
-      baseColor: new THREE.Color(color),
-      baseIntensity: intensity || 5.0,
-      strobePhase: Math.random() * Math.PI * 2,
-    };
-  }
-  
-  /**
-   * Create a laser effect
-   */
-  createLaser(position, color, intensity, target) {
-    // Laser beam geometry
-    const start = new THREE.Vector3(position[0], position[1], position[2]);
-    const end = target 
-      ? new THREE.Vector3(target[0], target[1], target[2])
-      : new THREE.Vector3(position[0], 0, position[2] + 10);
+    if (sameJSON(lightplan, previous)) {
+      return { added: [], changed: [], removed: [] };
+    }
     
-    const points = [start, end];
-    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    this.lightplan = lightplan;
     
-    const material = new THREE.LineBasicMaterial({
-      color: new THREE.Color(color),
-      transparent: true,
-      opacity: 0.8,
-      blending: THREE.AdditiveBlending,
-    });
+    // Re-anchors the grid so the beat count carries on at the new tempo
+    if (lightplan.bpm && lightplan.bpm !== previous.bpm) {
+      this.setBpm(lightplan.bpm);
+    }
     
-    const line = new THREE.Line(geometry, material);
-    this.scene.add(line);
+    this.effectPresets = lightplan.effects || {};
+    this.namedEffects.clear();
     
-    // Add point light at laser origin
-    const pointLight = new THREE.PointLight(
-      new THREE.Color(color),
-      intensity || 1.0,
-      10,
-      2.0
-    );
-    pointLight.position.copy(start);
-    this.scene.add(pointLight);
+    const changes = this.updateFixtures(lightplan.fixtures);
+    this.rebuildGroups();
     
-    return {
-      type: 'laser',
-      line,
-      light: pointLight,
-      baseColor: new THREE.Color(color),
-      baseIntensity: intensity || 1.0,
-      start: start.clone(),
-      end: end.clone(),
-    };
-  }
-  
-  /**
-   * Create default lighting (fallback)
-   */
-  createDefaultLighting() {
-    // Ambient light
-    const ambient = new THREE.AmbientLight(0xffffff, 0.5);
-    this.scene.add(ambient);
+    if (!sameJSON(lightplan.cues, previous.cues) || lightplan.cueLoop !== previous.cueLoop) {
+      this.reloadCues(lightplan.cues || [], lightplan.cueLoop !== false);
+    }
     
-    // Key light
-    const keyLight = new THREE.DirectionalLight(0xffffff, 1.0);
-    keyLight.position.set(10, 15, 10);
-    keyLight.castShadow = true;
-    keyLight.shadow.camera.near = 0.1;
-    keyLight.shadow.camera.far = 50;
-    keyLight.shadow.camera.left = -20;
-    keyLight.shadow.camera.right = 20;
-    keyLight.shadow.camera.top = 20;
-    keyLight.shadow.camera.bottom = -20;
-    keyLight.shadow.mapSize.width = 1024;
-    keyLight.shadow.mapSize.height = 1024;
-    this.scene.add(keyLight);
+    if (!sameJSON(lightplan.timeline, previous.timeline)) {
+      this.reloadTimeline(lightplan.timeline, previous.timeline);
+    }
     
-    // Fill lights
-    const fillLight1 = new THREE.PointLight(0x4444ff, 0.5, 30);
-    fillLight1.position.set(-10, 3, 0);
-    this.scene.add(fillLight1);
+    if (!sameJSON(lightplan.dmxOutput, previous.dmxOutput)) {
+      this.stopDMXOutput();
+      if (lightplan.dmxOutput) {
+        this.startDMXOutput(lightplan.dmxOutput);
+      }
+    }
     
-    const fillLight2 = new THREE.PointLight(0xff4444, 0.5, 30);
-    fillLight2.position.set(10, 3, 0);
-    this.scene.add(fillLight2);
+    if (!sameJSON(lightplan.dmxInput, previous.dmxInput)) {
+      this.stopDMXInput();
+      if (lightplan.dmxInput) {
+        this.startDMXInput(lightplan.dmxInput);
+      }
+    }
     
-    console.log('Default lighting created');
+    if (this.editMode) {
+      this.holdHomeLook();
+    } else {
+      this.resumeLook();
+    }
+    
+    return changes;
   }
   
   /**
-   * Update lighting animation
+   * Rebuild the fixtures whose lightplan entries changed, matching entries to fixtures by id
+   * @param {Array<Object>} entries - Lightplan `fixtures`
+   * @returns {{added: string[], changed: string[], removed: string[]}} Fixture ids
    */
-  update(deltaTime) {
-    this.time += deltaTime;
-    const beat = (this.time / this.beatDuration) % 1;
+  updateFixtures(entries) {
+    const current = new Map(this.fixtures.map((fixture) => [fixture.id, fixture]));
+    const changes = { added: [], changed: [], removed: [] };
+    const ids = getFixtureIds(entries);
+    const fixtures = [];
     
-    for (const fixture of this.fixtures) {
-      switch (fixture.type) {
-        case 'movingHead':
-          this.updateMovingHead(fixture, this.time);
-          break;
-        
-        case 'strobe':
-          this.updateStrobe(fixture, beat);
-          break;
-        
-        case 'laser':
-          this.updateLaser(fixture, this.time);
-          break;
+    entries.forEach((entry, index) => {
+      const data = { ...entry, id: ids[index] };
+      const existing = current.get(data.id);
+      current.delete(data.id);
+      
+      if (existing && sameJSON(existing.data, data)) {
+        fixtures.push(existing);
+        return;
+      }
+      
+      if (existing) {
+        this.disposeFixture(existing);
+        changes.changed.push(data.id);
+      } else {
+        changes.added.push(data.id);
+      }
+      
+      const fixture = this.createFixture(data);
+      if (fixture) {
+        fixtures.push(fixture);
       }
+    });
+    
+    for (const fixture of current.values()) {
+      this.disposeFixture(fixture);
+      changes.removed.push(fixture.id);
     }
+    
+    this.fixtures = fixtures;
+    return changes;
   }
   
   /**
-   * Update moving head animation
+   * Load a changed cue list, staying on the current cue (by name) with its trigger time
    */
-  updateMovingHead(fixture, time) {
-    const { light, target, baseTarget } = fixture;
-    
-    // Circular pan/tilt movement
-    const radius = 5;
-    const speed = 0.5;
+  reloadCues(cues, loop) {
+    const { cueEngine } = this;
+    const { currentCue, elapsed } = cueEngine;
     
-    target.position.x = baseTarget.x + Math.cos(time * speed) * radius;
-    target.position.z = baseTarget.z + Math.sin(time * speed) * radius;
+    cueEngine.load(cues, { loop });
     
-    // Pulsing intensity
-    const pulse = Math.sin(time * 2) * 0.3 + 0.7;
-    light.intensity = fixture.baseIntensity * pulse;
+    const index = currentCue ? cues.findIndex((cue) => cue.name === currentCue.name) : -1;
+    if (index > 0) {
+      cueEngine.goToIndex(index, { fade: 0 });
+    }
+    if (index !== -1) {
+      cueEngine.elapsed = elapsed;
+    }
   }
   
   /**
-   * Update strobe animation
+   * Swap a changed timeline's events at the current show time; a different clock source restarts
+   * the show
    */
-  updateStrobe(fixture, beat) {
-    const { light, strobePhase, baseIntensity } = fixture;
+  reloadTimeline(data, previous) {
+    const clockSettings = (timeline) => {
+      return timeline && [timeline.source || 'free', timeline.midiInput, timeline.offset];
+    };
     
-    // Strobe on beat
-    const strobeTime = (beat + strobePhase / (Math.PI * 2)) % 1;
+    if (!data || !this.showClock || !sameJSON(clockSettings(data), clockSettings(previous))) {
+      this.stopTimeline();
+      if (data) {
+        this.startTimeline(data);
+      }
+      return;
+    }
     
-    if (strobeTime < 0.05) {
-      light.intensity = baseIntensity;
+    this.timeline = new ShowTimeline(this, data);
+    this.showClock.setRate(data.rate || 1);
+    
+    const loop = ShowTimeline.getLoop(data);
+    if (loop) {
+      this.showClock.setLoop(loop.start, loop.end);
     } else {
-      light.intensity = 0;
+      this.showClock.setLoop(null);
     }
   }
   
   /**
-   * Update laser animation
+   * Re-apply the look for the current show time or cue to every fixture (after fixtures were
+   * rebuilt), keeping the cue's trigger time
    */
-  updateLaser(fixture, time) {
-    const { line, light, start, end } = fixture;
-    
-    // Sweep laser
-    const angle = Math.sin(time * 1.5) * Math.PI / 4;
-    
-    const newEnd = end.clone();
-    newEnd.x = end.x + Math.sin(angle) * 10;
+  resumeLook() {
+    if (this.timeline) {
+      this.timeline.seek(this.time);
+      return;
+    }
     
-    const positions = line.geometry.attributes.position.array;
-    positions[3] = newEnd.x;
-    positions[4] = newEnd.y;
-    positions[5] = newEnd.z;
-    line.geometry.attributes.position.needsUpdate = true;
+    const { cueEngine } = this;
+    if (!cueEngine.currentCue) return;
     
-    // Pulsing intensity
-    const pulse = Math.sin(time * 3) * 0.4 + 0.6;
-    light.intensity = fixture.baseIntensity * pulse;
+    const { elapsed } = cueEngine;
+    cueEngine.goToIndex(cueEngine.currentIndex, { fade: 0 });
+    cueEngine.elapsed = elapsed;
+    cueEngine.applyTransition();
   }
   
   /**
-   * Dispose of all fixtures
+   * Create a light fixture from data
    */
-  dispose() {
-    for (const fixture of this.fixtures) {
-      if (fixture.light) {
-        this.scene.remove(fixture.light);
-      }
-      if (fixture.target) {
-        this.scene.remove(fixture.target);
-      }
-      if (fixture.line) {
-        fixture.line.geometry.dispose();
-        fixture.line.material.dispose();
-        this.scene.remove(fixture.line);
-      }
-    }
+  createFixture(data) {
+    const { id, type, position, color, intensity, target, beamAngle } = data;
+    let fixture;
     
-    this.fixtures = [];
+    switch (type) {
+      case 'movingHead':
+        fixture = this.createMovingHead(position, color, intensity, target, beamAngle);
+        this.addHead(fixture, data);
+        this.addWheels(fixture, data);
+        break;
+      
+      case 'strobe':
+        fixture = this.createStrobe(position, color, intensity);
+        break;
+      
+      case 'laser':
+        fixture = this.createLaser(position, color, intensity, target);
+        break;
+      
+      case 'par':
+        fixture = this.createWash(data, 25);
+        break;
+      
+      case 'wash':
+        fixture = this.createWash(data, 50);
+        break;
+      
+      case 'ledBar':
+        fixture = this.createLEDBar(data);
+        break;
+      
+      case 'blinder':
+        fixture = this.createBlinder(data);
+        break;
+      
+      case 'mirrorBall':
+        fixture = this.createMirrorBall(data);
+        break;
+      
+      case 'haze':
+        fixture = this.createHaze(data);
+        break;
+      
+      default:
+        console.warn('Unknown fixture type:', type);
+        return null;
+    }
+    
+    // Lightplan entry and the defaults that cues fall back to
+    fixture.data = data;
+    fixture.id = id || type;
+    fixture.position = new THREE.Vector3(position[0], position[1], position[2]);
+    fixture.effect = 'default';
+    fixture.effectGroup = null; // Group whose order spreads a cue/runtime effect
+    fixture.effects = data.effects ? this.bindEffects(data.effects, null) : null;
+    fixture.home = {
+      color: fixture.baseColor.clone(),
+      intensity: fixture.baseIntensity,
+      target: fixture.baseTarget ? fixture.baseTarget.clone() : null,
+    };
+    if (fixture.baseWheels) {
+      fixture.home.wheels = { ...fixture.baseWheels };
+    }
+    
+    if (data.dmx) {
+      fixture.dmx = resolveDmxPatch(data.dmx, type, fixture.baseIntensity);
+    }
+    
+    return fixture;
+  }
+  
+  /**
+   * Resolve effect references for a fixture or group
+   * @param {Array<string|Object>} refs - Lightplan effect references
+   * @param {FixtureGroup|null} group - Group spreading the effects, null for plan order
+   * @returns {Array<{effect: Object, group: FixtureGroup|null}>}
+   */
+  bindEffects(refs, group) {
+    return refs
+      .map((ref) => resolveEffect(ref, this.effectPresets))
+      .filter(Boolean)
+      .map((effect) => ({ effect, group }));
+  }
+  
+  /**
+   * Create the lightplan's fixture groups and hand group effects to their members
+   * @param {Object} groups - Lightplan `groups` map
+   */
+  createGroups(groups) {
+    for (const [name, data] of Object.entries(groups)) {
+      const members = data.fixtures
+        .map((id) => this.fixtures.find((fixture) => fixture.id === id))
+        .filter(Boolean);
+      const group = new FixtureGroup(name, members, data);
+      this.groups.set(name, group);
+      
+      for (const fixture of group.fixtures) {
+        if (data.effects) {
+          fixture.effects = [...(fixture.effects || []), ...this.bindEffects(data.effects, group)];
+        }
+        
+        // Built-in strobes step through the group instead of firing at random phases
+        if (fixture.type === 'strobe' && group.phaseOffset !== undefined) {
+          fixture.strobePhase = group.getSlot(fixture).phase * Math.PI * 2;
+        }
+      }
+    }
+    
+    console.log(`Created ${this.groups.size} fixture groups`);
+  }
+  
+  /**
+   * Recreate the lightplan's groups, e.g. after fixtures were replaced or moved
+   */
+  rebuildGroups() {
+    this.groups.clear();
+    
+    for (const fixture of this.fixtures) {
+      const { effects } = fixture.data;
+      fixture.effects = effects ? this.bindEffects(effects, null) : null;
+    }
+    
+    if (this.lightplan && this.lightplan.groups) {
+      this.createGroups(this.lightplan.groups);
+    }
+  }
+  
+  /**
+   * Rebuild one fixture from an edited lightplan entry, keeping its place and groups
+   * @param {Object} fixture - Fixture to replace
+   * @param {Object} data - Lightplan fixture entry (with `id`)
+   * @returns {Object|null} The new fixture, null if the old one is unknown or the type invalid
+   */
+  replaceFixture(fixture, data) {
+    const index = this.fixtures.indexOf(fixture);
+    if (index === -1) return null;
+    
+    const replacement = this.createFixture(data);
+    if (!replacement) return null;
+    
+    this.disposeFixture(fixture);
+    this.fixtures[index] = replacement;
+    this.rebuildGroups();
+    
+    if (this.editMode) {
+      replacement.effect = 'none';
+    }
+    return replacement;
+  }
+  
+  /**
+   * Move a fixture or its aim point without rebuilding it, for dragging in the editor
+   * (replaceFixture() applies the edited entry once the drag ends). Beams and moving heads follow
+   * on the next update.
+   * @param {Object} fixture
+   * @param {Object} move - { position, target } as [x, y, z], either optional
+   */
+  moveFixture(fixture, { position, target }) {
+    if (position) {
+      const offset = moveOffset.fromArray(position).sub(fixture.position);
+      fixture.position.add(offset);
+      
+      // Aim points stay put; everything else moves with the fixture
+      const targets = new Set([fixture.target, fixture.light && fixture.light.target]);
+      for (const object of [fixture.light, ...(fixture.objects || [])]) {
+        if (object && !targets.has(object)) {
+          object.position.add(offset);
+        }
+      }
+      
+      if (fixture.start) {
+        fixture.start.add(offset);
+        const positions = fixture.line.geometry.attributes.position.array;
+        fixture.start.toArray(positions, 0);
+        fixture.line.geometry.attributes.position.needsUpdate = true;
+      }
+    }
+    
+    if (target && fixture.baseTarget) {
+      fixture.baseTarget.fromArray(target);
+      if (fixture.home.target) {
+        fixture.home.target.copy(fixture.baseTarget);
+      }
+    }
+  }
+  
+  /**
+   * Fixtures addressed by a fixture id or group name (group members in group order)
+   * @param {string} name
+   * @returns {Array<Object>} Empty if nothing matches
+   */
+  getFixtures(name) {
+    if (this.groups.has(name)) {
+      return this.groups.get(name).fixtures;
+    }
+    return this.fixtures.filter((fixture) => fixture.id === name);
+  }
+  
+  /**
+   * Groups a fixture belongs to, in lightplan order
+   */
+  getFixtureGroups(fixture) {
+    return [...this.groups.values()].filter((group) => group.has(fixture));
+  }
+  
+  /**
+   * Set the intensity of a fixture or group (until the next cue)
+   * @param {string} name - Fixture id or group name
+   * @param {number} intensity
+   * @returns {boolean} Whether anything matched
+   */
+  setIntensity(name, intensity) {
+    const fixtures = this.getFixtures(name);
+    for (const fixture of fixtures) {
+      fixture.baseIntensity = intensity;
+    }
+    return fixtures.length > 0;
+  }
+  
+  /**
+   * Set the color of a fixture or group (until the next cue)
+   * @param {string} name - Fixture id or group name
+   * @param {THREE.Color|string|number} color
+   * @returns {boolean} Whether anything matched
+   */
+  setColor(name, color) {
+    const fixtures = this.getFixtures(name);
+    for (const fixture of fixtures) {
+      fixture.baseColor.set(color);
+    }
+    return fixtures.length > 0;
+  }
+  
+  /**
+   * Run an effect on a fixture or group (until the next cue). A group spreads it in its order.
+   * @param {string} name - Fixture id or group name
+   * @param {string} effect - Effect name, 'default' or 'none'
+   * @returns {boolean} Whether anything matched
+   */
+  setEffect(name, effect) {
+    const fixtures = this.getFixtures(name);
+    const group = this.groups.has(name) ? name : null;
+    
+    for (const fixture of fixtures) {
+      fixture.effect = effect;
+      fixture.effectGroup = group;
+    }
+    return fixtures.length > 0;
+  }
+  
+  /**
+   * Set the master dimmer (scales every fixture's output, DMX included)
+   * @param {number} level - 0-1
+   */
+  setMaster(level) {
+    this.master = THREE.MathUtils.clamp(level, 0, 1);
+  }
+  
+  /**
+   * Set a group's intensity fader (scales its members' output on top of the master)
+   * @param {string} name - Group name
+   * @param {number} level - 0-1
+   * @returns {boolean} Whether the group exists
+   */
+  setGroupMaster(name, level) {
+    const group = this.groups.get(name);
+    if (!group) return false;
+    
+    group.master = THREE.MathUtils.clamp(level, 0, 1);
+    return true;
+  }
+  
+  /**
+   * Output scale for a fixture: the master times the faders of its groups
+   */
+  getOutputLevel(fixture) {
+    let level = this.master;
+    for (const group of this.groups.values()) {
+      if (group.has(fixture)) {
+        level *= group.master;
+      }
+    }
+    return level;
+  }
+  
+  /**
+   * Scale a fixture's output for this frame after its look or animation has been applied
+   */
+  applyOutputLevel(fixture, level) {
+    if (level === 1) return;
+    
+    const { light, line } = fixture;
+    
+    if (light) {
+      light.intensity *= level;
+    }
+    
+    if (line) {
+      line.material.color.multiplyScalar(level);
+    }
+    
+    switch (fixture.type) {
+      case 'ledBar': {
+        const colors = fixture.bar.instanceColor;
+        for (let i = 0; i < colors.array.length; i++) {
+          colors.array[i] *= level;
+        }
+        colors.needsUpdate = true;
+        break;
+      }
+      
+      case 'blinder':
+        fixture.glow.color.multiplyScalar(level);
+        break;
+      
+      case 'mirrorBall':
+        for (const projector of fixture.projectors) {
+          projector.intensity *= level;
+        }
+        break;
+    }
+  }
+  
+  /**
+   * Capture the look on stage: every fixture's live color, intensity, aim and effect, the
+   * faders and the clock position
+   * @returns {Object} JSON-serialisable state for setState()
+   */
+  getState() {
+    const fixtures = {};
+    for (const fixture of this.fixtures) {
+      fixtures[fixture.id] = {
+        color: `#${fixture.baseColor.getHexString()}`,
+        intensity: fixture.baseIntensity,
+        target: fixture.baseTarget ? fixture.baseTarget.toArray() : null,
+        effect: fixture.effect,
+        effectGroup: fixture.effectGroup,
+      };
+      if (fixture.baseWheels) {
+        fixtures[fixture.id].wheels = { ...fixture.baseWheels };
+      }
+    }
+    
+    const groups = {};
+    for (const [name, group] of this.groups) {
+      groups[name] = group.master;
+    }
+    
+    const { currentCue, elapsed } = this.cueEngine;
+    
+    return {
+      version: 1,
+      fixtures,
+      master: this.master,
+      groups,
+      effectSpeed: this.effectSpeed,
+      clock: {
+        time: this.time,
+        bpm: this.bpm,
+        beats: this.beatCount,
+        effectBeats: this.effectBeats,
+        cue: currentCue ? currentCue.name : null,
+        cueElapsed: elapsed,
+      },
+    };
+  }
+  
+  /**
+   * Recall a state from getState(), crossfading like a cue. Fixtures the state doesn't mention
+   * keep their look. A cut (no fade) also puts running effects back where they were; with a show
+   * timeline the show keeps its own tempo and position.
+   * @param {Object} state
+   * @param {Object} [options]
+   * @param {number} [options.fade] - Crossfade seconds
+   * @returns {number} Fixtures restored
+   */
+  setState(state, { fade = 0 } = {}) {
+    if (!state || !state.fixtures || !state.clock) {
+      throw new Error('Not a lighting state');
+    }
+    
+    const looks = [];
+    for (const fixture of this.fixtures) {
+      const saved = state.fixtures[fixture.id];
+      if (!saved) continue;
+      
+      looks.push({
+        fixture,
+        to: {
+          color: new THREE.Color(saved.color),
+          intensity: saved.intensity,
+          target: saved.target ? new THREE.Vector3().fromArray(saved.target) : fixture.home.target,
+          effect: saved.effect,
+          effectGroup: this.groups.has(saved.effectGroup) ? saved.effectGroup : null,
+          wheels: fixture.baseWheels && saved.wheels ? { ...saved.wheels } : null,
+        },
+      });
+    }
+    
+    this.setMaster(state.master);
+    for (const [name, level] of Object.entries(state.groups)) {
+      this.setGroupMaster(name, level);
+    }
+    this.setEffectSpeed(state.effectSpeed);
+    
+    const { clock } = state;
+    const { cueEngine } = this;
+    
+    if (!this.showClock) {
+      this.setBpm(clock.bpm);
+      
+      // Back on the cue the state was taken in, with its trigger time
+      const index = cueEngine.cues.findIndex((cue) => cue.name === clock.cue);
+      if (index !== -1) {
+        cueEngine.currentIndex = index;
+        cueEngine.elapsed = clock.cueElapsed;
+      }
+    }
+    
+    if (fade === 0) {
+      this.effectPhase = clock.effectBeats - this.beatCount * this.effectSpeed;
+    }
+    
+    cueEngine.fadeTo(looks, fade);
+    
+    const missing = Object.keys(state.fixtures).length - looks.length;
+    if (missing > 0) {
+      console.warn(`Lighting state: ${missing} fixtures are not in the lightplan`);
+    }
+    return looks.length;
+  }
+  
+  /**
+   * Turn "reduced flashing" on or off (remembered on this device): one flash per second at most
+   * and shallower moving head and laser pulses
+   */
+  setReducedFlashing(reduced) {
+    this.flashLimiter.setReduced(reduced);
+  }
+  
+  /**
+   * Camera the light budget favours fixtures near
+   * @param {THREE.Camera} camera
+   */
+  setViewer(camera) {
+    this.viewer = camera;
+  }
+  
+  /**
+   * Flash every strobe at full intensity while active (a held flash button)
+   */
+  setStrobeFlash(active) {
+    this.strobeFlash = active;
+  }
+  
+  /**
+   * Scale the speed of every running effect, keeping their current position
+   * @param {number} speed - 1 = as programmed
+   */
+  setEffectSpeed(speed) {
+    const beats = this.beatCount * this.effectSpeed + this.effectPhase;
+    this.effectSpeed = speed;
+    this.effectPhase = beats - this.beatCount * speed;
+  }
+  
+  /**
+   * Set the tempo that beat-driven animations and effects follow, keeping the beat position.
+   * While the music analyser is locked its tempo takes over.
+   * @param {number} bpm
+   */
+  setBpm(bpm) {
+    this.tempo.setBpm(bpm);
+    this.syncTempo();
+  }
+  
+  /**
+   * Register a tap: the tempo follows the recent taps and a beat lands on this one
+   * @returns {number} Current BPM
+   */
+  tapTempo() {
+    this.tempo.tapTempo();
+    this.syncTempo();
+    return this.bpm;
+  }
+  
+  /**
+   * Shift the beat grid without changing the tempo
+   * @param {number} ms - Positive when the lights are late to the music, negative when early
+   */
+  nudge(ms) {
+    this.tempo.nudge(ms);
+    this.syncTempo();
+  }
+  
+  /**
+   * Make now the downbeat of a bar, phrase and section
+   */
+  resyncDownbeat() {
+    this.tempo.resyncDownbeat();
+    this.syncTempo();
+  }
+  
+  /**
+   * Subscribe to beat grid events: 'beat', 'bar' (4 beats), 'phrase' (16), 'section' (32), with
+   * the grid position, or 'tempo' with the new BPM
+   * @returns {Function} Unsubscribe
+   */
+  on(event, callback) {
+    return this.tempo.on(event, callback);
+  }
+  
+  /**
+   * Copy the beat grid's tempo and position to the fields the animations read
+   */
+  syncTempo() {
+    this.bpm = this.tempo.bpm;
+    this.beatDuration = this.tempo.beatDuration;
+    this.beatCount = this.tempo.beats;
+  }
+  
+  /**
+   * Create a moving head spotlight
+   */
+  createMovingHead(position, color, intensity, target, beamAngle) {
+    const spotlight = new THREE.SpotLight(
+      new THREE.Color(color),
+      intensity || 1.0,
+      50, // distance
+      THREE.MathUtils.degToRad(beamAngle || 30),
+      0.5, // penumbra
+      1.0 // decay
+    );
+    
+    spotlight.position.set(position[0], position[1], position[2]);
+    
+    // Shadows are switched on by the light budget
+    spotlight.shadow.mapSize.width = 512;
+    spotlight.shadow.mapSize.height = 512;
+    
+    // Target: the setpoint cues, effects and DMX move; the light aims where the head points
+    const targetObj = new THREE.Object3D();
+    if (target) {
+      targetObj.position.set(target[0], target[1], target[2]);
+    } else {
+      targetObj.position.set(position[0], 0, position[2]);
+    }
+    
+    this.scene.add(targetObj);
+    spotlight.target = new THREE.Object3D();
+    this.scene.add(spotlight.target);
+    
+    this.scene.add(spotlight);
+    
+    // Add visual cone helper (optional, for debugging)
+    // const helper = new THREE.SpotLightHelper(spotlight);
+    // this.scene.add(helper);
+    
+    // Visible beam in air
+    const beam = createBeamCone(color, this.quality);
+    this.scene.add(beam);
+    
+    return {
+      type: 'movingHead',
+      light: spotlight,
+      target: targetObj,
+      beam,
+      basePosition: new THREE.Vector3(position[0], position[1], position[2]),
+      baseTarget: new THREE.Vector3(target ? target[0] : position[0], target ? target[1] : 0, target ? target[2] : position[2]),
+      baseColor: new THREE.Color(color),
+      baseIntensity: intensity || 1.0,
+    };
+  }
+  
+  /**
+   * Give a moving head its pan/tilt mechanics (from its lightplan entry) and a body that turns
+   * with them, starting at rest on its target
+   */
+  addHead(fixture, data) {
+    const { light } = fixture;
+    const body = createHeadBody();
+    body.base.position.copy(light.position);
+    this.scene.add(body.base);
+    
+    fixture.head = new PanTiltHead(data);
+    fixture.body = body;
+    fixture.glow = body.glow;
+    fixture.objects = [light.target, body.base];
+    
+    fixture.head.aimAt(light.position, fixture.target.position);
+    fixture.head.settle();
+    this.updateHead(fixture, 0);
+  }
+  
+  /**
+   * Move a moving head towards its target and turn the light and body to where it points
+   * @param {number} deltaTime - Real seconds: the mechanics keep their pace whatever the show rate
+   */
+  updateHead(fixture, deltaTime) {
+    const { head, body, light, target } = fixture;
+    head.aimAt(light.position, target.position);
+    head.update(deltaTime);
+    
+    // Same throw as the target so the beam ends where the target will be
+    const { x, y, z } = head.getDirection();
+    light.target.position
+      .set(x, y, z)
+      .multiplyScalar(light.position.distanceTo(target.position))
+      .add(light.position);
+    
+    body.yoke.rotation.y = THREE.MathUtils.degToRad(head.pan);
+    body.head.rotation.x = -THREE.MathUtils.degToRad(head.tilt);
+  }
+  
+  /**
+   * Fit a moving head's gobo and color wheels from its lightplan entry (if it has any)
+   */
+  addWheels(fixture, data) {
+    if (!data.gobos && !data.colorWheel) return;
+    
+    fixture.gobos = (data.gobos || []).map(loadGobo);
+    fixture.colorWheel = (data.colorWheel || []).map((value) => new THREE.Color(value));
+    fixture.goboAngle = 0;
+    fixture.baseWheels = {
+      gobo: data.gobo || 0,
+      goboSpin: data.goboSpin || 0,
+      wheel: data.wheel || 0,
+    };
+    
+    // Always projecting something (the open gobo at least) keeps three.js's light count steady
+    if (fixture.gobos.length > 0) {
+      fixture.light.map = getOpenGobo();
+    }
+  }
+  
+  /**
+   * Create a strobe light
+   */
+  createStrobe(position, color, intensity) {
+    const pointLight = new THREE.PointLight(
+      new THREE.Color(color),
+      0, // Start off
+      20, // distance
+      2.0 // decay
+    );
+    
+    pointLight.position.set(position[0], position[1], position[2]);
+    this.scene.add(pointLight);
+    
+    // Lamp face that glows with each flash, also while the light budget turns the light off
+    const glow = new THREE.MeshBasicMaterial({ color: 0x000000, toneMapped: false });
+    const lamp = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.12, 0.06), glow);
+    lamp.position.copy(pointLight.position);
+    this.scene.add(lamp);
+    
+    return {
+      type: 'strobe',
+      light: pointLight,
+      glow,
+      objects: [lamp],
+      baseColor: new THREE.Color(color),
+      baseIntensity: intensity || 5.0,
+      strobePhase: Math.random() * Math.PI * 2,
+    };
+  }
+  
+  /**
+   * Create a laser effect
+   */
+  createLaser(position, color, intensity, target) {
+    // Laser beam geometry
+    const start = new THREE.Vector3(position[0], position[1], position[2]);
+    const end = target 
+      ? new THREE.Vector3(target[0], target[1], target[2])
+      : new THREE.Vector3(position[0], 0, position[2] + 10);
+    
+    const points = [start, end];
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    
+    const material = new THREE.LineBasicMaterial({
+      color: new THREE.Color(color),
+      transparent: true,
+      opacity: 0.8,
+      blending: THREE.AdditiveBlending,
+    });
+    
+    const line = new THREE.Line(geometry, material);
+    this.scene.add(line);
+    
+    // Add point light at laser origin
+    const pointLight = new THREE.PointLight(
+      new THREE.Color(color),
+      intensity || 1.0,
+      10,
+      2.0
+    );
+    pointLight.position.copy(start);
+    this.scene.add(pointLight);
+    
+    // Thick glowing beam around the line core
+    const beam = createLaserBeam(color, this.quality);
+    this.scene.add(beam);
+    
+    return {
+      type: 'laser',
+      line,
+      beam,
+      light: pointLight,
+      baseColor: new THREE.Color(color),
+      baseIntensity: intensity || 1.0,
+      baseTarget: end.clone(),
+      start: start.clone(),
+      end: end.clone(),
+    };
+  }
+  
+  /**
+   * Create a PAR can or wash light: a fixed spot that fades through its color list
+   * @param {Object} data - Lightplan entry (colors, colorBeats, beamAngle, target)
+   * @param {number} defaultAngle - Beam angle (degrees) when the plan gives none
+   */
+  createWash(data, defaultAngle) {
+    const { type, position, color, intensity, target, beamAngle } = data;
+    
+    const spotlight = new THREE.SpotLight(
+      new THREE.Color(color),
+      intensity || 1.0,
+      30, // distance
+      THREE.MathUtils.degToRad(beamAngle || defaultAngle),
+      0.8, // penumbra
+      1.0 // decay
+    );
+    spotlight.position.set(position[0], position[1], position[2]);
+    
+    // Hung pointing straight down unless aimed
+    const aim = target || [position[0], 0, position[2]];
+    const targetObj = new THREE.Object3D();
+    targetObj.position.set(aim[0], aim[1], aim[2]);
+    this.scene.add(targetObj);
+    spotlight.target = targetObj;
+    
+    this.scene.add(spotlight);
+    
+    const beam = createBeamCone(color, this.quality);
+    this.scene.add(beam);
+    
+    return {
+      type,
+      light: spotlight,
+      target: targetObj,
+      beam,
+      baseTarget: targetObj.position.clone(),
+      baseColor: new THREE.Color(color),
+      baseIntensity: intensity || 1.0,
+      colors: (data.colors || []).map((value) => new THREE.Color(value)),
+      colorBeats: data.colorBeats || 8,
+    };
+  }
+  
+  /**
+   * Create a pixel-mapped LED bar: a row of individually colored pixels
+   * lighting the room through one point light at their average color
+   */
+  createLEDBar(data) {
+    const { position, color, intensity } = data;
+    const count = data.pixels || 8;
+    const length = data.length || 1;
+    const pitch = length / count;
+    
+    const center = new THREE.Vector3(position[0], position[1], position[2]);
+    const direction = new THREE.Vector3(...(data.direction || [1, 0, 0])).normalize();
+    const rotation = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(1, 0, 0), direction);
+    
+    const bar = new THREE.InstancedMesh(
+      new THREE.BoxGeometry(pitch * 0.8, 0.04, 0.04),
+      new THREE.MeshBasicMaterial({ toneMapped: false }),
+      count
+    );
+    
+    const matrix = new THREE.Matrix4();
+    const scale = new THREE.Vector3(1, 1, 1);
+    for (let i = 0; i < count; i++) {
+      const offset = (i + 0.5) * pitch - length / 2;
+      const pixelPosition = center.clone().addScaledVector(direction, offset);
+      bar.setMatrixAt(i, matrix.compose(pixelPosition, rotation, scale));
+      bar.setColorAt(i, new THREE.Color(0x000000));
+    }
+    this.scene.add(bar);
+    
+    const pointLight = new THREE.PointLight(new THREE.Color(color), intensity || 1.0, 8, 2.0);
+    pointLight.position.copy(center);
+    this.scene.add(pointLight);
+    
+    return {
+      type: 'ledBar',
+      light: pointLight,
+      bar,
+      objects: [bar],
+      pattern: data.pattern || 'chase',
+      speed: data.speed || 1,
+      baseColor: new THREE.Color(color),
+      baseIntensity: intensity || 1.0,
+    };
+  }
+  
+  /**
+   * Create a blinder (2-lite, 4-lite...) facing its target that hits on phrase boundaries
+   */
+  createBlinder(data) {
+    const { position, color, intensity, target } = data;
+    const cells = data.cells || 2;
+    const tungsten = color || '#ffcc88';
+    
+    const spotlight = new THREE.SpotLight(
+      new THREE.Color(tungsten),
+      0, // Start off
+      25, // distance
+      THREE.MathUtils.degToRad(60),
+      1.0, // penumbra
+      1.5 // decay
+    );
+    spotlight.position.set(position[0], position[1], position[2]);
+    
+    // Faces the crowd (+Z) unless aimed
+    const aim = target || [position[0], 1.5, position[2] + 10];
+    const targetObj = new THREE.Object3D();
+    targetObj.position.set(aim[0], aim[1], aim[2]);
+    this.scene.add(targetObj);
+    spotlight.target = targetObj;
+    this.scene.add(spotlight);
+    
+    // Housing with a grid of lamp cells, two rows from 4-lite up
+    const rows = cells > 2 ? 2 : 1;
+    const columns = Math.ceil(cells / rows);
+    const housing = new THREE.Group();
+    housing.position.copy(spotlight.position);
+    
+    housing.add(
+      new THREE.Mesh(
+        new THREE.BoxGeometry(columns * 0.25, rows * 0.25, 0.1),
+        new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.6 })
+      )
+    );
+    
+    const glow = new THREE.MeshBasicMaterial({ color: new THREE.Color(tungsten), toneMapped: false });
+    const cellGeometry = new THREE.CircleGeometry(0.09, 24);
+    for (let i = 0; i < cells; i++) {
+      const cell = new THREE.Mesh(cellGeometry, glow);
+      cell.position.set(
+        ((i % columns) - (columns - 1) / 2) * 0.25,
+        ((rows - 1) / 2 - Math.floor(i / columns)) * 0.25,
+        0.051
+      );
+      housing.add(cell);
+    }
+    
+    housing.lookAt(targetObj.position);
+    this.scene.add(housing);
+    
+    return {
+      type: 'blinder',
+      light: spotlight,
+      target: targetObj,
+      glow,
+      objects: [housing],
+      baseTarget: targetObj.position.clone(),
+      baseColor: new THREE.Color(tungsten),
+      baseIntensity: intensity || 10.0,
+      hitBeats: data.hitBeats || 16,
+      decay: data.decay || 0.4,
+      lastHit: 0,
+      hitTime: -Infinity,
+    };
+  }
+  
+  /**
+   * Create a rotating mirror ball with spotlights projecting its reflections around the room
+   */
+  createMirrorBall(data) {
+    const { position, color, intensity } = data;
+    const radius = data.radius || 0.3;
+    const count = data.projectors || 2;
+    
+    const ball = new THREE.Mesh(
+      new THREE.IcosahedronGeometry(radius, 3),
+      new THREE.MeshStandardMaterial({
+        color: 0xcccccc,
+        metalness: 1.0,
+        roughness: 0.15,
+        flatShading: true,
+      })
+    );
+    ball.position.set(position[0], position[1], position[2]);
+    this.scene.add(ball);
+    
+    const texture = createMirrorBallTexture();
+    const projectors = [];
+    const objects = [ball];
+    
+    for (let i = 0; i < count; i++) {
+      const spotlight = new THREE.SpotLight(
+        new THREE.Color(color),
+        intensity || 2.0,
+        30, // distance
+        THREE.MathUtils.degToRad(data.beamAngle || 40),
+        0.1, // penumbra
+        1.5 // decay
+      );
+      spotlight.position.copy(ball.position);
+      spotlight.map = texture;
+      
+      // SpotLight.map is projected through the shadow camera
+      spotlight.castShadow = true;
+      spotlight.shadow.mapSize.width = 256;
+      spotlight.shadow.mapSize.height = 256;
+      
+      this.scene.add(spotlight.target);
+      this.scene.add(spotlight);
+      projectors.push(spotlight);
+      objects.push(spotlight, spotlight.target);
+    }
+    
+    return {
+      type: 'mirrorBall',
+      light: projectors[0],
+      ball,
+      projectors,
+      texture,
+      objects,
+      rpm: data.rpm !== undefined ? data.rpm : 2,
+      baseColor: new THREE.Color(color),
+      baseIntensity: intensity || 2.0,
+    };
+  }
+  
+  /**
+   * Create a haze machine. It emits no light: its haze level sets how visible every beam is.
+   * The fixture's intensity is the machine's output (0-1).
+   */
+  createHaze(data) {
+    const { position, color } = data;
+    const output = data.output !== undefined ? data.output : 0.6;
+    
+    const machine = new THREE.Mesh(
+      new THREE.BoxGeometry(0.4, 0.25, 0.3),
+      new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.8 })
+    );
+    machine.position.set(position[0], position[1], position[2]);
+    this.scene.add(machine);
+    
+    return {
+      type: 'haze',
+      light: null,
+      objects: [machine],
+      baseColor: new THREE.Color(color),
+      baseIntensity: output,
+      interval: data.interval || 30,
+      burst: data.burst || 5,
+      decay: data.decay || 60,
+      level: output, // The room starts hazed
+    };
+  }
+  
+  /**
+   * Create default lighting (fallback)
+   */
+  createDefaultLighting() {
+    // Ambient light
+    const ambient = new THREE.AmbientLight(0xffffff, 0.5);
+    
+    // Key light
+    const keyLight = new THREE.DirectionalLight(0xffffff, 1.0);
+    keyLight.position.set(10, 15, 10);
+    keyLight.castShadow = true;
+    keyLight.shadow.camera.near = 0.1;
+    keyLight.shadow.camera.far = 50;
+    keyLight.shadow.camera.left = -20;
+    keyLight.shadow.camera.right = 20;
+    keyLight.shadow.camera.top = 20;
+    keyLight.shadow.camera.bottom = -20;
+    keyLight.shadow.mapSize.width = 1024;
+    keyLight.shadow.mapSize.height = 1024;
+    
+    // Fill lights
+    const fillLight1 = new THREE.PointLight(0x4444ff, 0.5, 30);
+    fillLight1.position.set(-10, 3, 0);
+    
+    const fillLight2 = new THREE.PointLight(0xff4444, 0.5, 30);
+    fillLight2.position.set(10, 3, 0);
+    
+    // Removed by dispose() once a lightplan loads (e.g. a fixed plan on reload)
+    this.defaultLights = [ambient, keyLight, fillLight1, fillLight2];
+    this.scene.add(...this.defaultLights);
+    
+    console.log('Default lighting created');
+  }
+  
+  /**
+   * Update lighting animation
+   */
+  update(deltaTime) {
+    let beat;
+    let showDelta = deltaTime;
+    
+    if (this.showClock) {
+      // Everything derives from show time so a timecode always produces the same look
+      const { time, delta, jumped } = this.showClock.update(deltaTime);
+      this.time = time;
+      this.tempo.update(time);
+      this.syncTempo();
+      beat = this.tempo.getPhase();
+      showDelta = delta;
+      
+      this.cueEngine.update(showDelta);
+      this.timeline.evaluate(time, jumped);
+    } else {
+      this.time += deltaTime;
+      this.tempo.update(this.time);
+      
+      // Follow the music's tempo and phase once the analyser has locked on
+      if (this.audio && this.audio.isLocked()) {
+        this.tempo.follow(this.audio.bpm, this.audio.getBeatPhase());
+      }
+      this.syncTempo();
+      beat = this.tempo.getPhase();
+      
+      this.cueEngine.update(deltaTime);
+    }
+    
+    this.effectBeats = this.beatCount * this.effectSpeed + this.effectPhase;
+    this.flashTime += deltaTime;
+    this.flashLimiter.update(deltaTime);
+    this.updateEffectGroups();
+    
+    for (const fixture of this.fixtures) {
+      this.updateFixture(fixture, beat, showDelta);
+      
+      if (fixture.head) {
+        this.updateHead(fixture, deltaTime);
+      }
+      
+      if (this.strobeFlash && fixture.type === 'strobe') {
+        const on = (this.flashTime * STROBE_FLASH_RATE) % 1 < 0.5;
+        fixture.light.intensity = on ? fixture.home.intensity : 0;
+      }
+      
+      // Last in the pipeline so every source of flashes (strobes, kicks, DMX input) is limited
+      const level = this.getOutputLevel(fixture);
+      const luminance = fixture.light
+        ? fixture.light.intensity * level / (fixture.home.intensity || 1)
+        : 0;
+      this.applyOutputLevel(fixture, level * this.flashLimiter.limit(fixture, luminance));
+    }
+    
+    // After every fixture so this frame's haze level applies
+    const visibility = this.getBeamVisibility();
+    for (const fixture of this.fixtures) {
+      if (fixture.beam) {
+        this.updateBeam(fixture, visibility);
+      }
+      if (fixture.type === 'strobe' || fixture.type === 'movingHead') {
+        const level = fixture.light.intensity / (fixture.home.intensity || 1);
+        fixture.glow.color.copy(fixture.light.color).multiplyScalar(level);
+      }
+    }
+    
+    // Decide which fixtures get real and shadowed lights from this frame's output
+    this.lightBudget.update(this.fixtures, this.viewer);
+    
+    if (this.dmxOutput) {
+      this.writeDMXUniverses();
+      this.dmxOutput.update(this.universes, deltaTime);
+    }
+  }
+  
+  /**
+   * Update one fixture from DMX input, a static cue look, its effects or its built-in animation
+   */
+  updateFixture(fixture, beat, deltaTime) {
+    if (fixture.baseWheels) {
+      fixture.goboAngle += fixture.baseWheels.goboSpin * Math.PI * 2 * deltaTime;
+    }
+    
+    if (this.dmxInput && fixture.dmx && this.applyDMXInput(fixture)) {
+      return;
+    }
+    
+    if (fixture.effect === 'none') {
+      this.applyLook(fixture, {
+        color: fixture.baseColor,
+        intensity: fixture.baseIntensity,
+        target: fixture.baseTarget || null,
+        wheels: fixture.baseWheels || null,
+      });
+      return;
+    }
+    
+    const effects = this.getActiveEffects(fixture);
+    if (effects) {
+      this.applyLook(fixture, this.getEffectLook(fixture, effects));
+      return;
+    }
+    
+    this.applyColor(fixture);
+    
+    switch (fixture.type) {
+      case 'movingHead':
+        this.updateMovingHead(fixture, this.time);
+        break;
+      
+      case 'strobe':
+        this.updateStrobe(fixture, beat);
+        break;
+      
+      case 'laser':
+        this.updateLaser(fixture, this.time);
+        break;
+      
+      case 'par':
+      case 'wash':
+        this.updateWash(fixture);
+        break;
+      
+      case 'ledBar':
+        this.updateLEDBar(fixture, beat);
+        break;
+      
+      case 'blinder':
+        this.updateBlinder(fixture);
+        break;
+      
+      case 'mirrorBall':
+        this.updateMirrorBall(fixture, this.time);
+        break;
+      
+      case 'haze':
+        this.updateHaze(fixture, deltaTime);
+        break;
+    }
+    
+    if (fixture.baseWheels) {
+      this.applyWheels(fixture, fixture.baseWheels);
+    }
+  }
+  
+  /**
+   * Fit a fixture's visible beam to its light's current aim, color and intensity
+   * @param {number} visibility - Haze factor from getBeamVisibility()
+   */
+  updateBeam(fixture, visibility) {
+    const { beam, light } = fixture;
+    const { position, target } = this.getAim(fixture);
+    const opacity = BEAM_QUALITY[this.quality].opacity * visibility;
+    
+    if (light.isSpotLight) {
+      // Cone ends at the aim point, widening with the spot's half-angle
+      const end = target.clone();
+      const length = Math.min(position.distanceTo(end), light.distance);
+      end.sub(position).setLength(length).add(position);
+      
+      aimBeam(beam, position, end, Math.tan(light.angle) * length);
+      setBeamOutput(beam, light.color, light.intensity * CONE_BRIGHTNESS * opacity);
+    } else {
+      // Brightness relative to the lightplan intensity so lasers stay thin and crisp
+      const level = light.intensity / (fixture.home.intensity || 1);
+      aimBeam(beam, position, target, LASER_RADIUS);
+      setBeamOutput(beam, light.color, level * LASER_BRIGHTNESS * opacity);
+    }
+  }
+  
+  /**
+   * How visible beams are: fully without a haze machine, otherwise following the haze level
+   */
+  getBeamVisibility() {
+    let hazers = 0;
+    let level = 0;
+    
+    for (const fixture of this.fixtures) {
+      if (fixture.type === 'haze') {
+        hazers++;
+        level += fixture.level;
+      }
+    }
+    
+    if (hazers === 0) return 1;
+    return HAZE_MIN_VISIBILITY + (1 - HAZE_MIN_VISIBILITY) * Math.min(level, 1);
+  }
+  
+  /**
+   * Scale beam detail and brightness, and the number of real lights, to the render quality
+   * @param {string} quality - 'high' | 'medium' | 'low'
+   */
+  setQuality(quality) {
+    this.quality = quality;
+    this.lightBudget.setQuality(quality);
+    
+    for (const fixture of this.fixtures) {
+      if (fixture.beam) {
+        setBeamQuality(fixture.beam, quality);
+      }
+    }
+  }
+  
+  /**
+   * Apply the fixture's current base color
+   */
+  applyColor(fixture) {
+    if (!fixture.light) return;
+    
+    fixture.light.color.copy(fixture.baseColor);
+    
+    if (fixture.line) {
+      fixture.line.material.color.copy(fixture.baseColor);
+    }
+    
+    if (fixture.projectors) {
+      for (const projector of fixture.projectors) {
+        projector.color.copy(fixture.baseColor);
+      }
+    }
+  }
+  
+  /**
+   * Show a look as-is: color, intensity, aim point (null keeps the current aim) and wheels
+   * @param {{color: THREE.Color, intensity: number, target: THREE.Vector3|null,
+   *   wheels: Object|null}} look
+   */
+  applyLook(fixture, { color, intensity, target, wheels }) {
+    const { light, line } = fixture;
+    
+    if (light) {
+      light.color.copy(color);
+      light.intensity = intensity;
+    }
+    
+    if (fixture.target && target) {
+      fixture.target.position.copy(target);
+    }
+    
+    if (line) {
+      line.material.color.copy(color);
+      if (target) {
+        this.setLaserEnd(fixture, target);
+      }
+    }
+    
+    switch (fixture.type) {
+      case 'ledBar':
+        this.setLEDBarPixels(fixture, () => scratchColor.copy(color), intensity);
+        break;
+      
+      case 'blinder':
+        fixture.glow.color
+          .copy(color)
+          .multiplyScalar(Math.min(1, intensity / (fixture.home.intensity || 1)));
+        break;
+      
+      case 'mirrorBall':
+        for (const projector of fixture.projectors) {
+          projector.color.copy(color);
+          projector.intensity = intensity;
+        }
+        break;
+      
+      case 'haze':
+        fixture.level = intensity;
+        break;
+    }
+    
+    if (fixture.baseWheels) {
+      this.applyWheels(fixture, wheels || fixture.baseWheels);
+    }
+  }
+  
+  /**
+   * Put the color wheel's filter and the gobo in a moving head's beam
+   * @param {{gobo: number, goboAngle: number|undefined, wheel: number}} wheels - Gobo slot
+   *   (0 = open) with an angle on top of its spin, and color wheel position; slots wrap around
+   */
+  applyWheels(fixture, { gobo, goboAngle = 0, wheel }) {
+    const { light, gobos, colorWheel } = fixture;
+    
+    // Between two slots the beam is split: blend their colors
+    if (colorWheel.length > 0) {
+      const position = THREE.MathUtils.euclideanModulo(wheel, colorWheel.length);
+      const slot = Math.floor(position);
+      const next = colorWheel[(slot + 1) % colorWheel.length];
+      scratchColor.lerpColors(colorWheel[slot], next, position - slot);
+      light.color.multiply(scratchColor);
+    }
+    
+    if (gobos.length > 0) {
+      const slot = THREE.MathUtils.euclideanModulo(Math.round(gobo), gobos.length + 1);
+      const texture = slot > 0 ? gobos[slot - 1] : null;
+      
+      // The open gobo stands in until the image has loaded
+      light.map = texture && texture.image ? texture : getOpenGobo();
+      setGoboAngle(light, fixture.goboAngle + goboAngle);
+    }
+  }
+  
+  /**
+   * Effects driving a fixture: its own and its groups' lightplan effects, or the one a cue
+   * look or setEffect() names
+   * @returns {Array<{effect: Object, group: FixtureGroup|null}>|null} Null to use the built-in animation
+   */
+  getActiveEffects(fixture) {
+    if (fixture.effect === 'default') {
+      return fixture.effects && fixture.effects.length > 0 ? fixture.effects : null;
+    }
+    
+    if (!this.namedEffects.has(fixture.effect)) {
+      this.namedEffects.set(fixture.effect, resolveEffect(fixture.effect, this.effectPresets));
+    }
+    const effect = this.namedEffects.get(fixture.effect);
+    const group = fixture.effectGroup ? this.groups.get(fixture.effectGroup) || null : null;
+    return effect ? [{ effect, group }] : null;
+  }
+  
+  /**
+   * Record which fixtures run each ungrouped effect so it can spread across them (plan order)
+   */
+  updateEffectGroups() {
+    this.effectGroups.clear();
+    
+    for (const fixture of this.fixtures) {
+      const bindings = fixture.effect === 'none' ? null : this.getActiveEffects(fixture);
+      if (!bindings) continue;
+      
+      for (const { effect, group } of bindings) {
+        if (group) continue;
+        
+        if (!this.effectGroups.has(effect.name)) {
+          this.effectGroups.set(effect.name, []);
+        }
+        this.effectGroups.get(effect.name).push(fixture);
+      }
+    }
+  }
+  
+  /**
+   * Run a fixture's effects over its base look
+   */
+  getEffectLook(fixture, bindings) {
+    effectLook.color.copy(fixture.baseColor);
+    effectLook.intensity = fixture.baseIntensity;
+    effectLook.target = fixture.baseTarget ? scratchTarget.copy(fixture.baseTarget) : null;
+    effectLook.wheels = fixture.baseWheels
+      ? Object.assign(scratchWheels, fixture.baseWheels, { goboAngle: 0 })
+      : null;
+    
+    for (const { effect, group } of bindings) {
+      let slot;
+      if (group) {
+        slot = group.getSlot(fixture);
+      } else {
+        const members = this.effectGroups.get(effect.name) || [fixture];
+        slot = { index: Math.max(0, members.indexOf(fixture)), count: members.length };
+      }
+      applyEffect(effect, effectLook, this.effectBeats, slot);
+    }
+    
+    return effectLook;
+  }
+  
+  /**
+   * Move the far end of a laser beam
+   */
+  setLaserEnd(fixture, point) {
+    const positions = fixture.line.geometry.attributes.position.array;
+    positions[3] = point.x;
+    positions[4] = point.y;
+    positions[5] = point.z;
+    fixture.line.geometry.attributes.position.needsUpdate = true;
+  }
+  
+  /**
+   * Start streaming fixture state to the DMX relay
+   * @param {Object} [options] - { protocol: 'artnet'|'sacn', relayUrl, rate }
+   */
+  startDMXOutput(options = {}) {
+    this.stopDMXOutput();
+    
+    this.dmxOutput = new DMXOutput(options);
+    this.dmxOutput.connect();
+  }
+  
+  /**
+   * Stop streaming to the DMX relay
+   */
+  stopDMXOutput() {
+    if (this.dmxOutput) {
+      this.dmxOutput.close();
+      this.dmxOutput = null;
+    }
+  }
+  
+  /**
+   * Drive patched movingHead/strobe/laser/par/wash fixtures from an external desk instead of
+   * their built-in animations
+   * @param {Object} [options] - { relayUrl } of relay/dmx-relay.js started with --listen
+   */
+  startDMXInput(options = {}) {
+    this.stopDMXInput();
+    
+    this.dmxInput = new DMXInput(options);
+    this.dmxInput.connect();
+  }
+  
+  /**
+   * Return fixtures to lightplan/cue control
+   */
+  stopDMXInput() {
+    if (!this.dmxInput) return;
+    
+    this.dmxInput.close();
+    this.dmxInput = null;
+    
+    for (const fixture of this.fixtures) {
+      if (fixture.line) {
+        fixture.line.visible = true;
+      }
+    }
+  }
+  
+  /**
+   * Apply received channel values (dimmer, RGB, shutter, pan/tilt) to a fixture
+   * @returns {boolean} False until the desk has sent the fixture's universe
+   */
+  applyDMXInput(fixture) {
+    if (!DMX_INPUT_TYPES.includes(fixture.type)) return false;
+    
+    const universe = this.dmxInput.getUniverse(fixture.dmx.universe);
+    if (!universe) return false;
+    
+    const { light, line, dmx, home } = fixture;
+    const attributes = readFixtureChannels(universe, dmx);
+    
+    const dimmer = attributes.dimmer !== undefined ? attributes.dimmer : 1;
+    const open = isShutterOpen(attributes.shutter, this.time);
+    light.intensity = open ? dimmer * dmx.maxIntensity : 0;
+    
+    if (attributes.red !== undefined) {
+      light.color.setRGB(attributes.red, attributes.green, attributes.blue);
+    }
+    
+    if (line) {
+      line.material.color.copy(light.color);
+      line.visible = light.intensity > 0;
+    }
+    
+    const aim = this.getAim(fixture);
+    
+    if (aim && attributes.pan !== undefined && attributes.tilt !== undefined) {
+      const { position } = aim;
+      const direction = panTiltToDirection(
+        (attributes.pan - 0.5) * PAN_RANGE,
+        (attributes.tilt - 0.5) * TILT_RANGE
+      );
+      
+      // Keep the throw distance of the lightplan target
+      const distance = home.target ? home.target.distanceTo(position) : 10;
+      const aimPoint = position.clone().addScaledVector(direction, distance);
+      
+      if (fixture.target) {
+        fixture.target.position.copy(aimPoint);
+      } else if (line) {
+        this.setLaserEnd(fixture, aimPoint);
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get (or create) a DMX universe
+   */
+  getUniverse(number) {
+    if (!this.universes.has(number)) {
+      this.universes.set(number, new DMXUniverse(number));
+    }
+    return this.universes.get(number);
+  }
+  
+  /**
+   * Write every patched fixture's current output into its universe
+   */
+  writeDMXUniverses() {
+    for (const fixture of this.fixtures) {
+      if (!fixture.dmx) continue;
+      
+      // Consoles send where a head should point, not where it has got to
+      const aim = fixture.head
+        ? { position: fixture.light.position, target: fixture.target.position }
+        : this.getAim(fixture);
+      const attributes = getFixtureAttributes(fixture, aim);
+      writeFixtureChannels(this.getUniverse(fixture.dmx.universe), fixture.dmx, attributes);
+    }
+  }
+  
+  /**
+   * World-space origin and aim point of a fixture's beam (null if it has none)
+   */
+  getAim(fixture) {
+    switch (fixture.type) {
+      case 'movingHead':
+      case 'par':
+      case 'wash':
+        // A moving head's light lags behind its target while the head travels
+        return { position: fixture.light.position, target: fixture.light.target.position };
+      
+      case 'laser': {
+        const positions = fixture.line.geometry.attributes.position.array;
+        return {
+          position: fixture.start,
+          target: new THREE.Vector3(positions[3], positions[4], positions[5]),
+        };
+      }
+      
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Drive fixtures from music analysis
+   * @param {AudioEngine} audio
+   */
+  setAudio(audio) {
+    this.audio = audio;
+    audio.on('kick', () => {
+      this.kickTime = this.time;
+    });
+  }
+  
+  /**
+   * Whether music is playing and should drive the animations
+   */
+  isAudioReactive() {
+    return Boolean(this.audio && this.audio.playing);
+  }
+  
+  /**
+   * Play the lightplan timeline from a clock source. Cue triggers are ignored while it runs.
+   * @param {Object} data - Validated lightplan `timeline`
+   */
+  startTimeline(data) {
+    this.stopTimeline();
+    
+    this.timeline = new ShowTimeline(this, data);
+    this.showClock = new ShowClock();
+    
+    // Beat 0 at show time 0 so a timecode always lands on the same beat
+    this.tempo.reset(0);
+    this.syncTempo();
+    this.showClock.setRate(data.rate || 1);
+    
+    const loop = ShowTimeline.getLoop(data);
+    if (loop) {
+      this.showClock.setLoop(loop.start, loop.end);
+    }
+    
+    this.cueEngine.pauseCues();
+    
+    switch (data.source) {
+      case 'audio':
+        // Runs with the track: play/pause through the audio button or playShow()
+        this.showClock.useAudio(this.audio);
+        break;
+      
+      case 'mtc': {
+        const offset = data.offset ? parseTimecode(data.offset, this.timeline.fps) : 0;
+        this.showClock.useMTC({ input: data.midiInput, offset }).catch((error) => {
+          console.warn('MIDI Time Code unavailable, running the show free:', error);
+          this.showClock.useFreeRunning();
+          this.showClock.play();
+        });
+        break;
+      }
+      
+      default:
+        this.showClock.play();
+    }
+    
+    console.log(`Timeline: ${data.events.length} events, ${data.source || 'free'} clock`);
+  }
+  
+  /**
+   * Stop timeline playback and hand cue changes back to their triggers
+   */
+  stopTimeline() {
+    if (!this.showClock) return;
+    
+    this.showClock.dispose();
+    this.showClock = null;
+    this.timeline = null;
+    this.cueEngine.resumeCues();
+  }
+  
+  /**
+   * Start or resume the show clock
+   */
+  playShow() {
+    if (this.showClock) {
+      this.showClock.play();
+    }
   }
+  
+  /**
+   * Pause the show clock
+   */
+  pauseShow() {
+    if (this.showClock) {
+      this.showClock.pause();
+    }
+  }
+  
+  /**
+   * Jump to a show time; the timeline rebuilds the look at that time on the next update
+   * @param {number|string} time - Seconds or "hh:mm:ss:ff"
+   */
+  seekShow(time) {
+    if (this.showClock) {
+      this.showClock.seek(this.toShowSeconds(time));
+    }
+  }
+  
+  /**
+   * Set the show playback rate (1 = real time)
+   */
+  setShowRate(rate) {
+    if (this.showClock) {
+      this.showClock.setRate(rate);
+    }
+  }
+  
+  /**
+   * Loop a region of the show, or clear the loop with no arguments
+   * @param {number|string} [from] - Seconds or "hh:mm:ss:ff"
+   * @param {number|string} [to]
+   */
+  setShowLoop(from, to) {
+    if (!this.showClock) return;
+    
+    if (from === undefined) {
+      this.showClock.setLoop(null);
+    } else {
+      this.showClock.setLoop(this.toShowSeconds(from), this.toShowSeconds(to));
+    }
+  }
+  
+  /**
+   * Current show position as "hh:mm:ss:ff" (null without a timeline)
+   */
+  getShowTimecode() {
+    return this.showClock ? formatTimecode(this.showClock.time, this.timeline.fps) : null;
+  }
+  
+  /**
+   * Whether the show clock is running (false without a timeline)
+   */
+  isShowPlaying() {
+    return Boolean(this.showClock && this.showClock.playing);
+  }
+  
+  /**
+   * Play or pause the show (the HUD and MIDI transport button); ignored while the lightplan is
+   * edited, which holds the show
+   * @returns {boolean} Whether the show is playing now
+   */
+  toggleShow() {
+    if (this.showClock && !this.editMode) {
+      if (this.showClock.playing) {
+        this.pauseShow();
+      } else {
+        this.playShow();
+      }
+    }
+    return this.isShowPlaying();
+  }
+  
+  toShowSeconds(time) {
+    return typeof time === 'string' ? parseTimecode(time, this.timeline.fps) : time;
+  }
+  
+  /**
+   * Return every fixture to its lightplan look and effects
+   */
+  restoreHome() {
+    for (const fixture of this.fixtures) {
+      fixture.baseColor.copy(fixture.home.color);
+      fixture.baseIntensity = fixture.home.intensity;
+      if (fixture.baseTarget && fixture.home.target) {
+        fixture.baseTarget.copy(fixture.home.target);
+      }
+      if (fixture.baseWheels) {
+        Object.assign(fixture.baseWheels, fixture.home.wheels);
+      }
+      fixture.effect = 'default';
+      fixture.effectGroup = null;
+    }
+  }
+  
+  /**
+   * Hold every fixture at its static lightplan look (for the editor), or hand them back to the
+   * current cue or show time
+   * @param {boolean} active
+   */
+  setEditMode(active) {
+    if (active && !this.editMode) {
+      this.editResume = {
+        showPlaying: Boolean(this.showClock && this.showClock.playing),
+        cuesPaused: this.cueEngine.paused,
+      };
+    }
+    this.editMode = active;
+    
+    if (active) {
+      this.holdHomeLook();
+      return;
+    }
+    
+    this.restoreHome();
+    
+    // Only what was running before editing runs again: a paused show or paused cues stay paused
+    const { showPlaying, cuesPaused } = this.editResume || {
+      showPlaying: false,
+      cuesPaused: this.cueEngine.paused,
+    };
+    this.editResume = null;
+    
+    if (this.timeline) {
+      this.timeline.seek(this.time);
+      if (showPlaying) {
+        this.playShow();
+      }
+    } else {
+      if (!cuesPaused) {
+        this.cueEngine.resumeCues();
+      }
+      if (this.cueEngine.currentCue) {
+        this.cueEngine.goToIndex(this.cueEngine.currentIndex, { fade: 0 });
+      }
+    }
+  }
+  
+  /**
+   * Stop the show and cues and show every fixture's lightplan look without effects
+   */
+  holdHomeLook() {
+    this.pauseShow();
+    this.cueEngine.pauseCues();
+    this.cueEngine.transition = null;
+    this.restoreHome();
+    
+    for (const fixture of this.fixtures) {
+      fixture.effect = 'none';
+    }
+  }
+  
+  /**
+   * Jump to a cue by name
+   * @param {string} name - Cue name
+   * @param {Object} [options] - { fade } overrides the cue's fadeIn in seconds
+   */
+  goToCue(name, options) {
+    return this.cueEngine.goToCue(name, options);
+  }
+  
+  /**
+   * Advance to the next cue
+   */
+  nextCue(options) {
+    return this.cueEngine.nextCue(options);
+  }
+  
+  /**
+   * Stop automatic cue advance
+   */
+  pauseCues() {
+    this.cueEngine.pauseCues();
+  }
+  
+  /**
+   * Resume automatic cue advance
+   */
+  resumeCues() {
+    this.cueEngine.resumeCues();
+  }
+  
+  /**
+   * Update moving head animation
+   */
+  updateMovingHead(fixture, time) {
+    const { light, target, baseTarget } = fixture;
+    
+    // Circular pan/tilt movement
+    const radius = 5;
+    const speed = 0.5;
+    
+    target.position.x = baseTarget.x + Math.cos(time * speed) * radius;
+    target.position.z = baseTarget.z + Math.sin(time * speed) * radius;
+    
+    // Pulsing intensity, following the bass while music plays
+    const pulse = this.isAudioReactive()
+      ? 0.3 + this.audio.bands.low * 0.7
+      : Math.sin(time * 2) * 0.3 + 0.7;
+    light.intensity = fixture.baseIntensity * this.flashLimiter.dampen(pulse);
+  }
+  
+  /**
+   * Update strobe animation
+   */
+  updateStrobe(fixture, beat) {
+    const { light, strobePhase, baseIntensity } = fixture;
+    
+    // Fire on detected kicks while music plays
+    if (this.isAudioReactive()) {
+      light.intensity = this.time - this.kickTime < KICK_FLASH_DURATION ? baseIntensity : 0;
+      return;
+    }
+    
+    // Strobe on beat
+    const strobeTime = (beat + strobePhase / (Math.PI * 2)) % 1;
+    
+    if (strobeTime < 0.05) {
+      light.intensity = baseIntensity;
+    } else {
+      light.intensity = 0;
+    }
+  }
+  
+  /**
+   * Update laser animation
+   */
+  updateLaser(fixture, time) {
+    const { light, baseTarget } = fixture;
+    
+    // Sweep laser
+    const angle = Math.sin(time * 1.5) * Math.PI / 4;
+    
+    const newEnd = baseTarget.clone();
+    newEnd.x = baseTarget.x + Math.sin(angle) * 10;
+    
+    this.setLaserEnd(fixture, newEnd);
+    
+    // Pulsing intensity
+    const pulse = Math.sin(time * 3) * 0.4 + 0.6;
+    light.intensity = fixture.baseIntensity * this.flashLimiter.dampen(pulse);
+  }
+  
+  /**
+   * Update PAR/wash animation: crossfade through the color list, breathing with the mids
+   */
+  updateWash(fixture) {
+    const { light, colors, colorBeats } = fixture;
+    
+    if (colors.length > 1) {
+      const position = this.beatCount / colorBeats;
+      const index = Math.floor(position) % colors.length;
+      const next = (index + 1) % colors.length;
+      light.color.lerpColors(colors[index], colors[next], THREE.MathUtils.smoothstep(position % 1, 0, 1));
+    } else if (colors.length === 1) {
+      light.color.copy(colors[0]);
+    }
+    
+    const level = this.isAudioReactive() ? 0.6 + this.audio.bands.mid * 0.4 : 1;
+    light.intensity = fixture.baseIntensity * level;
+  }
+  
+  /**
+   * Update LED bar pixels from its pattern (speed = beats per cycle)
+   */
+  updateLEDBar(fixture, beat) {
+    const { bar, pattern, speed, baseColor } = fixture;
+    const count = bar.count;
+    const cycle = this.beatCount / speed;
+    
+    // Pulse decays over each beat, or follows the highs while music plays
+    const pulse = this.isAudioReactive() ? this.audio.bands.high : 1 - beat;
+    
+    this.setLEDBarPixels(fixture, (i) => {
+      switch (pattern) {
+        case 'chase': {
+          // Lit head with a short tail
+          const distance = (((cycle % 1) * count - i) % count + count) % count;
+          return scratchColor.copy(baseColor).multiplyScalar(Math.max(0, 1 - distance / 3));
+        }
+        
+        case 'rainbow':
+          return scratchColor.setHSL((i / count + cycle) % 1, 1, 0.5);
+        
+        case 'pulse':
+          return scratchColor.copy(baseColor).multiplyScalar(pulse);
+        
+        default:
+          return scratchColor.copy(baseColor);
+      }
+    });
+  }
+  
+  /**
+   * Write LED bar pixel colors, scaled by the fixture's dimmer, and light the room with their average
+   * @param {Function} getColor - (pixelIndex) => THREE.Color at full level
+   * @param {number} [intensity] - Output relative to the lightplan intensity
+   */
+  setLEDBarPixels(fixture, getColor, intensity = fixture.baseIntensity) {
+    const { bar, light } = fixture;
+    const dimmer = intensity / (fixture.home.intensity || 1);
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    
+    for (let i = 0; i < bar.count; i++) {
+      const color = getColor(i).multiplyScalar(dimmer);
+      bar.setColorAt(i, color);
+      r += color.r;
+      g += color.g;
+      b += color.b;
+    }
+    bar.instanceColor.needsUpdate = true;
+    
+    // Point light carries the average: full brightness when every pixel is at full level
+    const level = Math.max(r, g, b) / bar.count;
+    light.color.setRGB(r, g, b).multiplyScalar(level > 0 ? 1 / (level * bar.count) : 0);
+    light.intensity = (fixture.home.intensity || 1) * level;
+  }
+  
+  /**
+   * Update blinder animation: hit every hitBeats beats and decay like a tungsten lamp
+   */
+  updateBlinder(fixture) {
+    const { light, glow, baseColor, baseIntensity, hitBeats, decay } = fixture;
+    
+    const hit = Math.floor(this.beatCount / hitBeats);
+    if (hit !== fixture.lastHit) {
+      fixture.lastHit = hit;
+      fixture.hitTime = this.time;
+    }
+    
+    const level = Math.exp(-(this.time - fixture.hitTime) / decay);
+    light.intensity = baseIntensity * level;
+    
+    // Filaments keep a faint glow between hits
+    glow.color.copy(baseColor).multiplyScalar(0.05 + 0.95 * level);
+  }
+  
+  /**
+   * Update mirror ball: spin the ball and sweep its projected reflections around the room
+   */
+  updateMirrorBall(fixture, time) {
+    const { ball, projectors, rpm, baseIntensity } = fixture;
+    const angle = time * (rpm / 60) * Math.PI * 2;
+    
+    ball.rotation.y = angle;
+    
+    projectors.forEach((projector, index) => {
+      const pan = THREE.MathUtils.radToDeg(angle) + (index * 360) / projectors.length;
+      const tilt = 60 + Math.sin(angle + index) * 15;
+      const direction = panTiltToDirection(pan, tilt);
+      
+      projector.target.position.set(
+        projector.position.x + direction.x * 10,
+        projector.position.y + direction.y * 10,
+        projector.position.z + direction.z * 10
+      );
+      projector.intensity = baseIntensity;
+    });
+  }
+  
+  /**
+   * Update haze machine: pump for burst seconds every interval up to its output level,
+   * while the haze in the room dissipates
+   */
+  updateHaze(fixture, deltaTime) {
+    const { baseIntensity: output, interval, burst, decay } = fixture;
+    const pumping = this.time % interval < burst;
+    
+    if (pumping && fixture.level < output) {
+      fixture.level = Math.min(output, fixture.level + (output * deltaTime) / burst);
+    }
+    
+    fixture.level *= Math.exp(-deltaTime / decay);
+  }
+  
+  /**
+   * Remove a fixture's objects from the scene and release them
+   */
+  disposeFixture(fixture) {
+    if (fixture.light) {
+      this.scene.remove(fixture.light);
+      fixture.light.dispose();
+    }
+    if (fixture.target) {
+      this.scene.remove(fixture.target);
+    }
+    if (fixture.line) {
+      fixture.line.geometry.dispose();
+      fixture.line.material.dispose();
+      this.scene.remove(fixture.line);
+    }
+    if (fixture.beam) {
+      disposeBeam(fixture.beam);
+      this.scene.remove(fixture.beam);
+    }
+    if (fixture.objects) {
+      for (const object of fixture.objects) {
+        disposeObject(object);
+        this.scene.remove(object);
+      }
+    }
+    if (fixture.texture) {
+      fixture.texture.dispose();
+    }
+  }
+  
+  /**
+   * Dispose of all fixtures
+   */
+  dispose() {
+    for (const fixture of this.fixtures) {
+      this.disposeFixture(fixture);
+    }
+    
+    this.fixtures = [];
+    
+    for (const light of this.defaultLights) {
+      this.scene.remove(light);
+      light.dispose();
+    }
+    this.defaultLights = [];
+    
+    this.groups.clear();
+    this.cueEngine.load([]);
+    this.universes.clear();
+    this.stopTimeline();
+    this.stopDMXOutput();
+    this.stopDMXInput();
+  }
+}
+
+/**
+ * Log a lightplan validation result's warnings and errors
+ */
+function logValidation(result) {
+  for (const warning of result.warnings) {
+    console.warn('Lightplan warning:', formatIssue(warning));
+  }
+  for (const error of result.errors) {
+    console.error('Lightplan error:', formatIssue(error));
+  }
+}
+
+/**
+ * Whether two lightplan values are identical (both parsed from JSON, so key order is stable)
+ */
+function sameJSON(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Scattered reflection dots projected by a mirror ball's spotlights
+ */
+function createMirrorBallTexture() {
+  const size = 256;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#000000';
+  context.fillRect(0, 0, size, size);
+  context.fillStyle = '#ffffff';
+  
+  for (let i = 0; i < 120; i++) {
+    context.beginPath();
+    context.arc(Math.random() * size, Math.random() * size, 1.5 + Math.random() * 2, 0, Math.PI * 2);
+    context.fill();
+  }
+  
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+/**
+ * Gobo texture for an image URL, loaded once and shared
+ */
+function loadGobo(url) {
+  if (!goboTextures.has(url)) {
+    const texture = new THREE.TextureLoader().load(url, undefined, undefined, (error) => {
+      console.warn('Failed to load gobo:', url, error);
+    });
+    texture.colorSpace = THREE.SRGBColorSpace;
+    goboTextures.set(url, texture);
+  }
+  return goboTextures.get(url);
+}
+
+/**
+ * Soft-edged disc projected by a moving head with its gobo wheel on the open slot
+ */
+function getOpenGobo() {
+  if (!openGobo) {
+    const size = 128;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, '#ffffff');
+    gradient.addColorStop(0.85, '#ffffff');
+    gradient.addColorStop(1, '#000000');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, size, size);
+    
+    openGobo = new THREE.CanvasTexture(canvas);
+    openGobo.colorSpace = THREE.SRGBColorSpace;
+  }
+  return openGobo;
+}
+
+/**
+ * Turn a spotlight's projected map about its beam. The map is projected through the shadow
+ * camera, so rotating the camera's up vector rotates the gobo.
+ * @param {number} angle - Radians
+ */
+function setGoboAngle(light, angle) {
+  beamAxis.subVectors(light.target.position, light.position).normalize();
+  
+  // Up starts perpendicular to the beam, from an axis the beam is not close to
+  const reference = Math.abs(beamAxis.x) < 0.9 ? X_AXIS : Z_AXIS;
+  const up = light.shadow.camera.up;
+  up.copy(reference).addScaledVector(beamAxis, -beamAxis.dot(reference)).normalize();
+  up.applyAxisAngle(beamAxis, angle);
+}
+
+/**
+ * Moving head body: a base on the truss, a yoke that pans under it and a head that tilts in the
+ * yoke, pivoting on the light's position. The lens glows with the output.
+ */
+function createHeadBody() {
+  const material = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.6, metalness: 0.4 });
+  const glow = new THREE.MeshBasicMaterial({ color: 0x000000, toneMapped: false });
+  
+  const base = new THREE.Group();
+  const plate = new THREE.Mesh(new THREE.BoxGeometry(0.36, 0.1, 0.28), material);
+  plate.position.y = 0.3;
+  
+  const yoke = new THREE.Group();
+  const bridge = new THREE.Mesh(new THREE.BoxGeometry(0.34, 0.05, 0.1), material);
+  bridge.position.y = 0.22;
+  yoke.add(bridge);
+  
+  const armGeometry = new THREE.BoxGeometry(0.04, 0.26, 0.1);
+  for (const side of [-1, 1]) {
+    const arm = new THREE.Mesh(armGeometry, material);
+    arm.position.set(side * 0.15, 0.1, 0);
+    yoke.add(arm);
+  }
+  
+  // Tilt 0 points the lens end (-Y) straight down
+  const head = new THREE.Group();
+  const housing = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.11, 0.3, 16), material);
+  const lens = new THREE.Mesh(new THREE.CircleGeometry(0.095, 16), glow);
+  lens.rotation.x = Math.PI / 2;
+  lens.position.y = -0.151;
+  head.add(housing, lens);
+  
+  yoke.add(head);
+  base.add(plate, yoke);
+  
+  return { base, yoke, head, glow };
+}
+
+/**
+ * Release the geometries, materials and shadow maps under an object
+ */
+function disposeObject(object) {
+  object.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) child.material.dispose();
+    if (child.isLight) child.dispose();
+  });
 }
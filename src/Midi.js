@@ -0,0 +1,403 @@
+/**
+ * Midi.js - Web MIDI controller input mapped to LightManager actions
+ *
+ * Mappings come from a JSON file next to the lightplan (assets.json `midiMappingUrl`):
+ *
+ *   { "input": "APC", "mappings": [
+ *     { "type": "cc", "number": 7, "action": "master" },
+ *     { "type": "note", "channel": 10, "number": 36, "action": "cue", "cue": "drop" } ] }
+ *
+ * Mappings learned from the HUD are kept in localStorage and take precedence over the file.
+ */
+
+/**
+ * Controller actions
+ * - master, groupIntensity (needs `group`): fader level 0-1
+ * - cue (needs `cue`), nextCue, tapTempo: fire on note on / CC crossing the midpoint
+ * - strobeFlash: strobes flash while the note or CC is held
+ * - effectSpeed: CC sets 0.25x-4x (1x at the midpoint), a note resets to 1x
+ * - showPlay, showRestart: play/pause the timeline, jump back to its start (on press)
+ * - showRate: CC sets the timeline rate 0.25x-4x (1x at the midpoint), a note resets to 1x
+ */
+export const MIDI_ACTIONS = [
+  'master',
+  'groupIntensity',
+  'cue',
+  'nextCue',
+  'tapTempo',
+  'strobeFlash',
+  'effectSpeed',
+  'showPlay',
+  'showRestart',
+  'showRate',
+];
+
+const MESSAGE_TYPES = ['cc', 'note'];
+
+const LEARNED_STORAGE_KEY = 'xr_midi_mappings';
+
+/**
+ * Routes messages from a MIDI input to a LightManager
+ */
+export class MidiController {
+  /**
+   * @param {LightManager} lights
+   */
+  constructor(lights) {
+    this.lights = lights;
+    this.input = null;
+    this.inputName = null;
+
+    this.fileMappings = [];
+    this.learnedMappings = loadLearnedMappings();
+    this.mappings = [];
+    this.rebuildMappings();
+
+    // Last level per control, so CC buttons fire once per press
+    this.levels = new Map();
+
+    // Action a learn is waiting for (null when not learning)
+    this.learning = null;
+
+    this.listeners = new Map();
+  }
+
+  /**
+   * Load a mapping file
+   * @param {string} url
+   */
+  async loadMapping(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load MIDI mapping: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    this.inputName = data.input || null;
+    this.fileMappings = (data.mappings || []).filter((mapping, index) => {
+      const problem = checkMapping(mapping);
+      if (problem) {
+        console.warn(`Ignoring MIDI mapping ${index}: ${problem}`);
+      }
+      return !problem;
+    });
+    this.rebuildMappings();
+
+    console.log(`Loaded ${this.fileMappings.length} MIDI mappings`);
+  }
+
+  /**
+   * Listen to a MIDI input
+   * @param {Object} [options]
+   * @param {string} [options.input] - Part of the input name (the mapping file's `input`, else the
+   *   first input)
+   * @returns {Promise<string>} Name of the connected input
+   */
+  async connect({ input = this.inputName } = {}) {
+    if (!navigator.requestMIDIAccess) {
+      throw new Error('Web MIDI is not supported in this browser');
+    }
+
+    this.disconnect();
+
+    const access = await navigator.requestMIDIAccess();
+    const inputs = [...access.inputs.values()];
+    const match = input
+      ? inputs.find((candidate) => candidate.name.toLowerCase().includes(input.toLowerCase()))
+      : inputs[0];
+
+    if (!match) {
+      throw new Error(`No MIDI input${input ? ` matching "${input}"` : ''}`);
+    }
+
+    this.input = match;
+    this.input.onmidimessage = (event) => this.onMIDIMessage(event.data);
+    console.log('MIDI controller input:', match.name);
+
+    return match.name;
+  }
+
+  /**
+   * Stop listening to the MIDI input
+   */
+  disconnect() {
+    if (this.input) {
+      this.input.onmidimessage = null;
+      this.input = null;
+    }
+  }
+
+  /**
+   * Decode a channel message and run its mapped actions (or complete a learn)
+   * @param {Uint8Array} data
+   */
+  onMIDIMessage(data) {
+    const status = data[0] & 0xf0;
+    const channel = (data[0] & 0x0f) + 1;
+    let type;
+    let level;
+
+    if (status === 0xb0) {
+      type = 'cc';
+      level = data[2] / 127;
+    } else if (status === 0x90 || status === 0x80) {
+      // Note on with velocity 0 is a note off
+      type = 'note';
+      level = status === 0x90 && data[2] > 0 ? 1 : 0;
+    } else {
+      return;
+    }
+
+    const control = { type, channel, number: data[1] };
+
+    if (this.learning) {
+      if (level > 0) {
+        this.completeLearn(control);
+      }
+      return;
+    }
+
+    const key = controlKey(control);
+    const previous = this.levels.has(key) ? this.levels.get(key) : 0;
+    this.levels.set(key, level);
+
+    for (const mapping of this.mappings) {
+      if (matches(mapping, control)) {
+        this.runAction(mapping, level, previous);
+      }
+    }
+  }
+
+  /**
+   * Perform a mapping's action
+   * @param {number} level - Control value 0-1
+   * @param {number} previous - The control's value before this message
+   */
+  runAction(mapping, level, previous) {
+    const { lights } = this;
+    const pressed = level >= 0.5 && previous < 0.5;
+
+    switch (mapping.action) {
+      case 'master':
+        lights.setMaster(level);
+        break;
+
+      case 'groupIntensity':
+        if (!lights.setGroupMaster(mapping.group, level)) {
+          console.warn(`MIDI mapping: no group "${mapping.group}"`);
+        }
+        break;
+
+      case 'cue':
+        if (pressed) lights.goToCue(mapping.cue);
+        break;
+
+      case 'nextCue':
+        if (pressed) lights.nextCue();
+        break;
+
+      case 'tapTempo':
+        if (pressed) lights.tapTempo();
+        break;
+
+      case 'strobeFlash':
+        lights.setStrobeFlash(level >= 0.5);
+        break;
+
+      case 'effectSpeed':
+        if (mapping.type === 'cc') {
+          lights.setEffectSpeed(Math.pow(2, level * 4 - 2));
+        } else if (pressed) {
+          lights.setEffectSpeed(1);
+        }
+        break;
+
+      case 'showPlay':
+        if (pressed) lights.toggleShow();
+        break;
+
+      case 'showRestart':
+        if (pressed) lights.seekShow(0);
+        break;
+
+      case 'showRate':
+        if (mapping.type === 'cc') {
+          lights.setShowRate(Math.pow(2, level * 4 - 2));
+        } else if (pressed) {
+          lights.setShowRate(1);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Map the next note or moved control to an action
+   * @param {Object} target - { action, group?, cue? }
+   */
+  startLearn(target) {
+    const problem = checkMapping({ type: 'cc', number: 0, ...target });
+    if (problem) {
+      throw new Error(problem);
+    }
+    this.learning = target;
+  }
+
+  /**
+   * Leave learn mode without mapping anything
+   */
+  cancelLearn() {
+    this.learning = null;
+  }
+
+  completeLearn(control) {
+    const mapping = { ...control, ...this.learning };
+    this.learning = null;
+
+    // A control drives one learned action; re-learning an action moves it to the new control
+    this.learnedMappings = this.learnedMappings.filter((learned) => {
+      return !matches(learned, control) && !sameTarget(learned, mapping);
+    });
+    this.learnedMappings.push(mapping);
+    saveLearnedMappings(this.learnedMappings);
+    this.rebuildMappings();
+
+    console.log('Learned MIDI mapping:', describeMapping(mapping));
+    this.emit('learn', mapping);
+  }
+
+  /**
+   * Forget mappings learned from the HUD
+   */
+  clearLearned() {
+    this.learnedMappings = [];
+    saveLearnedMappings(this.learnedMappings);
+    this.rebuildMappings();
+  }
+
+  /**
+   * File mappings overridden by learned ones, as a mapping file
+   */
+  exportMapping() {
+    return {
+      ...(this.inputName ? { input: this.inputName } : {}),
+      mappings: this.mappings,
+    };
+  }
+
+  rebuildMappings() {
+    const overridden = (mapping) => {
+      return this.learnedMappings.some((learned) => {
+        return matches(learned, mapping) || sameTarget(learned, mapping);
+      });
+    };
+
+    this.mappings = [
+      ...this.fileMappings.filter((mapping) => !overridden(mapping)),
+      ...this.learnedMappings,
+    ];
+  }
+
+  /**
+   * Subscribe to 'learn' (a mapping was learned) events
+   * @returns {Function} Unsubscribe
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+    return () => this.listeners.get(event).delete(callback);
+  }
+
+  emit(event, data) {
+    const callbacks = this.listeners.get(event);
+    if (callbacks) {
+      for (const callback of callbacks) {
+        callback(data);
+      }
+    }
+  }
+
+  /**
+   * Release the MIDI input
+   */
+  dispose() {
+    this.disconnect();
+    this.listeners.clear();
+  }
+}
+
+/**
+ * Human-readable mapping, e.g. "CC 7 ch 1 → master"
+ */
+export function describeMapping(mapping) {
+  const control = `${mapping.type === 'cc' ? 'CC' : 'Note'} ${mapping.number}`;
+  const channel = mapping.channel ? ` ch ${mapping.channel}` : '';
+  const target = mapping.group || mapping.cue;
+  return `${control}${channel} → ${mapping.action}${target ? ` ${target}` : ''}`;
+}
+
+/**
+ * @returns {string|null} Why a mapping is unusable
+ */
+function checkMapping(mapping) {
+  if (!MESSAGE_TYPES.includes(mapping.type)) {
+    return `type must be one of ${MESSAGE_TYPES.join(', ')}`;
+  }
+  if (!Number.isInteger(mapping.number) || mapping.number < 0 || mapping.number > 127) {
+    return 'number must be an integer 0-127';
+  }
+  if (
+    mapping.channel !== undefined &&
+    (!Number.isInteger(mapping.channel) || mapping.channel < 1 || mapping.channel > 16)
+  ) {
+    return 'channel must be an integer 1-16';
+  }
+  if (!MIDI_ACTIONS.includes(mapping.action)) {
+    return `action must be one of ${MIDI_ACTIONS.join(', ')}`;
+  }
+  if (mapping.action === 'groupIntensity' && typeof mapping.group !== 'string') {
+    return 'groupIntensity needs a group';
+  }
+  if (mapping.action === 'cue' && typeof mapping.cue !== 'string') {
+    return 'cue needs a cue name';
+  }
+  return null;
+}
+
+/**
+ * Whether a mapping listens to a control (no channel = any channel)
+ */
+function matches(mapping, control) {
+  return (
+    mapping.type === control.type &&
+    mapping.number === control.number &&
+    (!mapping.channel || !control.channel || mapping.channel === control.channel)
+  );
+}
+
+function sameTarget(a, b) {
+  return a.action === b.action && a.group === b.group && a.cue === b.cue;
+}
+
+function controlKey({ type, channel, number }) {
+  return `${type}:${channel}:${number}`;
+}
+
+function loadLearnedMappings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LEARNED_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter((mapping) => !checkMapping(mapping)) : [];
+  } catch (error) {
+    console.warn('Ignoring stored MIDI mappings:', error);
+    return [];
+  }
+}
+
+function saveLearnedMappings(mappings) {
+  try {
+    localStorage.setItem(LEARNED_STORAGE_KEY, JSON.stringify(mappings));
+  } catch (error) {
+    console.warn('Failed to store MIDI mappings:', error);
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * PanTilt.js - Mechanical model of a moving head's yoke and head
+ *
+ * Pan turns the yoke about the vertical axis and tilt turns the head in the yoke. Both stay within
+ * the fixture's range and chase their setpoint with a top speed and acceleration, braking in time
+ * to stop on it, so a new aim point takes as long to reach as on a real fixture. Angles follow
+ * aimToPanTilt() in DMX.js: pan 0 faces +Z, tilt 0 points straight down, both centred in their
+ * range.
+ */
+
+import { PAN_RANGE, TILT_RANGE, aimToPanTilt, panTiltToDirection } from './DMX.js';
+
+/**
+ * Mechanics of a typical moving head: ranges (degrees), top speeds (degrees/s) and acceleration
+ * (degrees/s²)
+ */
+export const HEAD_DEFAULTS = {
+  panRange: PAN_RANGE,
+  tiltRange: TILT_RANGE,
+  panSpeed: 200,
+  tiltSpeed: 150,
+  acceleration: 600,
+};
+
+// Closer than this (degrees) and slower than one frame's acceleration counts as arrived
+const SETTLE_ANGLE = 0.01;
+
+/**
+ * Pan/tilt state of one moving head
+ */
+export class PanTiltHead {
+  /**
+   * @param {Object} [options] - Any of HEAD_DEFAULTS (lightplan panRange, tiltRange, panSpeed,
+   *   tiltSpeed, acceleration)
+   */
+  constructor(options = {}) {
+    for (const [key, value] of Object.entries(HEAD_DEFAULTS)) {
+      this[key] = options[key] !== undefined ? options[key] : value;
+    }
+
+    this.pan = 0;
+    this.tilt = 0;
+    this.panVelocity = 0;
+    this.tiltVelocity = 0;
+    this.panSetpoint = 0;
+    this.tiltSetpoint = 0;
+  }
+
+  /**
+   * Set the setpoint to aim from position at target. Every aim can be reached with the head
+   * flipped over (pan + 180°, tilt mirrored) and pan a turn either way, so the reachable pair the
+   * head gets to soonest wins; an aim past the tilt range stops at its end.
+   * @param {THREE.Vector3} position
+   * @param {THREE.Vector3} target
+   */
+  aimAt(position, target) {
+    const { pan, tilt } = aimToPanTilt(position, target);
+    const panLimit = this.panRange / 2;
+    const tiltLimit = this.tiltRange / 2;
+
+    let best = null;
+    let bestTime = Infinity;
+
+    for (const [basePan, baseTilt] of [
+      [pan, tilt],
+      [pan + 180, -tilt],
+    ]) {
+      const candidateTilt = Math.max(-tiltLimit, Math.min(tiltLimit, baseTilt));
+
+      for (let turns = -2; turns <= 2; turns++) {
+        const candidatePan = basePan + turns * 360;
+        if (Math.abs(candidatePan) > panLimit) continue;
+
+        // Both axes move at once: the slower one decides, then how far tilt had to be clamped
+        const time =
+          Math.max(
+            Math.abs(candidatePan - this.pan) / this.panSpeed,
+            Math.abs(candidateTilt - this.tilt) / this.tiltSpeed
+          ) + Math.abs(candidateTilt - baseTilt);
+
+        if (time < bestTime) {
+          bestTime = time;
+          best = [candidatePan, candidateTilt];
+        }
+      }
+    }
+
+    // Ranges under a full turn can miss an aim altogether: stop at the nearer end
+    if (!best) {
+      best = [
+        Math.max(-panLimit, Math.min(panLimit, pan)),
+        Math.max(-tiltLimit, Math.min(tiltLimit, tilt)),
+      ];
+    }
+
+    [this.panSetpoint, this.tiltSetpoint] = best;
+  }
+
+  /**
+   * Put the head on its setpoint at rest (a fixture that was just hung)
+   */
+  settle() {
+    this.pan = this.panSetpoint;
+    this.tilt = this.tiltSetpoint;
+    this.panVelocity = 0;
+    this.tiltVelocity = 0;
+  }
+
+  /**
+   * Move both axes towards their setpoints
+   * @param {number} deltaTime - Seconds
+   */
+  update(deltaTime) {
+    if (deltaTime <= 0) return;
+
+    [this.pan, this.panVelocity] = moveAxis(
+      this.pan,
+      this.panVelocity,
+      this.panSetpoint,
+      this.panSpeed,
+      this.acceleration,
+      deltaTime
+    );
+    [this.tilt, this.tiltVelocity] = moveAxis(
+      this.tilt,
+      this.tiltVelocity,
+      this.tiltSetpoint,
+      this.tiltSpeed,
+      this.acceleration,
+      deltaTime
+    );
+  }
+
+  /**
+   * Unit beam direction for the current pan/tilt
+   * @returns {{x: number, y: number, z: number}}
+   */
+  getDirection() {
+    return panTiltToDirection(this.pan, this.tilt);
+  }
+}
+
+/**
+ * One axis step: accelerate towards the fastest speed that can still brake to a stop on the
+ * setpoint
+ * @returns {Array<number>} [position, velocity]
+ */
+function moveAxis(position, velocity, setpoint, maxSpeed, acceleration, deltaTime) {
+  const error = setpoint - position;
+  const maxChange = acceleration * deltaTime;
+
+  if (Math.abs(error) < SETTLE_ANGLE && Math.abs(velocity) <= maxChange) {
+    return [setpoint, 0];
+  }
+
+  const wanted =
+    Math.sign(error) * Math.min(maxSpeed, Math.sqrt(2 * acceleration * Math.abs(error)));
+  const newVelocity = velocity + Math.max(-maxChange, Math.min(maxChange, wanted - velocity));
+  const newPosition = position + newVelocity * deltaTime;
+
+  // Stepping over the setpoint slowly enough to stop there: arrive
+  if (
+    Math.sign(setpoint - newPosition) !== Math.sign(error) &&
+    Math.abs(newVelocity) <= maxChange * 2
+  ) {
+    return [setpoint, 0];
+  }
+
+  return [newPosition, newVelocity];
+}
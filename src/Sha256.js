@@ -0,0 +1,129 @@
+/**
+ * Sha256.js - Incremental SHA-256
+ *
+ * SubtleCrypto only hashes a whole buffer at once, which for a large venue file means holding it
+ * all in memory. This hashes data as it streams in, one 64-byte block at a time.
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+];
+
+const BLOCK_SIZE = 64;
+
+/**
+ * SHA-256 fed in pieces: `update()` with each piece, then `digest()` once
+ */
+export class Sha256 {
+  constructor() {
+    this.state = new Uint32Array(INITIAL_STATE);
+    this.block = new Uint8Array(BLOCK_SIZE);
+    this.blockLength = 0;
+    this.length = 0;
+    this.words = new Uint32Array(64);
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   */
+  update(bytes) {
+    let offset = 0;
+    this.length += bytes.length;
+
+    // Top up a block left over from the last piece
+    if (this.blockLength > 0) {
+      const count = Math.min(BLOCK_SIZE - this.blockLength, bytes.length);
+      this.block.set(bytes.subarray(0, count), this.blockLength);
+      this.blockLength += count;
+      offset = count;
+
+      if (this.blockLength < BLOCK_SIZE) return;
+      this.compress(this.block, 0);
+      this.blockLength = 0;
+    }
+
+    for (; offset + BLOCK_SIZE <= bytes.length; offset += BLOCK_SIZE) {
+      this.compress(bytes, offset);
+    }
+
+    this.block.set(bytes.subarray(offset));
+    this.blockLength = bytes.length - offset;
+  }
+
+  /**
+   * Digest of everything passed to `update()`, as lowercase hex
+   * @returns {string}
+   */
+  digest() {
+    const bits = this.length * 8;
+    const padding = new Uint8Array((this.blockLength < 56 ? 56 : 120) - this.blockLength + 8);
+    padding[0] = 0x80;
+
+    const view = new DataView(padding.buffer);
+    view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+    view.setUint32(padding.length - 4, bits >>> 0);
+    this.update(padding);
+
+    return Array.from(this.state, (word) => word.toString(16).padStart(8, '0')).join('');
+  }
+
+  compress(bytes, offset) {
+    const w = this.words;
+    for (let i = 0; i < 16; i++) {
+      const at = offset + i * 4;
+      w[i] = (bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const a = w[i - 15];
+      const b = w[i - 2];
+      const s0 = rotate(a, 7) ^ rotate(a, 18) ^ (a >>> 3);
+      const s1 = rotate(b, 17) ^ rotate(b, 19) ^ (b >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    const state = this.state;
+    let [a, b, c, d, e, f, g, h] = state;
+
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25);
+      const choice = (e & f) ^ (~e & g);
+      const t1 = (h + s1 + choice + K[i] + w[i]) | 0;
+      const s0 = rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22);
+      const majority = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + majority) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  }
+}
+
+function rotate(word, bits) {
+  return (word >>> bits) | (word << (32 - bits));
+}
@@ -0,0 +1,659 @@
+/**
+ * ShowImport.js - Convert MVR scenes and GDTF fixture types from previz tools into lightplans
+ *
+ * MVR (My Virtual Rig) is a zip archive holding GeneralSceneDescription.xml and the GDTF files of
+ * the rig; GDTF (General Device Type Format) is a zip archive holding a fixture type's
+ * description.xml. What a lightplan cannot express is listed in the import's `warnings` (the same
+ * { path, message } issues as lightplan validation) rather than dropped silently.
+ */
+
+import * as THREE from 'three';
+import { ZipArchive } from './Zip.js';
+import { DMX_PROFILES } from './DMX.js';
+import { FIXTURE_SCHEMAS, validateLightplan } from './LightplanSchema.js';
+
+// MVR lengths are millimetres
+const MM = 0.001;
+
+// How far a beam without a focus point or floor below it is aimed (metres)
+const DEFAULT_THROW = 10;
+
+// Height a fixture imported from a lone GDTF file hangs at (metres)
+const GDTF_PREVIEW_HEIGHT = 4;
+
+/**
+ * GDTF attributes the DMX profiles know, by profile attribute name
+ */
+const GDTF_ATTRIBUTES = {
+  Pan: 'pan',
+  Tilt: 'tilt',
+  Dimmer: 'dimmer',
+  ColorAdd_R: 'red',
+  ColorAdd_G: 'green',
+  ColorAdd_B: 'blue',
+  ColorRGB_Red: 'red',
+  ColorRGB_Green: 'green',
+  ColorRGB_Blue: 'blue',
+  Shutter1: 'shutter',
+};
+
+/**
+ * MVR scene objects that are not fixtures; their children are still imported
+ */
+const SCENE_OBJECTS = ['SceneObject', 'Truss', 'Support', 'VideoScreen', 'Projector'];
+
+/**
+ * Fixture properties MVR can carry that have no lightplan equivalent
+ */
+const UNSUPPORTED_FIXTURE_PROPERTIES = {
+  Gobo: 'gobo assignment',
+  CustomCommands: 'custom commands',
+  Mappings: 'video mappings',
+  Overwrites: 'GDTF overwrites',
+  Connections: 'cabling',
+};
+
+/**
+ * Convert an MVR archive into a lightplan: fixtures with their positions, aim and DMX patch,
+ * and a group per layer and per group object
+ * @param {ArrayBuffer|Uint8Array} buffer - .mvr file contents
+ * @param {Object} [options]
+ * @param {string} [options.name] - Lightplan name
+ * @returns {Promise<{lightplan: Object, warnings: Array, validation: Object}>}
+ */
+export async function importMVR(buffer, { name } = {}) {
+  const archive = new ZipArchive(buffer);
+  const sceneFile = archive.find('GeneralSceneDescription.xml');
+  if (!sceneFile) {
+    throw new Error('Not an MVR file: GeneralSceneDescription.xml is missing');
+  }
+
+  const root = parseXML(await archive.readText(sceneFile), sceneFile);
+  const importer = new MVRImporter(archive);
+  await importer.importScene(root);
+
+  const lightplan = {
+    ...(name ? { name } : {}),
+    fixtures: importer.fixtures,
+    ...(Object.keys(importer.groups).length > 0 ? { groups: importer.groups } : {}),
+  };
+
+  return { lightplan, warnings: importer.warnings, validation: validateLightplan(lightplan) };
+}
+
+/**
+ * Convert a GDTF archive into a one-fixture lightplan, to check how the fixture type comes across
+ * @param {ArrayBuffer|Uint8Array} buffer - .gdtf file contents
+ * @param {Object} [options]
+ * @param {string} [options.mode] - DMX mode name (the first mode by default)
+ * @returns {Promise<{lightplan: Object, fixtureType: Object, warnings: Array, validation: Object}>}
+ */
+export async function importGDTF(buffer, { mode } = {}) {
+  const fixtureType = parseGDTF(await readGDTFDescription(new ZipArchive(buffer)));
+  const warnings = [];
+  const report = (message) => warnings.push({ path: fixtureType.name, message });
+
+  const { profile, ...properties } = gdtfToFixture(fixtureType, mode, report);
+  const fixture = { id: fixtureType.name, ...properties, position: [0, GDTF_PREVIEW_HEIGHT, 0] };
+
+  if (FIXTURE_SCHEMAS[fixture.type].properties.target) {
+    fixture.target = [0, 0, 0];
+  }
+  if (profile) {
+    fixture.dmx = { universe: 0, address: 1, profile };
+  }
+
+  const lightplan = { name: fixtureType.name, fixtures: [fixture] };
+  return { lightplan, fixtureType, warnings, validation: validateLightplan(lightplan) };
+}
+
+/**
+ * Read a GDTF description.xml into what the lightplan uses
+ * @param {string} text - description.xml contents
+ * @returns {{name: string, manufacturer: string, type: string, beamAngle: number|null,
+ *   beams: number, colors: Array<string>, modes: Array<Object>, unsupported: Array<string>}}
+ *   `modes` are { name, channels (profile attribute or GDTF attribute per DMX channel),
+ *   profile (matching DMX profile or null), unsupported (GDTF attributes) }
+ */
+export function parseGDTF(text) {
+  const root = parseXML(text, 'description.xml');
+  const fixtureType = findChild(root, 'FixtureType');
+  if (!fixtureType) {
+    throw new Error('Not a GDTF description: FixtureType is missing');
+  }
+
+  const name =
+    fixtureType.getAttribute('Name') || fixtureType.getAttribute('LongName') || 'Fixture';
+  const unsupported = [];
+
+  // Beams (and lasers) anywhere in the geometry tree
+  const geometries = findChild(fixtureType, 'Geometries');
+  const beams = geometries ? [...geometries.getElementsByTagName('Beam')] : [];
+  const lasers = geometries ? geometries.getElementsByTagName('Laser').length : 0;
+  const beamAngle = beams.length > 0 ? parseFloat(beams[0].getAttribute('BeamAngle')) : NaN;
+
+  // Color wheel slots become colors; gobo, prism and animation wheels are not modelled
+  const colors = [];
+  const wheels = findChild(fixtureType, 'Wheels');
+  for (const wheel of wheels ? childElements(wheels, 'Wheel') : []) {
+    const slots = childElements(wheel, 'Slot');
+    const imageSlots = slots.filter((slot) => {
+      return slot.getAttribute('MediaFileName') || childElements(slot, 'Facet').length > 0;
+    });
+
+    if (imageSlots.length > 0) {
+      unsupported.push(`wheel "${wheel.getAttribute('Name')}" (${slots.length} gobo/prism slots)`);
+      continue;
+    }
+
+    for (const slot of slots) {
+      const color = cieToHex(slot.getAttribute('Color'));
+      if (color && !/^open$/i.test(slot.getAttribute('Name') || '') && !colors.includes(color)) {
+        colors.push(color);
+      }
+    }
+  }
+
+  const modesElement = findChild(fixtureType, 'DMXModes');
+  const modes = (modesElement ? childElements(modesElement, 'DMXMode') : []).map(parseDMXMode);
+  const attributes = new Set(modes.flatMap((mode) => mode.channels));
+
+  return {
+    name,
+    manufacturer: fixtureType.getAttribute('Manufacturer') || '',
+    type: guessFixtureType({ name, attributes, beams, lasers, beamAngle }),
+    beamAngle: Number.isFinite(beamAngle) ? beamAngle : null,
+    beams: beams.length,
+    colors,
+    modes,
+    unsupported,
+  };
+}
+
+/**
+ * Lightplan fixture properties for a GDTF fixture type in one DMX mode
+ * @param {Object} fixtureType - From parseGDTF()
+ * @param {string} [modeName] - DMX mode (the first mode by default)
+ * @param {Function} report - Called with a message for each feature that is not imported
+ * @returns {Object} { type, beamAngle?, colors?|color?, profile? } (profile is the DMX profile
+ *   name, for the caller to patch)
+ */
+export function gdtfToFixture(fixtureType, modeName, report) {
+  const { type } = fixtureType;
+  const { properties } = FIXTURE_SCHEMAS[type];
+  const fixture = { type };
+
+  for (const feature of fixtureType.unsupported) {
+    report(`${feature} not supported`);
+  }
+
+  if (fixtureType.beamAngle !== null && properties.beamAngle) {
+    const { min, max } = properties.beamAngle;
+    fixture.beamAngle = Math.min(max, Math.max(min, fixtureType.beamAngle));
+    if (fixture.beamAngle !== fixtureType.beamAngle) {
+      report(`beam angle ${fixtureType.beamAngle}° clamped to ${fixture.beamAngle}°`);
+    }
+  }
+
+  if (type === 'ledBar') {
+    fixture.pixels = Math.min(64, fixtureType.beams);
+  }
+
+  // Washes fade through the wheel; other fixtures get one color
+  const { colors } = fixtureType;
+  if (colors.length > 0 && properties.colors) {
+    fixture.colors = colors;
+  } else if (colors.length > 0) {
+    fixture.color = colors[0];
+    if (colors.length > 1) {
+      report(`color wheel reduced to its first color (${colors.length} colors)`);
+    }
+  }
+
+  const mode = modeName
+    ? fixtureType.modes.find((candidate) => candidate.name === modeName)
+    : fixtureType.modes[0];
+
+  if (!mode) {
+    if (modeName) {
+      report(`DMX mode "${modeName}" not found, fixture not patched`);
+    }
+  } else if (mode.profile) {
+    fixture.profile = mode.profile;
+  } else {
+    const attributes = mode.unsupported.length > 0 ? `: ${mode.unsupported.join(', ')}` : '';
+    report(
+      `DMX mode "${mode.name}" (${mode.channels.length} channels) matches no DMX profile` +
+        `${attributes}; fixture not patched`
+    );
+  }
+
+  return fixture;
+}
+
+/**
+ * Walks an MVR scene and collects lightplan fixtures, groups and warnings
+ */
+class MVRImporter {
+  constructor(archive) {
+    this.archive = archive;
+    this.fixtures = [];
+    this.groups = {};
+    this.warnings = [];
+
+    // GDTF file name -> parsed fixture type (null when missing or unreadable)
+    this.fixtureTypes = new Map();
+
+    // Fixture and group names in use (they share the lightplan's id namespace)
+    this.names = new Set();
+
+    // Focus point uuid -> world position, and fixtures waiting for one
+    this.focusPoints = new Map();
+    this.focused = [];
+
+    // Kinds of non-fixture objects skipped, with counts
+    this.skipped = new Map();
+
+    // Fixture type warnings already given (once per GDTF file rather than per fixture)
+    this.reported = new Set();
+  }
+
+  async importScene(root) {
+    const scene = findChild(root, 'Scene');
+    if (!scene) {
+      throw new Error('MVR scene description has no Scene');
+    }
+
+    const aux = findChild(scene, 'AUXData');
+    if (aux && aux.children.length > 0) {
+      this.warn('AUXData', 'symbols, classes and mapping definitions not imported');
+    }
+
+    const layers = findChild(scene, 'Layers');
+    for (const layer of layers ? childElements(layers, 'Layer') : []) {
+      const layerName = layer.getAttribute('name') || 'Layer';
+      const members = [];
+      await this.importChildren(layer, new THREE.Matrix4(), `Layer "${layerName}"`, members);
+      this.addGroup(layerName, members);
+    }
+
+    // Aim at focus points now that all of them are known
+    for (const { fixture, focus, path } of this.focused) {
+      const point = this.focusPoints.get(focus);
+      if (point) {
+        fixture.target = toLightplanVector(point);
+      } else {
+        this.warn(path, `focus point ${focus} not found, aimed along the beam`);
+      }
+    }
+
+    for (const [kind, count] of this.skipped) {
+      this.warn('Scene', `${count} ${kind} object(s) not imported (fixtures on them are)`);
+    }
+  }
+
+  /**
+   * Import an object's ChildList
+   * @param {Element} parent
+   * @param {THREE.Matrix4} parentMatrix - Parent's world matrix (MVR axes, metres)
+   * @param {string} path - For warnings
+   * @param {Array<string>} members - Collects fixture ids for the enclosing groups
+   */
+  async importChildren(parent, parentMatrix, path, members) {
+    const childList = findChild(parent, 'ChildList');
+    if (!childList) return;
+
+    for (const child of childList.children) {
+      const name = child.getAttribute('name') || child.tagName;
+      const childPath = `${path}/${child.tagName} "${name}"`;
+      const matrix = parentMatrix.clone().multiply(parseMatrix(child));
+
+      switch (child.tagName) {
+        case 'Fixture': {
+          const id = await this.importFixture(child, matrix, childPath);
+          members.push(id);
+          break;
+        }
+
+        case 'GroupObject': {
+          const groupMembers = [];
+          await this.importChildren(child, matrix, childPath, groupMembers);
+          this.addGroup(name, groupMembers);
+          members.push(...groupMembers);
+          break;
+        }
+
+        case 'FocusPoint':
+          this.focusPoints.set(
+            child.getAttribute('uuid'),
+            new THREE.Vector3().setFromMatrixPosition(matrix)
+          );
+          break;
+
+        default:
+          if (SCENE_OBJECTS.includes(child.tagName)) {
+            this.skipped.set(child.tagName, (this.skipped.get(child.tagName) || 0) + 1);
+          } else {
+            this.warn(childPath, 'unknown MVR object not imported');
+          }
+          await this.importChildren(child, matrix, childPath, members);
+      }
+    }
+  }
+
+  /**
+   * @returns {Promise<string>} Fixture id
+   */
+  async importFixture(element, matrix, path) {
+    const report = (message) => this.warn(path, message);
+    const spec = childText(element, 'GDTFSpec');
+
+    // Older files leave out the extension
+    const file = spec && (this.archive.find(spec) || this.archive.find(`${spec}.gdtf`) || spec);
+    const reportType = (message) => this.warnOnce(`GDTF "${file}"`, message);
+    const fixtureType = file ? await this.getFixtureType(file, reportType) : null;
+
+    let properties;
+    if (fixtureType) {
+      properties = gdtfToFixture(fixtureType, childText(element, 'GDTFMode'), reportType);
+    } else if (spec) {
+      reportType('not available, its fixtures are imported as pars');
+      properties = { type: 'par' };
+    } else {
+      report('no GDTF, imported as a par');
+      properties = { type: 'par' };
+    }
+
+    const { profile, ...data } = properties;
+    const name = element.getAttribute('name') || childText(element, 'FixtureID') || data.type;
+    const fixture = { id: this.claimName(name), ...data };
+
+    const position = new THREE.Vector3().setFromMatrixPosition(matrix);
+    fixture.position = toLightplanVector(position);
+
+    const color = cieToHex(childText(element, 'Color'));
+    if (color) {
+      fixture.color = color;
+    }
+
+    // GDTF beams shine down the fixture's local -Z axis; bars run along local X
+    const schema = FIXTURE_SCHEMAS[data.type].properties;
+    const xAxis = new THREE.Vector3();
+    const yAxis = new THREE.Vector3();
+    const zAxis = new THREE.Vector3();
+    matrix.extractBasis(xAxis, yAxis, zAxis);
+
+    if (schema.target) {
+      fixture.target = toLightplanVector(getBeamTarget(position, zAxis.normalize().negate()));
+
+      const focus = childText(element, 'Focus');
+      if (focus) {
+        this.focused.push({ fixture, focus, path });
+      }
+    }
+
+    if (schema.direction) {
+      fixture.direction = toLightplanVector(xAxis.normalize());
+    }
+
+    if (profile) {
+      const dmx = parseAddresses(element, report);
+      if (dmx) {
+        fixture.dmx = { ...dmx, profile };
+      }
+    }
+
+    for (const [tag, feature] of Object.entries(UNSUPPORTED_FIXTURE_PROPERTIES)) {
+      if (findChild(element, tag)) {
+        report(`${feature} not supported`);
+      }
+    }
+
+    this.fixtures.push(fixture);
+    return fixture.id;
+  }
+
+  /**
+   * Parse a GDTF file from the archive once
+   * @returns {Promise<Object|null>} Fixture type, null when the file is missing or unreadable
+   */
+  async getFixtureType(file, report) {
+    if (!this.fixtureTypes.has(file)) {
+      let fixtureType = null;
+
+      if (this.archive.find(file)) {
+        try {
+          const gdtf = new ZipArchive(await this.archive.read(file));
+          fixtureType = parseGDTF(await readGDTFDescription(gdtf));
+        } catch (error) {
+          report(`unreadable: ${error.message}`);
+        }
+      }
+      this.fixtureTypes.set(file, fixtureType);
+    }
+
+    return this.fixtureTypes.get(file);
+  }
+
+  addGroup(name, members) {
+    if (members.length > 0) {
+      this.groups[this.claimName(name)] = { fixtures: members };
+    }
+  }
+
+  /**
+   * Unique id from an MVR name ("Spot", "Spot 2", ...)
+   */
+  claimName(name) {
+    let id = name;
+    for (let index = 2; this.names.has(id); index++) {
+      id = `${name} ${index}`;
+    }
+    this.names.add(id);
+    return id;
+  }
+
+  warn(path, message) {
+    this.warnings.push({ path, message });
+  }
+
+  warnOnce(path, message) {
+    const key = `${path}: ${message}`;
+    if (!this.reported.has(key)) {
+      this.reported.add(key);
+      this.warn(path, message);
+    }
+  }
+}
+
+async function readGDTFDescription(archive) {
+  const file = archive.find('description.xml');
+  if (!file) {
+    throw new Error('Not a GDTF file: description.xml is missing');
+  }
+  return archive.readText(file);
+}
+
+/**
+ * One GDTF DMX mode as profile attributes per channel
+ */
+function parseDMXMode(mode) {
+  const channelsElement = findChild(mode, 'DMXChannels');
+  const slots = [];
+  const unsupported = new Set();
+
+  for (const channel of channelsElement ? childElements(channelsElement, 'DMXChannel') : []) {
+    const offsets = (channel.getAttribute('Offset') || '')
+      .split(',')
+      .map((offset) => parseInt(offset, 10))
+      .filter(Number.isInteger);
+
+    // Virtual channels (Offset="None") have no DMX slot
+    if (offsets.length === 0) continue;
+
+    const logical = findChild(channel, 'LogicalChannel');
+    const attribute = logical ? logical.getAttribute('Attribute') : null;
+    const mapped = GDTF_ATTRIBUTES[attribute];
+    const dmxBreak = parseInt(channel.getAttribute('DMXBreak'), 10) || 1;
+
+    if (!mapped) {
+      unsupported.add(attribute || 'unnamed channel');
+    } else if (dmxBreak > 1) {
+      unsupported.add(`${attribute} (DMX break ${dmxBreak})`);
+    }
+
+    // Coarse byte first; 16-bit attributes continue in "<attr>Fine"
+    offsets.forEach((offset, index) => {
+      const base = mapped || attribute;
+      slots[offset - 1] = index === 0 ? base : `${base}Fine`;
+    });
+  }
+
+  const channels = Array.from(slots, (slot) => slot || null);
+  const profile =
+    unsupported.size === 0
+      ? Object.keys(DMX_PROFILES).find((candidate) => sameList(DMX_PROFILES[candidate], channels))
+      : null;
+
+  return {
+    name: mode.getAttribute('Name') || 'Mode',
+    channels,
+    profile: profile || null,
+    unsupported: [...unsupported],
+  };
+}
+
+/**
+ * Lightplan type for a GDTF fixture type: lasers, then anything with pan and tilt, then by name
+ * (strobes, blinders), pixel bars by their beam count, and washes or PARs by beam type and angle
+ */
+function guessFixtureType({ name, attributes, beams, lasers, beamAngle }) {
+  if (lasers > 0 || /laser/i.test(name)) return 'laser';
+  if (attributes.has('pan') && attributes.has('tilt')) return 'movingHead';
+  if (/strobe/i.test(name)) return 'strobe';
+  if (/blinder/i.test(name)) return 'blinder';
+  if (beams.length >= 4) return 'ledBar';
+
+  const beamType = beams.length > 0 ? beams[0].getAttribute('BeamType') : null;
+  return beamType === 'Wash' || beamAngle >= 30 ? 'wash' : 'par';
+}
+
+/**
+ * Where a beam from a position lands: on the floor if it points down, else at the default throw
+ */
+function getBeamTarget(position, direction) {
+  // MVR is Z-up
+  if (direction.z < -0.1 && position.z > 0) {
+    return position.clone().addScaledVector(direction, position.z / -direction.z);
+  }
+  return position.clone().addScaledVector(direction, DEFAULT_THROW);
+}
+
+/**
+ * DMX patch from a fixture's first DMX break ("universe.address" or an absolute address)
+ */
+function parseAddresses(element, report) {
+  const addresses = findChild(element, 'Addresses');
+  const list = addresses ? childElements(addresses, 'Address') : [];
+  if (list.length === 0) return null;
+
+  if (list.length > 1) {
+    report(`${list.length} DMX breaks, only the first is patched`);
+  }
+
+  const value = list[0].textContent.trim();
+  let universe;
+  let address;
+
+  if (value.includes('.')) {
+    [universe, address] = value.split('.').map((part) => parseInt(part, 10));
+  } else {
+    const absolute = parseInt(value, 10);
+    universe = Math.floor((absolute - 1) / 512) + 1;
+    address = ((absolute - 1) % 512) + 1;
+  }
+
+  if (!(universe >= 1) || !(address >= 1 && address <= 512)) {
+    report(`DMX address "${value}" not understood, fixture not patched`);
+    return null;
+  }
+
+  // MVR universes count from 1, Art-Net port addresses from 0
+  return { universe: universe - 1, address };
+}
+
+/**
+ * An MVR object's transform: "{ux,uy,uz}{vx,vy,vz}{wx,wy,wz}{ox,oy,oz}" (basis vectors and
+ * offset in millimetres), as a matrix in metres
+ */
+function parseMatrix(element) {
+  const matrix = new THREE.Matrix4();
+  const text = childText(element, 'Matrix');
+  if (!text) return matrix;
+
+  const rows = [...text.matchAll(/\{([^}]*)\}/g)].map((match) => match[1].split(',').map(Number));
+  if (rows.length !== 4 || rows.some((row) => row.length !== 3 || row.some(Number.isNaN))) {
+    return matrix;
+  }
+
+  const [u, v, w, offset] = rows.map((row) => new THREE.Vector3(...row));
+  return matrix.makeBasis(u, v, w).setPosition(offset.multiplyScalar(MM));
+}
+
+/**
+ * MVR (Z-up) position to lightplan (Y-up) [x, y, z], to the millimetre
+ */
+function toLightplanVector(vector) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return [round(vector.x), round(vector.z), round(-vector.y)];
+}
+
+/**
+ * CIE 1931 "x,y,Y" (GDTF and MVR colors) to an sRGB hex color at full brightness
+ */
+function cieToHex(value) {
+  if (!value) return null;
+
+  const [x, y] = value.split(',').map(Number);
+  if (!(y > 0) || Number.isNaN(x)) return null;
+
+  const X = x / y;
+  const Z = (1 - x - y) / y;
+  const rgb = [
+    3.2406 * X - 1.5372 - 0.4986 * Z,
+    -0.9689 * X + 1.8758 + 0.0415 * Z,
+    0.0557 * X - 0.204 + 1.057 * Z,
+  ].map((channel) => Math.max(0, channel));
+
+  // Filters are about hue, not transmission: scale the brightest channel to full
+  const peak = Math.max(...rgb);
+  if (peak === 0) return null;
+
+  const [r, g, b] = rgb.map((channel) => channel / peak);
+  return `#${new THREE.Color().setRGB(r, g, b, THREE.LinearSRGBColorSpace).getHexString()}`;
+}
+
+function parseXML(text, file) {
+  const document = new DOMParser().parseFromString(text, 'application/xml');
+  if (document.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`${file} is not valid XML`);
+  }
+  return document.documentElement;
+}
+
+function childElements(element, tagName) {
+  return [...element.children].filter((child) => child.tagName === tagName);
+}
+
+function findChild(element, tagName) {
+  return childElements(element, tagName)[0] || null;
+}
+
+function childText(element, tagName) {
+  const child = childElements(element, tagName)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every((item, index) => item === b[index]);
+}
@@ -0,0 +1,256 @@
+/**
+ * Tempo.js - Beat grid with tap tempo, nudge and downbeat resync
+ *
+ * The grid maps a clock time (seconds, free-running or show time) to a beat count through an
+ * anchor: beats = anchorBeats + (time - anchorTime) / beatDuration. Tempo changes re-anchor at the
+ * current time so the grid never jumps, and the count is grouped into bars and phrases.
+ */
+
+/**
+ * Beats per grid level; each level emits an event of the same name when a new one starts
+ */
+export const BEAT_GRID = { bar: 4, phrase: 16, section: 32 };
+
+export const MIN_BPM = 20;
+export const MAX_BPM = 300;
+
+// Taps further apart (s) than this start a new tap tempo, and how many recent taps are averaged
+const TAP_TIMEOUT = 2;
+const MAX_TAPS = 8;
+
+// More beats than this in one update is a jump (seek, resync): no events are emitted for it
+const MAX_BEAT_EVENTS = 8;
+
+// Following the analyser: its per-frame estimate is averaged with this weight, the tempo changes
+// only when the average moves more than FOLLOW_BPM_STEP away, and the phase is only corrected when
+// it drifts more than FOLLOW_PHASE_TOLERANCE (beats)
+const FOLLOW_SMOOTHING = 0.05;
+const FOLLOW_BPM_STEP = 0.1;
+const FOLLOW_PHASE_TOLERANCE = 0.02;
+
+/**
+ * Beat grid and its beat/bar/phrase/section events
+ */
+export class BeatClock {
+  /**
+   * @param {number} [bpm]
+   */
+  constructor(bpm = 128) {
+    this.bpm = bpm;
+    this.beatDuration = 60 / bpm;
+
+    this.time = 0;
+    this.anchorTime = 0;
+    this.anchorBeats = 0;
+    this.beats = 0;
+    this.lastBeat = 0;
+
+    this.taps = [];
+    this.listeners = new Map();
+
+    // Smoothed external tempo while following (0 until the first estimate)
+    this.followedBpm = 0;
+  }
+
+  /**
+   * Restart the grid with beat 0 at a clock time
+   */
+  reset(time = 0) {
+    this.time = time;
+    this.anchorTime = time;
+    this.anchorBeats = 0;
+    this.beats = 0;
+    this.lastBeat = 0;
+  }
+
+  /**
+   * Advance to a clock time and emit events for the beats crossed
+   * @param {number} time - Seconds
+   * @returns {number} Beat count
+   */
+  update(time) {
+    this.time = time;
+    this.beats = this.getBeatsAt(time);
+
+    const beat = Math.floor(this.beats);
+    const crossed = beat - this.lastBeat;
+
+    if (crossed > 0 && crossed <= MAX_BEAT_EVENTS) {
+      for (let index = this.lastBeat + 1; index <= beat; index++) {
+        this.emitBeat(index);
+      }
+    }
+    this.lastBeat = beat;
+
+    return this.beats;
+  }
+
+  /**
+   * Beat count at a clock time on the current grid
+   */
+  getBeatsAt(time) {
+    return this.anchorBeats + (time - this.anchorTime) / this.beatDuration;
+  }
+
+  /**
+   * Position within the current beat (0-1)
+   */
+  getPhase() {
+    return this.beats - Math.floor(this.beats);
+  }
+
+  /**
+   * Position of a beat in the grid (all counts 0-based)
+   * @param {number} [beat] - Beat index (the current beat if omitted)
+   * @returns {{beat: number, bar: number, phrase: number, section: number,
+   *   beatInBar: number, barInPhrase: number, phraseInSection: number}}
+   */
+  getPosition(beat = Math.floor(this.beats)) {
+    const bar = Math.floor(beat / BEAT_GRID.bar);
+    const phrase = Math.floor(beat / BEAT_GRID.phrase);
+
+    return {
+      beat,
+      bar,
+      phrase,
+      section: Math.floor(beat / BEAT_GRID.section),
+      beatInBar: mod(beat, BEAT_GRID.bar),
+      barInPhrase: mod(bar, BEAT_GRID.phrase / BEAT_GRID.bar),
+      phraseInSection: mod(phrase, BEAT_GRID.section / BEAT_GRID.phrase),
+    };
+  }
+
+  /**
+   * Change the tempo from now on, keeping the current beat position
+   * @param {number} bpm - Clamped to MIN_BPM-MAX_BPM
+   */
+  setBpm(bpm) {
+    this.anchor();
+    this.bpm = Math.min(MAX_BPM, Math.max(MIN_BPM, bpm));
+    this.beatDuration = 60 / this.bpm;
+    this.emit('tempo', { bpm: this.bpm });
+  }
+
+  /**
+   * Register a tap: the tempo follows the average interval of the recent taps and the grid
+   * lands a beat on the tap
+   * @param {number} [now] - Wall-clock seconds of the tap
+   * @returns {number} BPM
+   */
+  tapTempo(now = performance.now() / 1000) {
+    const last = this.taps[this.taps.length - 1];
+    if (last !== undefined && now - last > TAP_TIMEOUT) {
+      this.taps = [];
+    }
+
+    this.taps.push(now);
+    this.taps = this.taps.slice(-MAX_TAPS);
+
+    if (this.taps.length >= 2) {
+      this.setBpm((60 * (this.taps.length - 1)) / (now - this.taps[0]));
+      this.landOnBeat(Math.round(this.beats));
+    }
+    return this.bpm;
+  }
+
+  /**
+   * Shift the grid without changing the tempo
+   * @param {number} ms - Positive moves the beats earlier (the grid was late), negative later
+   */
+  nudge(ms) {
+    this.shiftTo(this.beats + ms / 1000 / this.beatDuration);
+  }
+
+  /**
+   * Make now the first beat of a section (the "one" the operator hears), keeping the count
+   * when the grid is already close
+   */
+  resyncDownbeat() {
+    const beat = Math.round(this.beats);
+    this.landOnBeat(Math.round(beat / BEAT_GRID.section) * BEAT_GRID.section);
+  }
+
+  /**
+   * Lock the grid to an external tempo and beat phase (e.g. the music analyser)
+   * @param {number} bpm
+   * @param {number} phase - Position within the beat (0-1)
+   */
+  follow(bpm, phase) {
+    this.followedBpm = this.followedBpm
+      ? this.followedBpm + (bpm - this.followedBpm) * FOLLOW_SMOOTHING
+      : bpm;
+
+    if (Math.abs(this.followedBpm - this.bpm) > FOLLOW_BPM_STEP) {
+      this.setBpm(Math.round(this.followedBpm / FOLLOW_BPM_STEP) * FOLLOW_BPM_STEP);
+    }
+
+    // Nearest beat count with that phase, so the count keeps running
+    const beats = Math.round(this.beats - phase) + phase;
+    if (Math.abs(beats - this.beats) > FOLLOW_PHASE_TOLERANCE) {
+      this.shiftTo(beats);
+    }
+  }
+
+  /**
+   * Place the grid so the current time is at a beat count. Small shifts need no events: a beat
+   * moved past is emitted by the next update, one moved back is not repeated.
+   */
+  shiftTo(beats) {
+    this.anchorTime = this.time;
+    this.anchorBeats = beats;
+    this.beats = beats;
+  }
+
+  /**
+   * Place the grid so the current time is on a beat, and emit it
+   */
+  landOnBeat(beat) {
+    this.shiftTo(beat);
+
+    if (beat !== this.lastBeat) {
+      this.lastBeat = beat;
+      this.emitBeat(beat);
+    }
+  }
+
+  anchor() {
+    this.anchorBeats = this.getBeatsAt(this.time);
+    this.anchorTime = this.time;
+  }
+
+  emitBeat(index) {
+    const position = this.getPosition(index);
+    this.emit('beat', position);
+
+    for (const [level, beats] of Object.entries(BEAT_GRID)) {
+      if (mod(index, beats) === 0) {
+        this.emit(level, position);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to 'beat', 'bar', 'phrase' or 'section' (with the grid position) or 'tempo' events
+   * @returns {Function} Unsubscribe
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+    return () => this.listeners.get(event).delete(callback);
+  }
+
+  emit(event, data) {
+    const callbacks = this.listeners.get(event);
+    if (callbacks) {
+      for (const callback of callbacks) {
+        callback(data);
+      }
+    }
+  }
+}
+
+function mod(value, divisor) {
+  return ((value % divisor) + divisor) % divisor;
+}
@@ -0,0 +1,432 @@
+/**
+ * Timeline.js - Timecode show timeline and the playback clock it runs on
+ *
+ * The clock produces show time (seconds) from a free-running counter, an audio element's
+ * currentTime or MIDI Time Code. The timeline fires cue and look events at timecodes and, after
+ * a seek or loop, rebuilds the state deterministically from the events before the new time.
+ */
+
+// Nominal frame rates a timeline may use (29.97 counts 30 frames per second, non-drop)
+export const TIMECODE_RATES = [24, 25, 29.97, 30];
+
+// MTC rate codes (bits 5-6 of the hours byte)
+const MTC_RATES = [24, 25, 29.97, 30];
+
+// Seconds without quarter frames before an MTC source counts as stopped
+const MTC_TIMEOUT = 0.25;
+
+// Forward jumps larger than the frame delta plus this (seconds) count as seeks
+const JUMP_TOLERANCE = 0.25;
+
+const TIMECODE = /^(\d{2}):(\d{2}):(\d{2})[:;](\d{2})$/;
+
+/**
+ * Parse "hh:mm:ss:ff" into seconds
+ * @param {string} timecode
+ * @param {number} fps - One of TIMECODE_RATES
+ * @returns {number}
+ */
+export function parseTimecode(timecode, fps = 30) {
+  const match = TIMECODE.exec(timecode);
+  if (!match) {
+    throw new Error(`Invalid timecode: ${timecode}`);
+  }
+
+  const [hours, minutes, seconds, frames] = match.slice(1).map(Number);
+  return hours * 3600 + minutes * 60 + seconds + frames / Math.round(fps);
+}
+
+/**
+ * Format seconds as "hh:mm:ss:ff"
+ */
+export function formatTimecode(time, fps = 30) {
+  const frameRate = Math.round(fps);
+  const totalFrames = Math.max(0, Math.floor(time * frameRate + 1e-6));
+  const frames = totalFrames % frameRate;
+  const totalSeconds = Math.floor(totalFrames / frameRate);
+
+  return [
+    Math.floor(totalSeconds / 3600),
+    Math.floor(totalSeconds / 60) % 60,
+    totalSeconds % 60,
+    frames,
+  ]
+    .map((value) => String(value).padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Whether a string is a well-formed timecode
+ */
+export function isTimecode(value) {
+  const match = TIMECODE.exec(value);
+  return Boolean(match && Number(match[2]) < 60 && Number(match[3]) < 60);
+}
+
+/**
+ * Show playback clock: free-running, slaved to an audio element, or slaved to MIDI Time Code
+ */
+export class ShowClock {
+  constructor() {
+    this.source = 'free';
+    this.time = 0;
+    this.rate = 1;
+    this.playing = false;
+    this.loop = null; // { start, end } in seconds
+
+    // Set by seek() so the next update reports a jump
+    this.pendingSeek = false;
+
+    // Audio source
+    this.audio = null;
+
+    // MTC source
+    this.mtcInput = null;
+    this.mtcOffset = 0;
+    this.quarterFrames = new Array(8).fill(0);
+    this.quarterFrameMask = 0;
+    this.mtcTime = 0;
+    this.mtcReceivedAt = -Infinity;
+  }
+
+  /**
+   * Run from the frame delta
+   */
+  useFreeRunning() {
+    this.disconnectMTC();
+    this.source = 'free';
+  }
+
+  /**
+   * Follow the music track's currentTime (play/pause/seek/rate go to the track)
+   * @param {AudioEngine} audio
+   */
+  useAudio(audio) {
+    this.disconnectMTC();
+    this.source = 'audio';
+    this.audio = audio;
+  }
+
+  /**
+   * Follow MIDI Time Code from a Web MIDI input
+   * @param {Object} [options]
+   * @param {string} [options.input] - Part of the input name (first input if omitted)
+   * @param {number} [options.offset] - Seconds of timecode at show start (e.g. 3600 for 01:00:00:00)
+   */
+  async useMTC({ input, offset = 0 } = {}) {
+    if (!navigator.requestMIDIAccess) {
+      throw new Error('Web MIDI is not supported in this browser');
+    }
+
+    this.disconnectMTC();
+    this.source = 'mtc';
+    this.mtcOffset = offset;
+
+    // Full-frame (locate) messages are SysEx; quarter frames work without it
+    let access;
+    try {
+      access = await navigator.requestMIDIAccess({ sysex: true });
+    } catch (error) {
+      console.warn('MIDI SysEx access denied, full-frame locates will be ignored:', error);
+      access = await navigator.requestMIDIAccess();
+    }
+
+    const inputs = [...access.inputs.values()];
+    const match = input
+      ? inputs.find((candidate) => candidate.name.toLowerCase().includes(input.toLowerCase()))
+      : inputs[0];
+
+    if (!match) {
+      throw new Error(`No MIDI input${input ? ` matching "${input}"` : ''}`);
+    }
+
+    this.mtcInput = match;
+    this.mtcInput.onmidimessage = (event) => this.onMIDIMessage(event.data);
+    console.log('MTC input:', match.name);
+  }
+
+  /**
+   * Stop listening to the MTC input
+   */
+  disconnectMTC() {
+    if (this.mtcInput) {
+      this.mtcInput.onmidimessage = null;
+      this.mtcInput = null;
+    }
+  }
+
+  /**
+   * Decode MTC quarter-frame and full-frame messages
+   * @param {Uint8Array} data
+   */
+  onMIDIMessage(data) {
+    if (data[0] === 0xf1) {
+      const piece = data[1] >> 4;
+      this.quarterFrames[piece] = data[1] & 0x0f;
+      this.quarterFrameMask |= 1 << piece;
+
+      // A full timecode arrives every 8 quarter frames (two frames), ending with piece 7
+      if (piece === 7 && this.quarterFrameMask === 0xff) {
+        const q = this.quarterFrames;
+        const hoursByte = q[6] | (q[7] << 4);
+        this.setMTCTime(hoursByte, q[4] | (q[5] << 4), q[2] | (q[3] << 4), q[0] | (q[1] << 4), 2);
+        this.quarterFrameMask = 0;
+      }
+    } else if (data[0] === 0xf0 && data[1] === 0x7f && data[3] === 0x01 && data[4] === 0x01) {
+      // Full frame: F0 7F <device> 01 01 hh mm ss ff F7
+      this.setMTCTime(data[5], data[6], data[7], data[8], 0);
+      this.pendingSeek = true;
+    }
+  }
+
+  /**
+   * Store a decoded timecode as show time
+   * @param {number} frameOffset - Frames the timecode lags behind (2 for quarter frames)
+   */
+  setMTCTime(hoursByte, minutes, seconds, frames, frameOffset) {
+    const fps = MTC_RATES[(hoursByte >> 5) & 0x03];
+    const hours = hoursByte & 0x1f;
+    const frameRate = Math.round(fps);
+
+    this.mtcTime =
+      hours * 3600 + minutes * 60 + seconds + (frames + frameOffset) / frameRate - this.mtcOffset;
+    this.mtcReceivedAt = performance.now() / 1000;
+  }
+
+  /**
+   * Start playback (starts the track when slaved to audio)
+   */
+  play() {
+    if (this.source === 'audio' && this.audio.hasTrack()) {
+      this.audio.play().catch((error) => console.error('Failed to play audio:', error));
+    }
+    this.playing = true;
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    if (this.source === 'audio') {
+      this.audio.pause();
+    }
+    this.playing = false;
+  }
+
+  /**
+   * The track's media element when slaved to audio (null until a track is loaded)
+   */
+  getAudioElement() {
+    return this.source === 'audio' && this.audio.hasTrack() ? this.audio.element : null;
+  }
+
+  /**
+   * Jump to a show time (ignored when slaved to MTC)
+   * @param {number} time - Seconds
+   */
+  seek(time) {
+    if (this.source === 'mtc') {
+      console.warn('Cannot seek a clock slaved to MIDI Time Code');
+      return;
+    }
+
+    this.time = Math.max(0, time);
+    this.pendingSeek = true;
+
+    if (this.source === 'audio') {
+      const element = this.getAudioElement();
+      if (element) element.currentTime = this.time;
+    }
+  }
+
+  /**
+   * Set the playback rate (1 = real time)
+   */
+  setRate(rate) {
+    this.rate = rate;
+
+    if (this.source === 'audio') {
+      const element = this.getAudioElement();
+      if (element) element.playbackRate = rate;
+    }
+  }
+
+  /**
+   * Loop between two show times, or clear the loop with null
+   */
+  setLoop(start, end) {
+    this.loop = start === null || start === undefined ? null : { start, end };
+  }
+
+  /**
+   * Advance the clock
+   * @param {number} deltaTime - Seconds since the last frame
+   * @returns {{time: number, delta: number, jumped: boolean}} Show time, show-time delta and
+   *   whether playback jumped (seek, loop, external locate)
+   */
+  update(deltaTime) {
+    const previous = this.time;
+    let jumped = this.pendingSeek;
+    this.pendingSeek = false;
+
+    switch (this.source) {
+      case 'audio': {
+        const element = this.getAudioElement();
+        if (element) {
+          this.time = element.currentTime;
+          this.playing = !element.paused;
+        }
+        break;
+      }
+
+      case 'mtc': {
+        // Interpolate between quarter frames; stop when they stop arriving
+        const since = performance.now() / 1000 - this.mtcReceivedAt;
+        this.playing = since < MTC_TIMEOUT;
+        if (this.playing) {
+          this.time = this.mtcTime + since;
+        }
+        break;
+      }
+
+      default:
+        if (this.playing) {
+          this.time += deltaTime * this.rate;
+        }
+    }
+
+    if (this.loop && this.source !== 'mtc' && this.time >= this.loop.end) {
+      const length = this.loop.end - this.loop.start;
+      this.time =
+        length > 0 ? this.loop.start + ((this.time - this.loop.end) % length) : this.loop.start;
+      jumped = true;
+
+      if (this.source === 'audio') {
+        const element = this.getAudioElement();
+        if (element) element.currentTime = this.time;
+      }
+    }
+
+    const delta = this.time - previous;
+    if (delta < 0 || delta > deltaTime * Math.max(this.rate, 1) + JUMP_TOLERANCE) {
+      jumped = true;
+    }
+
+    return { time: this.time, delta: jumped ? 0 : delta, jumped };
+  }
+
+  /**
+   * Release the MIDI input
+   */
+  dispose() {
+    this.disconnectMTC();
+  }
+}
+
+/**
+ * Timecoded cue and look events from the lightplan's `timeline`
+ */
+export class ShowTimeline {
+  /**
+   * @param {LightManager} manager
+   * @param {Object} data - Validated lightplan `timeline`
+   */
+  constructor(manager, data) {
+    this.manager = manager;
+    this.fps = data.fps || 30;
+
+    this.events = data.events
+      .map((event, order) => ({ ...event, order, time: parseTimecode(event.at, this.fps) }))
+      .sort((a, b) => a.time - b.time || a.order - b.order);
+
+    this.lastTime = -Infinity;
+  }
+
+  /**
+   * Loop region in seconds from the lightplan (or null)
+   */
+  static getLoop(data) {
+    if (!data.loop) return null;
+    const fps = data.fps || 30;
+    return { start: parseTimecode(data.loop.from, fps), end: parseTimecode(data.loop.to, fps) };
+  }
+
+  /**
+   * Fire events up to a show time
+   * @param {number} time - Show time (seconds)
+   * @param {boolean} jumped - Rebuild the state instead of firing events in between
+   */
+  evaluate(time, jumped) {
+    if (jumped || time < this.lastTime) {
+      this.seek(time);
+    } else {
+      for (const event of this.events) {
+        if (event.time > this.lastTime && event.time <= time) {
+          this.fire(event, time - event.time);
+        }
+      }
+    }
+
+    this.lastTime = time;
+  }
+
+  /**
+   * Reproduce the state at a show time: the previous cue snapped in, the current cue part-way
+   * through its fade, then the look events since that cue
+   */
+  seek(time) {
+    const { cueEngine } = this.manager;
+    const past = this.events.filter((event) => event.time <= time);
+    const cueEvents = past.filter((event) => event.cue);
+    const current = cueEvents[cueEvents.length - 1];
+    const previous = cueEvents[cueEvents.length - 2];
+    const since = current ? past.indexOf(current) + 1 : 0;
+
+    if (previous) {
+      this.fire(previous, Infinity);
+    } else if (cueEngine.cues.length > 0) {
+      cueEngine.goToIndex(0, { fade: 0 });
+      cueEngine.applyTransition();
+    } else {
+      this.manager.restoreHome();
+    }
+
+    if (current) {
+      this.fire(current, time - current.time);
+    }
+
+    for (const event of past.slice(since)) {
+      this.fire(event, 0);
+    }
+
+    this.lastTime = time;
+  }
+
+  /**
+   * Apply one event
+   * @param {Object} event
+   * @param {number} elapsed - Show seconds since the event time (fades resume part-way)
+   */
+  fire(event, elapsed) {
+    const { manager } = this;
+
+    if (event.cue) {
+      const options = event.fade !== undefined ? { fade: event.fade } : {};
+      if (manager.goToCue(event.cue, options)) {
+        manager.cueEngine.elapsed = elapsed === Infinity ? Number.MAX_VALUE : elapsed;
+        manager.cueEngine.applyTransition();
+      }
+      return;
+    }
+
+    if (event.intensity !== undefined) {
+      manager.setIntensity(event.target, event.intensity);
+    }
+    if (event.color !== undefined) {
+      manager.setColor(event.target, event.color);
+    }
+    if (event.effect !== undefined) {
+      manager.setEffect(event.target, event.effect);
+    }
+  }
+}
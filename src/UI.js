@@ -2,7 +2,20 @@
  * UI.js - User interface management
  */
 
-import { prefetchAssets, clearAllCaches, getCacheInfo } from './Cache.js';
+import {
+  prefetchAssets,
+  clearAllCaches,
+  getCacheInfo,
+  purgeAssets,
+  checkForUpdates,
+  checkStorage,
+  requestPersistentStorage,
+  getStorageEstimate,
+  getCacheBudget,
+  setCacheBudget,
+  evictAssets,
+} from './Cache.js';
+import { formatIssue, FIXTURE_SCHEMAS } from './LightplanSchema.js';
 
 /**
  * UI Manager
@@ -15,6 +28,10 @@ export class UIManager {
     this.elements = {};
     this.qualityMode = 'medium';
     this.controlsVisible = false;
+    this.audioLoaded = false;
+    this.midiLearning = false;
+    this.downloadController = null;
+    this.updateAssetList = [];
     
     // Try to initialize DOM elements
     this.initializeElements();
@@ -37,15 +54,63 @@ export class UIManager {
       hud: document.getElementById('hud'),
       downloadBtn: document.getElementById('download-assets'),
       clearCacheBtn: document.getElementById('clear-cache'),
+      checkUpdatesBtn: document.getElementById('check-updates'),
+      updateStatus: document.getElementById('update-status'),
+      updateList: document.getElementById('update-list'),
+      updateSelectedBtn: document.getElementById('update-selected'),
+      storageStatus: document.getElementById('storage-status'),
+      cacheBudgetInput: document.getElementById('cache-budget'),
       toggleControlsBtn: document.getElementById('toggle-controls'),
       qualityBtn: document.getElementById('quality-toggle'),
+      reducedFlashingBtn: document.getElementById('reduced-flashing'),
+      audioBtn: document.getElementById('audio-toggle'),
+      audioFileInput: document.getElementById('audio-file'),
       enterVrBtn: document.getElementById('enter-vr'),
+      tempoBpm: document.getElementById('tempo-bpm'),
+      tempoPosition: document.getElementById('tempo-position'),
+      showTimecode: document.getElementById('show-timecode'),
+      showPlayBtn: document.getElementById('show-play'),
+      showSeekInput: document.getElementById('show-seek'),
+      showRateInput: document.getElementById('show-rate'),
+      showLoopFrom: document.getElementById('show-loop-from'),
+      showLoopTo: document.getElementById('show-loop-to'),
+      midiStatus: document.getElementById('midi-status'),
+      midiConnectBtn: document.getElementById('midi-connect'),
+      midiLearnAction: document.getElementById('midi-learn-action'),
+      midiLearnBtn: document.getElementById('midi-learn'),
+      midiExportBtn: document.getElementById('midi-export'),
+      snapshotStatus: document.getElementById('snapshot-status'),
+      snapshotList: document.getElementById('snapshot-list'),
+      snapshotFade: document.getElementById('snapshot-fade'),
+      snapshotStoreBtn: document.getElementById('snapshot-store'),
+      snapshotRecallBtn: document.getElementById('snapshot-recall'),
+      toggleEditorBtn: document.getElementById('toggle-editor'),
+      importShowBtn: document.getElementById('import-show'),
+      importShowFileInput: document.getElementById('import-show-file'),
+      
+      editorPanel: document.getElementById('editor-panel'),
+      editorFixtures: document.getElementById('editor-fixtures'),
+      editorAddType: document.getElementById('editor-add-type'),
+      editorAddBtn: document.getElementById('editor-add'),
+      editorDuplicateBtn: document.getElementById('editor-duplicate'),
+      editorRemoveBtn: document.getElementById('editor-remove'),
+      editorColor: document.getElementById('editor-color'),
+      editorIntensity: document.getElementById('editor-intensity'),
+      editorBeamAngle: document.getElementById('editor-beam-angle'),
+      editorBeamAngleRow: document.getElementById('editor-beam-angle-row'),
+      editorPosition: document.getElementById('editor-position'),
+      editorTarget: document.getElementById('editor-target'),
+      editorTargetRow: document.getElementById('editor-target-row'),
+      editorExportBtn: document.getElementById('editor-export'),
+      editorCloseBtn: document.getElementById('editor-close'),
       cacheInfo: document.getElementById('cache-info'),
+      lightplanIssues: document.getElementById('lightplan-issues'),
       
       progressOverlay: document.getElementById('progress-overlay'),
       progressTotal: document.getElementById('progress-total'),
       progressStatus: document.getElementById('progress-status'),
       progressFiles: document.getElementById('progress-files'),
+      progressCancel: document.getElementById('progress-cancel'),
       
       controlsHelp: document.getElementById('controls-help'),
     };
@@ -91,6 +156,37 @@ export class UIManager {
       console.warn('Clear cache button not found');
     }
     
+    // Check for updates, then update the picked assets
+    if (this.elements.checkUpdatesBtn && this.elements.updateList && this.elements.updateSelectedBtn) {
+      this.elements.checkUpdatesBtn.addEventListener('click', () => {
+        this.onCheckUpdates();
+      });
+      this.elements.updateSelectedBtn.addEventListener('click', () => {
+        this.onUpdateSelected();
+      });
+    } else {
+      console.warn('Update panel not found');
+    }
+    
+    // Cache budget (MB), applied at once by evicting the least recently used assets
+    if (this.elements.cacheBudgetInput) {
+      this.elements.cacheBudgetInput.value = Math.round(getCacheBudget() / 1024 / 1024);
+      this.elements.cacheBudgetInput.addEventListener('change', () => {
+        this.onCacheBudgetChange();
+      });
+    } else {
+      console.warn('Cache budget input not found');
+    }
+    
+    // Cancel downloads button
+    if (this.elements.progressCancel) {
+      this.elements.progressCancel.addEventListener('click', () => {
+        this.cancelDownload();
+      });
+    } else {
+      console.warn('Cancel download button not found');
+    }
+    
     // Toggle controls help
     if (this.elements.toggleControlsBtn) {
       this.elements.toggleControlsBtn.addEventListener('click', () => {
@@ -111,9 +207,258 @@ export class UIManager {
       console.warn('Quality button not found');
     }
     
+    // Photosensitivity: reduced flashing
+    if (this.elements.reducedFlashingBtn) {
+      this.elements.reducedFlashingBtn.addEventListener('click', () => {
+        window.dispatchEvent(new CustomEvent('reduced-flashing-toggle'));
+      });
+      console.log('Reduced flashing button listener added');
+    } else {
+      console.warn('Reduced flashing button not found');
+    }
+    
+    // Music playback
+    if (this.elements.audioBtn && this.elements.audioFileInput) {
+      this.elements.audioBtn.addEventListener('click', () => {
+        if (this.audioLoaded) {
+          window.dispatchEvent(new CustomEvent('audio-toggle'));
+        } else {
+          this.elements.audioFileInput.click();
+        }
+      });
+      
+      this.elements.audioFileInput.addEventListener('change', () => {
+        const file = this.elements.audioFileInput.files[0];
+        if (file) {
+          window.dispatchEvent(new CustomEvent('audio-file', { detail: { file } }));
+        }
+      });
+      console.log('Audio button listener added');
+    } else {
+      console.warn('Audio button not found');
+    }
+    
+    // MIDI controller: connect, learn a mapping for the selected action, export mappings
+    if (this.elements.midiConnectBtn && this.elements.midiLearnBtn && this.elements.midiLearnAction) {
+      this.elements.midiConnectBtn.addEventListener('click', () => {
+        window.dispatchEvent(new CustomEvent('midi-connect'));
+      });
+      
+      this.elements.midiLearnBtn.addEventListener('click', () => {
+        if (this.midiLearning) {
+          window.dispatchEvent(new CustomEvent('midi-learn-cancel'));
+          return;
+        }
+        
+        const [action, name] = this.elements.midiLearnAction.value.split(':');
+        const target = { action };
+        if (action === 'groupIntensity') target.group = name;
+        if (action === 'cue') target.cue = name;
+        window.dispatchEvent(new CustomEvent('midi-learn', { detail: { target } }));
+      });
+      
+      if (this.elements.midiExportBtn) {
+        this.elements.midiExportBtn.addEventListener('click', () => {
+          window.dispatchEvent(new CustomEvent('midi-export'));
+        });
+      }
+      
+      this.setMidiTargets({ groups: [], cues: [] });
+      console.log('MIDI listeners added');
+    } else {
+      console.warn('MIDI controls not found');
+    }
+    
+    // Show transport: play/pause, go to a time, rate and loop (timecodes or seconds)
+    if (this.elements.showPlayBtn && this.elements.showSeekInput && this.elements.showRateInput) {
+      const { showPlayBtn, showSeekInput, showRateInput, showLoopFrom, showLoopTo } = this.elements;
+      const toTime = (value) => (/^\d+(\.\d+)?$/.test(value) ? Number(value) : value);
+      
+      showPlayBtn.addEventListener('click', () => {
+        window.dispatchEvent(new CustomEvent('show-toggle'));
+      });
+      
+      showSeekInput.addEventListener('change', () => {
+        const value = showSeekInput.value.trim();
+        if (value) {
+          window.dispatchEvent(new CustomEvent('show-seek', { detail: { time: toTime(value) } }));
+        }
+      });
+      
+      showRateInput.addEventListener('change', () => {
+        const rate = Number(showRateInput.value);
+        if (rate > 0) {
+          window.dispatchEvent(new CustomEvent('show-rate', { detail: { rate } }));
+        }
+      });
+      
+      // Loop once both ends are set; clearing both clears the loop
+      if (showLoopFrom && showLoopTo) {
+        const onLoopChange = () => {
+          const from = showLoopFrom.value.trim();
+          const to = showLoopTo.value.trim();
+          if (from && to) {
+            const detail = { from: toTime(from), to: toTime(to) };
+            window.dispatchEvent(new CustomEvent('show-loop', { detail }));
+          } else if (!from && !to) {
+            window.dispatchEvent(new CustomEvent('show-loop', { detail: {} }));
+          }
+        };
+        showLoopFrom.addEventListener('change', onLoopChange);
+        showLoopTo.addEventListener('change', onLoopChange);
+      }
+      
+      this.setShowState(null, false);
+      console.log('Show transport listeners added');
+    } else {
+      console.warn('Show transport controls not found');
+    }
+    
+    // Lighting snapshots: store the look on stage under the selected number, recall with a fade
+    if (this.elements.snapshotList && this.elements.snapshotStoreBtn && this.elements.snapshotRecallBtn) {
+      this.elements.snapshotStoreBtn.addEventListener('click', () => {
+        const number = Number(this.elements.snapshotList.value);
+        window.dispatchEvent(new CustomEvent('snapshot-store', { detail: { number } }));
+      });
+      
+      this.elements.snapshotRecallBtn.addEventListener('click', () => {
+        const number = Number(this.elements.snapshotList.value);
+        const fade = Math.max(0, Number(this.elements.snapshotFade.value) || 0);
+        window.dispatchEvent(new CustomEvent('snapshot-recall', { detail: { number, fade } }));
+      });
+      
+      this.setSnapshots([]);
+      console.log('Snapshot listeners added');
+    } else {
+      console.warn('Snapshot controls not found');
+    }
+    
+    // Lightplan import from MVR/GDTF files
+    if (this.elements.importShowBtn && this.elements.importShowFileInput) {
+      this.elements.importShowBtn.addEventListener('click', () => {
+        this.elements.importShowFileInput.click();
+      });
+      
+      this.elements.importShowFileInput.addEventListener('change', () => {
+        const file = this.elements.importShowFileInput.files[0];
+        if (file) {
+          window.dispatchEvent(new CustomEvent('lightplan-import', { detail: { file } }));
+        }
+        this.elements.importShowFileInput.value = '';
+      });
+      console.log('Import button listener added');
+    } else {
+      console.warn('Import button not found');
+    }
+    
+    // Lightplan editor
+    if (this.elements.toggleEditorBtn && this.elements.editorPanel) {
+      this.initEditorListeners();
+      console.log('Editor listeners added');
+    } else {
+      console.warn('Editor panel not found');
+    }
+    
     console.log('Event listeners initialization complete');
   }
   
+  /**
+   * Wire the editor panel: every control dispatches an `editor-*` event for the App
+   */
+  initEditorListeners() {
+    const el = this.elements;
+    const dispatch = (name, detail) => window.dispatchEvent(new CustomEvent(name, { detail }));
+    
+    for (const type of Object.keys(FIXTURE_SCHEMAS)) {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = type;
+      el.editorAddType.appendChild(option);
+    }
+    
+    el.toggleEditorBtn.addEventListener('click', () => dispatch('editor-toggle'));
+    el.editorCloseBtn.addEventListener('click', () => dispatch('editor-toggle'));
+    el.editorExportBtn.addEventListener('click', () => dispatch('editor-export'));
+    el.editorDuplicateBtn.addEventListener('click', () => dispatch('editor-duplicate'));
+    el.editorRemoveBtn.addEventListener('click', () => dispatch('editor-remove'));
+    el.editorAddBtn.addEventListener('click', () => {
+      dispatch('editor-add', { type: el.editorAddType.value });
+    });
+    el.editorFixtures.addEventListener('change', () => {
+      dispatch('editor-select', { index: el.editorFixtures.selectedIndex });
+    });
+    
+    el.editorColor.addEventListener('input', () => {
+      dispatch('editor-property', { key: 'color', value: el.editorColor.value });
+    });
+    
+    // Empty number fields fall back to the fixture type's default
+    for (const [input, key] of [[el.editorIntensity, 'intensity'], [el.editorBeamAngle, 'beamAngle']]) {
+      input.addEventListener('change', () => {
+        const value = input.value === '' ? undefined : Number(input.value);
+        dispatch('editor-property', { key, value });
+      });
+    }
+  }
+  
+  /**
+   * Show or hide the editor panel
+   */
+  showEditor(visible) {
+    if (!this.elements.editorPanel) return;
+    
+    this.elements.editorPanel.classList.toggle('active', visible);
+    this.elements.toggleEditorBtn.textContent = visible ? '✏️ Close Editor' : '✏️ Edit Lightplan';
+  }
+  
+  /**
+   * Show the edited plan's fixtures and selection in the editor panel
+   * @param {Array<Object>} fixtures - Lightplan fixture entries
+   * @param {Object|null} selection - From LightplanEditor.getSelection()
+   */
+  showEditorSelection(fixtures, selection) {
+    const el = this.elements;
+    if (!el.editorPanel) return;
+    
+    el.editorFixtures.innerHTML = '';
+    for (const data of fixtures) {
+      const option = document.createElement('option');
+      option.textContent = `${data.id} (${data.type})`;
+      el.editorFixtures.appendChild(option);
+    }
+    el.editorFixtures.selectedIndex = selection ? selection.index : -1;
+    
+    const formatVector = (vector) => (vector ? vector.join(', ') : 'default');
+    
+    for (const input of [el.editorColor, el.editorIntensity, el.editorBeamAngle]) {
+      input.disabled = !selection;
+    }
+    el.editorDuplicateBtn.disabled = !selection;
+    el.editorRemoveBtn.disabled = !selection;
+    
+    if (!selection) {
+      el.editorPosition.textContent = '—';
+      el.editorTarget.textContent = '—';
+      return;
+    }
+    
+    const { data, color, aimable, beamAngle } = selection;
+    
+    el.editorColor.value = color;
+    el.editorIntensity.value = data.intensity !== undefined ? data.intensity : '';
+    el.editorPosition.textContent = formatVector(data.position);
+    
+    el.editorTargetRow.style.display = aimable ? '' : 'none';
+    el.editorTarget.textContent = formatVector(data.target);
+    
+    el.editorBeamAngleRow.style.display = beamAngle ? '' : 'none';
+    if (beamAngle) {
+      el.editorBeamAngle.min = beamAngle.min;
+      el.editorBeamAngle.max = beamAngle.max;
+      el.editorBeamAngle.value = data.beamAngle !== undefined ? data.beamAngle : '';
+    }
+  }
+  
   /**
    * Show splash screen
    */
@@ -147,6 +492,46 @@ export class UIManager {
     }
   }
   
+  /**
+   * Show lightplan validation errors and warnings in the HUD
+   * @param {{errors: Array, warnings: Array}} issues
+   * @param {Object} [options]
+   * @param {string} [options.title] - What the issues are about
+   * @param {string} [options.fallback] - What happens instead when there are errors
+   */
+  showLightplanIssues(
+    { errors, warnings },
+    { title = 'Lightplan', fallback = 'using default lighting' } = {}
+  ) {
+    const container = this.elements.lightplanIssues;
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    if (errors.length === 0 && warnings.length === 0) {
+      container.style.display = 'none';
+      return;
+    }
+    
+    const heading = document.createElement('strong');
+    heading.textContent = errors.length > 0
+      ? `${title}: ${errors.length} error(s), ${fallback}`
+      : `${title}: ${warnings.length} warning(s)`;
+    container.appendChild(heading);
+    
+    const list = document.createElement('ul');
+    for (const [issues, state] of [[errors, 'error'], [warnings, 'warning']]) {
+      for (const issue of issues) {
+        const item = document.createElement('li');
+        item.className = state;
+        item.textContent = formatIssue(issue);
+        list.appendChild(item);
+      }
+    }
+    container.appendChild(list);
+    container.style.display = 'block';
+  }
+  
   /**
    * Show HUD
    */
@@ -176,6 +561,10 @@ export class UIManager {
     this.elements.progressTotal.style.width = '0%';
     this.elements.progressStatus.textContent = 'Preparing...';
     this.elements.progressFiles.innerHTML = '';
+    
+    if (this.elements.progressCancel) {
+      this.elements.progressCancel.disabled = false;
+    }
   }
   
   /**
@@ -186,14 +575,16 @@ export class UIManager {
   }
   
   /**
-   * Update progress overlay
+   * Update progress overlay (weighted by bytes, see prefetchAssets)
    */
-  updateProgress(completed, total, currentFile) {
-    const progress = total > 0 ? completed / total : 0;
+  updateProgress({ completed, total, receivedBytes, totalBytes }) {
+    const progress = totalBytes > 0 ? receivedBytes / totalBytes : completed / Math.max(total, 1);
+    const receivedMB = (receivedBytes / 1024 / 1024).toFixed(1);
+    const totalMB = (totalBytes / 1024 / 1024).toFixed(1);
     
-    this.elements.progressTotal.style.width = `${progress * 100}%`;
+    this.elements.progressTotal.style.width = `${Math.min(progress, 1) * 100}%`;
     this.elements.progressStatus.textContent = 
-      `Downloading ${Math.floor(completed)}/${total} files...`;
+      `Downloading ${completed}/${total} files... ${receivedMB} / ${totalMB} MB`;
   }
   
   /**
@@ -232,86 +623,319 @@ export class UIManager {
    */
   async onDownloadAssets() {
     try {
-      // Read assets.json
-      const response = await fetch('/assets.json');
-      const config = await response.json();
-      
-      // Build asset list
-      const assetList = [];
+      const assetList = await this.loadAssetList();
       
-      if (config.environmentUrl) {
-        assetList.push({
-          url: config.environmentUrl,
-          name: 'Environment Model',
-        });
+      if (assetList.length === 0) {
+        alert('No assets to download');
+        return;
       }
       
-      if (config.lightplanUrl) {
+      await this.downloadAssets(assetList, { verify: true });
+    
+    } catch (error) {
+      console.error('Download failed:', error);
+      alert('Failed to download assets: ' + error.message);
+      this.downloadController = null;
+      this.hideProgressOverlay();
+    }
+  }
+  
+  /**
+   * Read assets.json into the list of assets to download
+   * @returns {Promise<Array<{url: string, name: string, sha256?: string, size?: number}>>}
+   */
+  async loadAssetList() {
+    // Read assets.json
+    const response = await fetch('/assets.json');
+    const config = await response.json();
+    
+    // Build asset list
+    const assetList = [];
+    
+    if (config.environmentUrl) {
+      assetList.push({
+        url: config.environmentUrl,
+        name: 'Environment Model',
+      });
+    }
+    
+    if (config.lightplanUrl) {
+      assetList.push({
+        url: config.lightplanUrl,
+        name: 'Light Plan',
+      });
+    }
+    
+    if (config.midiMappingUrl) {
+      assetList.push({
+        url: config.midiMappingUrl,
+        name: 'MIDI Mapping',
+      });
+    }
+    
+    if (config.additional) {
+      for (const asset of config.additional) {
         assetList.push({
-          url: config.lightplanUrl,
-          name: 'Light Plan',
+          url: asset.url,
+          name: asset.name || 'Additional Asset',
+          sha256: asset.sha256,
+          size: asset.size,
         });
       }
-      
-      if (config.additional) {
-        for (const asset of config.additional) {
-          assetList.push({
-            url: asset.url,
-            name: asset.name || 'Additional Asset',
-          });
-        }
+    }
+    
+    // Expected SHA-256 and size, from the entry or the `integrity` map keyed by URL
+    for (const asset of assetList) {
+      const expected = (config.integrity && config.integrity[asset.url]) || {};
+      asset.sha256 = asset.sha256 || expected.sha256;
+      asset.size = asset.size || expected.size;
+    }
+    
+    return assetList;
+  }
+  
+  /**
+   * Download assets in the progress overlay
+   * @param {Array<Object>} assetList - From loadAssetList()
+   * @param {Object} [options]
+   * @param {boolean} [options.verify] - First check the cached files (hashing those never verified)
+   *   and download missing or damaged ones again
+   * @param {boolean} [options.refresh] - Download the assets even if cached (updates)
+   * @param {Array<string>} [options.keep] - URLs never evicted to make room (default assetList's)
+   * @returns {Promise<Array<Object>|null>} prefetchAssets() results, null when the user stopped
+   *   for lack of storage
+   */
+  async downloadAssets(assetList, { verify = false, refresh = false, keep } = {}) {
+    // Show progress overlay
+    this.showProgressOverlay();
+    
+    // Add files to progress list
+    const fileDivs = {};
+    for (const asset of assetList) {
+      const fileDiv = this.addFileToProgress(asset.url, asset.name, 'queued');
+      fileDivs[asset.url] = fileDiv;
+    }
+    
+    // Cached files that were damaged since they were downloaded download again
+    if (verify) {
+      this.elements.progressStatus.textContent = 'Checking cached files...';
+      const cached = await getCacheInfo({ verify: true });
+      if (cached && cached.mismatched.length > 0) {
+        await purgeAssets(cached.mismatched.map((item) => item.url));
       }
-      
-      if (assetList.length === 0) {
-        alert('No assets to download');
-        return;
+    }
+    
+    // Ask to keep the cache when storage runs low, and warn before running out of quota
+    this.elements.progressStatus.textContent = 'Checking storage...';
+    await requestPersistentStorage();
+    
+    const storage = await checkStorage(assetList, { refresh });
+    if (!storage.fits) {
+      const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+      const proceed = confirm(
+        `These assets need ${toMB(storage.needed)} MB but only ${toMB(storage.available)} MB ` +
+        'of storage is free. Download anyway?'
+      );
+      if (!proceed) {
+        this.hideProgressOverlay();
+        return null;
       }
+    }
+
+    // Download assets (cancelled from the overlay)
+    this.downloadController = new AbortController();
+    
+    const results = await prefetchAssets(assetList, {
+      onProgress: (progress) => {
+        this.updateProgress(progress);
+      },
       
-      // Show progress overlay
-      this.showProgressOverlay();
+      onFileStart: (url, name) => {
+        this.updateFileState(url, 'downloading', 'Downloading...');
+      },
       
-      // Add files to progress list
-      const fileDivs = {};
-      for (const asset of assetList) {
-        const fileDiv = this.addFileToProgress(asset.url, asset.name, 'queued');
-        fileDivs[asset.url] = fileDiv;
-      }
+      onFileProgress: (url, name, received, size) => {
+        const receivedMB = (received / 1024 / 1024).toFixed(1);
+        const sizeText = size > 0 ? ` / ${(size / 1024 / 1024).toFixed(1)}` : '';
+        this.updateFileState(url, 'downloading', `${receivedMB}${sizeText} MB`);
+      },
       
-      // Download assets
-      await prefetchAssets(assetList, {
-        onProgress: (completed, total, currentFile) => {
-          this.updateProgress(completed, total, currentFile);
-        },
-        
-        onFileStart: (url, name) => {
-          this.updateFileState(url, 'downloading', 'Downloading...');
-        },
+      onFileRetry: (url, name, attempt, delay) => {
+        this.updateFileState(url, 'downloading', `Retry ${attempt} in ${Math.ceil(delay / 1000)} s...`);
+      },
+      
+      onFileComplete: (url, name, size) => {
+        const sizeMB = (size / 1024 / 1024).toFixed(2);
+        this.updateFileState(url, 'cached', `${sizeMB} MB`);
+      },
+      
+      onFileError: (url, name, error) => {
+        const cancelled = error.name === 'AbortError';
+        this.updateFileState(url, 'failed', cancelled ? 'Cancelled' : error.message);
+      },
+    }, { signal: this.downloadController.signal, refresh, keep });
+    
+    this.downloadController = null;
+    
+    if (results.some((result) => result.cancelled)) {
+      this.elements.progressStatus.textContent = 
+        'Cancelled. Downloading again resumes where it stopped.';
+    }
+    
+    // Update cache info
+    await this.updateCacheInfo();
+    
+    // Hide progress overlay after delay
+    setTimeout(() => {
+      this.hideProgressOverlay();
+    }, 2000);
+    
+    return results;
+  }
+  
+  /**
+   * Stop the downloads in progress (what has arrived is kept for resuming)
+   */
+  cancelDownload() {
+    if (!this.downloadController) return;
+    
+    this.downloadController.abort();
+    this.elements.progressCancel.disabled = true;
+    this.elements.progressStatus.textContent = 'Cancelling...';
+  }
+  
+  /**
+   * Handle check for updates button: list the assets that changed on the server, ticked for
+   * updating
+   */
+  async onCheckUpdates() {
+    const { updateList, updateSelectedBtn } = this.elements;
+    
+    this.setUpdateStatus('Checking...');
+    updateList.innerHTML = '';
+    updateSelectedBtn.disabled = true;
+    
+    try {
+      this.updateAssetList = await this.loadAssetList();
+      const report = await checkForUpdates(this.updateAssetList);
+      
+      for (const item of report) {
+        if (item.status === 'unchanged') continue;
         
-        onFileComplete: (url, name, size) => {
-          const sizeMB = (size / 1024 / 1024).toFixed(2);
-          this.updateFileState(url, 'cached', `${sizeMB} MB`);
-        },
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = item.url;
+        checkbox.checked = item.status === 'changed' || item.status === 'new';
+        checkbox.disabled = item.status === 'error';
         
-        onFileError: (url, name, error) => {
-          this.updateFileState(url, 'failed', error.message);
-        },
-      });
+        const row = document.createElement('label');
+        row.className = `update-item ${item.status}`;
+        row.append(checkbox, ` ${this.describeUpdate(item)}`);
+        updateList.appendChild(row);
+      }
       
-      // Update cache info
-      await this.updateCacheInfo();
+      const changed = report.filter((item) => item.status === 'changed' || item.status === 'new');
+      const failed = report.filter((item) => item.status === 'error');
       
-      // Hide progress overlay after delay
-      setTimeout(() => {
-        this.hideProgressOverlay();
-      }, 2000);
+      let status = changed.length > 0 ? `${changed.length} of ${report.length} changed` : 'Up to date';
+      if (failed.length > 0) {
+        status += `, ${failed.length} not checked`;
+      }
+      this.setUpdateStatus(status);
       
+      updateSelectedBtn.disabled = updateList.querySelector('input:not(:disabled)') === null;
     } catch (error) {
-      console.error('Download failed:', error);
-      alert('Failed to download assets: ' + error.message);
+      console.error('Failed to check for updates:', error);
+      this.setUpdateStatus('Check failed');
+    }
+  }
+  
+  /**
+   * One line of the update report
+   */
+  describeUpdate(item) {
+    const toMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    
+    switch (item.status) {
+      case 'changed':
+        return item.size && item.cachedSize
+          ? `${item.name}: ${toMB(item.size)} (was ${toMB(item.cachedSize)})`
+          : `${item.name}: changed`;
+      
+      case 'new':
+        return `${item.name}: not downloaded${item.size ? `, ${toMB(item.size)}` : ''}`;
+      
+      case 'unknown':
+        return `${item.name}: server cannot tell if it changed`;
+      
+      default:
+        return `${item.name}: check failed (${item.error})`;
+    }
+  }
+  
+  /**
+   * Handle update selected button: download the ticked assets again
+   */
+  async onUpdateSelected() {
+    const checked = this.elements.updateList.querySelectorAll('input:checked');
+    const urls = new Set(Array.from(checked, (checkbox) => checkbox.value));
+    const assetList = this.updateAssetList.filter((asset) => urls.has(asset.url));
+    
+    if (assetList.length === 0) return;
+    
+    try {
+      // Room for the updates is never made by evicting the rest of the current venue
+      const keep = this.updateAssetList.map((asset) => asset.url);
+      const results = await this.downloadAssets(assetList, { refresh: true, keep });
+      if (!results) return;
+      
+      const updated = results.filter((result) => !result.error).length;
+      
+      this.elements.updateList.innerHTML = '';
+      this.elements.updateSelectedBtn.disabled = true;
+      this.setUpdateStatus(
+        updated === results.length
+          ? `Updated ${updated}; reload to use them`
+          : `Updated ${updated} of ${results.length}`
+      );
+    } catch (error) {
+      console.error('Update failed:', error);
+      alert('Failed to update assets: ' + error.message);
+      this.downloadController = null;
       this.hideProgressOverlay();
     }
   }
   
+  /**
+   * Handle cache budget input: remember it and evict assets over it, keeping the current venue's
+   */
+  async onCacheBudgetChange() {
+    const megabytes = Number(this.elements.cacheBudgetInput.value);
+    if (!(megabytes > 0)) {
+      this.elements.cacheBudgetInput.value = Math.round(getCacheBudget() / 1024 / 1024);
+      return;
+    }
+    
+    setCacheBudget(megabytes * 1024 * 1024);
+    
+    try {
+      const assetList = await this.loadAssetList().catch(() => []);
+      await evictAssets({ keep: assetList.map((asset) => asset.url) });
+      await this.updateCacheInfo();
+    } catch (error) {
+      console.error('Failed to apply cache budget:', error);
+    }
+  }
+  
+  /**
+   * Show the update check status
+   */
+  setUpdateStatus(text) {
+    if (this.elements.updateStatus) {
+      this.elements.updateStatus.textContent = text;
+    }
+  }
+  
   /**
    * Handle clear cache button
    */
@@ -343,21 +967,46 @@ export class UIManager {
           ? new Date(info.latestUpdate).toLocaleString()
           : 'Never';
         
+        const partial = info.partial.length > 0
+          ? `<div><strong>Partial:</strong> ${info.partial.length} (resumes on download)</div>`
+          : '';
+        
         this.elements.cacheInfo.innerHTML = `
           <div><strong>Version:</strong> ${info.version}</div>
           <div><strong>Files:</strong> ${info.files}</div>
           <div><strong>Size:</strong> ${sizeMB} MB</div>
           <div><strong>Updated:</strong> ${date}</div>
+          ${partial}
         `;
       } else {
         this.elements.cacheInfo.innerHTML = '<div>No cache data</div>';
       }
+      
+      await this.updateStorageStatus();
     } catch (error) {
       console.error('Failed to get cache info:', error);
       this.elements.cacheInfo.innerHTML = '<div>Error loading cache info</div>';
     }
   }
   
+  /**
+   * Show storage used against the quota, and whether the browser may evict it
+   */
+  async updateStorageStatus() {
+    if (!this.elements.storageStatus) return;
+    
+    const estimate = await getStorageEstimate();
+    if (!estimate) {
+      this.elements.storageStatus.textContent = 'Unknown';
+      return;
+    }
+    
+    const usedMB = (estimate.usage / 1024 / 1024).toFixed(0);
+    const quotaMB = (estimate.quota / 1024 / 1024).toFixed(0);
+    this.elements.storageStatus.textContent =
+      `${usedMB} of ${quotaMB} MB${estimate.persisted ? ', persistent' : ''}`;
+  }
+  
   /**
    * Toggle controls help
    */
@@ -390,6 +1039,161 @@ export class UIManager {
     console.log('Quality mode:', this.qualityMode);
   }
   
+  /**
+   * Reflect the "reduced flashing" setting on the HUD button
+   */
+  setReducedFlashing(reduced) {
+    if (this.elements.reducedFlashingBtn) {
+      this.elements.reducedFlashingBtn.textContent = `⚡ Reduced Flashing: ${reduced ? 'On' : 'Off'}`;
+      this.elements.reducedFlashingBtn.classList.toggle('active', reduced);
+    }
+  }
+  
+  /**
+   * Reflect music playback state on the HUD button
+   * @param {boolean} playing
+   * @param {boolean} loaded - Whether a track is set (otherwise the button picks a file)
+   */
+  setAudioState(playing, loaded) {
+    this.audioLoaded = loaded;
+    
+    if (this.elements.audioBtn) {
+      this.elements.audioBtn.textContent = !loaded
+        ? '🎵 Load Track'
+        : playing ? '⏸️ Pause Music' : '🎵 Play Music';
+    }
+  }
+  
+  /**
+   * Show the tempo and the current bar.beat position
+   * @param {number} bpm
+   * @param {Object} [position] - Grid position from BeatClock.getPosition()
+   */
+  setTempo(bpm, position) {
+    if (this.elements.tempoBpm) {
+      this.elements.tempoBpm.textContent = `${bpm.toFixed(1)} BPM`;
+    }
+    if (position && this.elements.tempoPosition) {
+      this.elements.tempoPosition.textContent =
+        `${position.phraseInSection + 1}.${position.barInPhrase + 1}.${position.beatInBar + 1}`;
+    }
+  }
+  
+  /**
+   * Show the timeline position, whether it is playing and its rate
+   * @param {string|null} timecode - "hh:mm:ss:ff", null without a timeline
+   * @param {boolean} playing
+   * @param {number} [rate] - Set by the lightplan or a MIDI control
+   */
+  setShowState(timecode, playing, rate = 1) {
+    const { showTimecode, showPlayBtn, showRateInput } = this.elements;
+    const text = timecode || 'No timeline';
+    const label = playing ? '⏸️ Pause' : '▶️ Play';
+    
+    // Called every frame: only touch the DOM when something changed
+    if (showTimecode && showTimecode.textContent !== text) {
+      showTimecode.textContent = text;
+    }
+    if (showPlayBtn && (showPlayBtn.textContent !== label || showPlayBtn.disabled !== !timecode)) {
+      showPlayBtn.textContent = label;
+      showPlayBtn.disabled = !timecode;
+    }
+    const shownRate = Number(rate.toFixed(2));
+    if (showRateInput && document.activeElement !== showRateInput && Number(showRateInput.value) !== shownRate) {
+      showRateInput.value = shownRate;
+    }
+  }
+  
+  /**
+   * Fill the MIDI learn action list
+   * @param {Object} targets - { groups: Array<string>, cues: Array<string> } from the lightplan
+   */
+  setMidiTargets({ groups, cues }) {
+    const select = this.elements.midiLearnAction;
+    if (!select) return;
+    
+    const options = [
+      ['master', 'Master dimmer'],
+      ...groups.map((name) => [`groupIntensity:${name}`, `Group: ${name}`]),
+      ...cues.map((name) => [`cue:${name}`, `Cue: ${name}`]),
+      ['nextCue', 'Next cue'],
+      ['tapTempo', 'Tap tempo'],
+      ['strobeFlash', 'Strobe flash'],
+      ['effectSpeed', 'Effect speed'],
+      ['showPlay', 'Show play/pause'],
+      ['showRestart', 'Show restart'],
+      ['showRate', 'Show rate'],
+    ];
+    
+    select.innerHTML = '';
+    for (const [value, label] of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+  }
+  
+  /**
+   * Show MIDI connection or learn status
+   */
+  setMidiStatus(text) {
+    if (this.elements.midiStatus) {
+      this.elements.midiStatus.textContent = text;
+    }
+  }
+  
+  /**
+   * Reflect MIDI learn mode on the Learn button
+   */
+  setMidiLearning(learning) {
+    this.midiLearning = learning;
+    
+    if (this.elements.midiLearnBtn) {
+      this.elements.midiLearnBtn.classList.toggle('learning', learning);
+      this.elements.midiLearnBtn.textContent = learning ? '✋ Cancel Learn' : '🎯 Learn';
+    }
+  }
+  
+  /**
+   * List the stored snapshots, plus a free number to store the next one under
+   * @param {Array<Object>} snapshots - Records from getAllSnapshots()
+   * @param {number} [selected] - Number to select
+   */
+  setSnapshots(snapshots, selected) {
+    const select = this.elements.snapshotList;
+    if (!select) return;
+    
+    const next = snapshots.reduce((max, snapshot) => Math.max(max, snapshot.number), 0) + 1;
+    
+    select.innerHTML = '';
+    for (const snapshot of snapshots) {
+      const option = document.createElement('option');
+      option.value = snapshot.number;
+      option.textContent = [snapshot.number, snapshot.cue, new Date(snapshot.timestamp).toLocaleTimeString()]
+        .filter(Boolean)
+        .join(' · ');
+      select.appendChild(option);
+    }
+    
+    const option = document.createElement('option');
+    option.value = next;
+    option.textContent = `${next} · (new)`;
+    select.appendChild(option);
+    
+    select.value = selected !== undefined ? selected : next;
+    this.setSnapshotStatus(snapshots.length > 0 ? `${snapshots.length} stored` : 'None stored');
+  }
+  
+  /**
+   * Show snapshot store/recall status
+   */
+  setSnapshotStatus(text) {
+    if (this.elements.snapshotStatus) {
+      this.elements.snapshotStatus.textContent = text;
+    }
+  }
+  
   /**
    * Get current quality mode
    */
@@ -0,0 +1,163 @@
+/**
+ * Zip.js - Minimal zip archive reader (stored and deflated entries)
+ *
+ * Enough for MVR and GDTF files, which are plain zip archives. Inflating uses the browser's
+ * DecompressionStream, so no decoder is bundled. Encrypted and zip64 archives are not supported.
+ */
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+
+// End of central directory record without its trailing comment
+const END_OF_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Entries of a zip archive, read on demand
+ */
+export class ZipArchive {
+  /**
+   * @param {ArrayBuffer|Uint8Array} buffer - Whole archive
+   */
+  constructor(buffer) {
+    this.bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+
+    // name -> { method, compressedSize, size, offset, encrypted }
+    this.entries = new Map();
+    this.readDirectory();
+  }
+
+  /**
+   * Entry names in archive order
+   */
+  get names() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Name of the entry matching a path, ignoring case and a leading "./" or "/"
+   * @returns {string|null}
+   */
+  find(path) {
+    const wanted = normalizePath(path);
+    return this.names.find((name) => normalizePath(name) === wanted) || null;
+  }
+
+  /**
+   * Contents of an entry
+   * @param {string} name
+   * @returns {Promise<Uint8Array>}
+   */
+  async read(name) {
+    const entry = this.entries.get(this.find(name));
+    if (!entry) {
+      throw new Error(`Zip entry not found: ${name}`);
+    }
+    if (entry.encrypted) {
+      throw new Error(`Zip entry is encrypted: ${name}`);
+    }
+
+    const { view } = this;
+    if (view.getUint32(entry.offset, true) !== LOCAL_HEADER) {
+      throw new Error(`Corrupt zip entry: ${name}`);
+    }
+
+    // The local header repeats the name and may carry a different extra field
+    const start =
+      entry.offset +
+      30 +
+      view.getUint16(entry.offset + 26, true) +
+      view.getUint16(entry.offset + 28, true);
+    const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+    switch (entry.method) {
+      case STORED:
+        return data;
+
+      case DEFLATED:
+        return inflate(data);
+
+      default:
+        throw new Error(`Unsupported zip compression method ${entry.method}: ${name}`);
+    }
+  }
+
+  /**
+   * Contents of an entry as UTF-8 text
+   */
+  async readText(name) {
+    return new TextDecoder().decode(await this.read(name));
+  }
+
+  readDirectory() {
+    const { view } = this;
+    const end = this.findEndOfDirectory();
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+
+    if (count === 0xffff || offset === 0xffffffff) {
+      throw new Error('zip64 archives are not supported');
+    }
+
+    const decoder = new TextDecoder();
+
+    for (let index = 0; index < count; index++) {
+      if (view.getUint32(offset, true) !== DIRECTORY_ENTRY) {
+        throw new Error('Corrupt zip central directory');
+      }
+
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      // Directories have no contents
+      if (!name.endsWith('/')) {
+        this.entries.set(name, {
+          encrypted: (view.getUint16(offset + 8, true) & 1) === 1,
+          method: view.getUint16(offset + 10, true),
+          compressedSize: view.getUint32(offset + 20, true),
+          size: view.getUint32(offset + 24, true),
+          offset: view.getUint32(offset + 42, true),
+        });
+      }
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+  }
+
+  /**
+   * Offset of the end of central directory record, searched back over the archive comment
+   */
+  findEndOfDirectory() {
+    const last = this.bytes.length - END_OF_DIRECTORY_SIZE;
+    const first = Math.max(0, last - MAX_COMMENT_SIZE);
+
+    for (let offset = last; offset >= first; offset--) {
+      if (this.view.getUint32(offset, true) === END_OF_DIRECTORY) {
+        return offset;
+      }
+    }
+    throw new Error('Not a zip archive');
+  }
+}
+
+/**
+ * Inflate raw deflate data
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function normalizePath(path) {
+  return path.replace(/^\.?\//, '').toLowerCase();
+}
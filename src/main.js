@@ -31,6 +31,11 @@ async function boot() {
       console.warn('No environment URL in assets.json');
     }
     
+    // Music track for audio-reactive lighting (played from the HUD)
+    if (assetsConfig.audioUrl) {
+      app.setAudioSource(assetsConfig.audioUrl);
+    }
+    
     // Load lightplan
     if (assetsConfig.lightplanUrl) {
       console.log('About to load lightplan...');
@@ -40,6 +45,17 @@ async function boot() {
       console.warn('No lightplan URL in assets.json');
     }
     
+    // MIDI controller mapping (MIDI access is only requested from the HUD, so no permission
+    // prompt holds up startup)
+    if (assetsConfig.midiMappingUrl) {
+      await app.loadMidiMapping(assetsConfig.midiMappingUrl);
+    }
+    
+    // Development: apply changes to assets.json, the lightplan and the MIDI mapping live
+    if (isDevWatchEnabled()) {
+      await app.startDevWatcher('./assets.json', assetsConfig);
+    }
+    
     // Start app
     console.log('About to start app...');
     app.start();
@@ -62,6 +78,17 @@ async function boot() {
   }
 }
 
+/**
+ * Watch files on localhost, or anywhere with ?watch (?watch=0 turns it off)
+ */
+function isDevWatchEnabled() {
+  const watch = new URLSearchParams(location.search).get('watch');
+  if (watch !== null) {
+    return watch !== '0';
+  }
+  return ['localhost', '127.0.0.1'].includes(location.hostname);
+}
+
 // Start when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', boot);
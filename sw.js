@@ -4,6 +4,17 @@
  */
 
 const CACHE_VERSION = 'xr-cache-v1';
+
+// Asset metadata written by src/Cache.js when assets are downloaded
+const DB_NAME = 'xr_industrial_club';
+const META_STORE = 'xr_asset_meta';
+
+// A served asset's last-used timestamp is written at most this often (ms)
+const TOUCH_INTERVAL = 10 * 60 * 1000;
+
+// A downloaded asset is revalidated with the server when last checked longer ago than this (ms)
+const REVALIDATE_INTERVAL = 24 * 60 * 60 * 1000;
+
 const APP_SHELL = [
   '/',
   '/index.html',
@@ -65,6 +76,11 @@ self.addEventListener('fetch', (event) => {
     return;
   }
   
+  // Requests that opt out of caching (dev file watcher, lightplan reload) go to the network
+  if (request.cache === 'no-store') {
+    return;
+  }
+  
   // Determine caching strategy based on file type
   const ext = url.pathname.split('.').pop().toLowerCase();
   
@@ -79,7 +95,7 @@ self.addEventListener('fetch', (event) => {
   
   if (cacheFirstExts.includes(ext)) {
     // Cache-first strategy for assets
-    event.respondWith(cacheFirst(request));
+    event.respondWith(cacheFirst(event));
   } else if (swrExts.includes(ext)) {
     // Stale-while-revalidate for JSON
     event.respondWith(staleWhileRevalidate(request));
@@ -88,27 +104,42 @@ self.addEventListener('fetch', (event) => {
     event.respondWith(fetch(request));
   } else {
     // Default: try cache, fallback to network
-    event.respondWith(cacheFirst(request));
+    event.respondWith(cacheFirst(event));
   }
 });
 
 /**
  * Cache-first strategy: check cache, fallback to network
+ *
+ * Files downloaded with Download Assets have metadata in IndexedDB. Once a day they are revalidated
+ * with a conditional request on the ETag / Last-Modified recorded there, which costs no body while
+ * unchanged; a changed file replaces the cached one. Serving one also marks it used, so the page
+ * evicts the least recently used assets first.
  */
-async function cacheFirst(request) {
+async function cacheFirst(event) {
+  const { request } = event;
   const cache = await caches.open(CACHE_VERSION);
   const cached = await cache.match(request);
   
   if (cached) {
+    const meta = await getAssetMeta(request.url);
+    
+    if (meta && isStale(meta)) {
+      return revalidate(event, cache, cached, meta);
+    }
+    
     console.log('[SW] Serving from cache:', request.url);
+    if (meta) {
+      event.waitUntil(touchAssetMeta(meta));
+    }
     return cached;
   }
   
   try {
     const response = await fetch(request);
     
-    // Cache successful responses
-    if (response.ok) {
+    // Cache successful responses (not partial ones, which Cache Storage refuses)
+    if (response.ok && response.status !== 206) {
       console.log('[SW] Caching new resource:', request.url);
       cache.put(request, response.clone());
     }
@@ -120,6 +151,179 @@ async function cacheFirst(request) {
   }
 }
 
+/**
+ * Whether a downloaded asset is due for revalidation (never without validators to send)
+ */
+function isStale(meta) {
+  if (!meta.etag && !meta.lastModified) {
+    return false;
+  }
+  return Date.now() - (meta.checked || meta.downloaded || 0) >= REVALIDATE_INTERVAL;
+}
+
+/**
+ * Ask the server whether a downloaded asset changed: serve the cached file when it did not (or the
+ * server cannot be reached), else cache and serve the new one and update its metadata
+ */
+async function revalidate(event, cache, cached, meta) {
+  const { request } = event;
+  const headers = new Headers();
+  if (meta.etag) headers.set('If-None-Match', meta.etag);
+  if (meta.lastModified) headers.set('If-Modified-Since', meta.lastModified);
+  
+  let response;
+  try {
+    // Built from the URL: navigation requests cannot be copied
+    response = await fetch(request.url, {
+      headers,
+      cache: 'no-store',
+      credentials: request.credentials,
+    });
+  } catch (error) {
+    console.log('[SW] Offline, serving from cache:', request.url);
+    return cached;
+  }
+  
+  const now = Date.now();
+  
+  if (isSameFile(response, meta)) {
+    console.log('[SW] Serving from cache (not modified):', request.url);
+    if (response.body) {
+      response.body.cancel();
+    }
+    event.waitUntil(
+      updateAssetMeta(meta.url, (item) => ({ ...item, checked: now, timestamp: now }))
+    );
+    return cached;
+  }
+  
+  if (!response.ok || response.status === 206) {
+    console.warn('[SW] Revalidation failed, serving from cache:', request.url, response.status);
+    return cached;
+  }
+  
+  console.log('[SW] Asset changed, replacing cached copy:', request.url);
+  const length = parseInt(response.headers.get('content-length') || '0', 10);
+  
+  event.waitUntil(
+    cache.put(request, response.clone()).then(() =>
+      // The new file has not been hashed: the page verifies it before trusting a digest
+      updateAssetMeta(meta.url, ({ sha256, verified, ...item }) => ({
+        ...item,
+        size: length || item.size,
+        contentType: response.headers.get('content-type') || item.contentType,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        downloaded: now,
+        checked: now,
+        timestamp: now,
+      }))
+    )
+  );
+  
+  return response;
+}
+
+/**
+ * Whether a revalidation response means the cached file is current: 304 Not Modified, or a full
+ * response carrying the recorded validator when the server ignores the condition
+ */
+function isSameFile(response, meta) {
+  if (response.status === 304) {
+    return true;
+  }
+  if (!response.ok) {
+    return false;
+  }
+  
+  const etag = response.headers.get('etag');
+  const lastModified = response.headers.get('last-modified');
+  
+  if (etag && meta.etag) return etag === meta.etag;
+  return Boolean(lastModified && lastModified === meta.lastModified);
+}
+
+/**
+ * Refresh the last-used timestamp of a downloaded asset, at most once per TOUCH_INTERVAL
+ */
+function touchAssetMeta(meta) {
+  const now = Date.now();
+  if (now - meta.timestamp < TOUCH_INTERVAL) {
+    return Promise.resolve();
+  }
+  
+  return updateAssetMeta(meta.url, (item) =>
+    now - item.timestamp >= TOUCH_INTERVAL ? { ...item, timestamp: now } : false
+  );
+}
+
+/**
+ * Metadata of a downloaded asset, or null. Keys are the URLs as assets.json gives them, so the
+ * absolute URL and its path are looked up.
+ */
+async function getAssetMeta(url) {
+  const { href, origin, pathname, search } = new URL(url);
+  const keys = origin === self.location.origin ? [href, pathname + search] : [href];
+  
+  const requests = await metaTransaction('readonly', (store) => keys.map((key) => store.get(key)));
+  const found = requests && requests.find((request) => request.result);
+  return found ? found.result : null;
+}
+
+/**
+ * Rewrite a complete asset's metadata record with `update(item)`, which may return false to leave
+ * it as is. The record is read again in the write transaction, so page writes are not lost.
+ */
+function updateAssetMeta(key, update) {
+  return metaTransaction('readwrite', (store) => {
+    const request = store.get(key);
+    request.onsuccess = () => {
+      const item = request.result;
+      const next = item && !item.partial && update(item);
+      if (next) {
+        store.put(next);
+      }
+    };
+  });
+}
+
+/**
+ * Run `run(store)` in a transaction on the asset metadata store. Resolves with what `run` returned
+ * once the transaction completes, or null when it fails or the page has not created the store.
+ */
+function metaTransaction(mode, run) {
+  return new Promise((resolve) => {
+    const open = indexedDB.open(DB_NAME);
+    
+    open.onerror = () => resolve(null);
+    
+    // The page creates the database with its stores; never create an empty one here
+    open.onupgradeneeded = () => open.transaction.abort();
+    
+    open.onsuccess = () => {
+      const db = open.result;
+      
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.close();
+        resolve(null);
+        return;
+      }
+      
+      const transaction = db.transaction([META_STORE], mode);
+      const result = run(transaction.objectStore(META_STORE));
+      
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(result);
+      };
+      transaction.onerror = transaction.onabort = () => {
+        db.close();
+        resolve(null);
+      };
+    };
+  });
+}
+
 /**
  * Stale-while-revalidate: serve from cache, update in background
  */
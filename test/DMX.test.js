@@ -0,0 +1,88 @@
+/**
+ * Relay connections: reconnecting while the relay is away, and staying closed once closed
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket, WebSocketServer } from 'ws';
+import { DMXOutput, DMXInput } from '../src/DMX.js';
+
+// The browser WebSocket the relay connections use
+globalThis.WebSocket = WebSocket;
+
+const RECONNECT_DELAY = 50;
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await wait(10);
+  }
+}
+
+/**
+ * A relay that counts connections and can drop them (as when it restarts)
+ */
+async function createRelayStub(t) {
+  const server = new WebSocketServer({ port: 0 });
+  await new Promise((resolve) => server.once('listening', resolve));
+  const relay = { opens: 0, url: `ws://localhost:${server.address().port}` };
+  server.on('connection', () => relay.opens++);
+  relay.dropClients = () => {
+    for (const client of server.clients) client.terminate();
+  };
+
+  t.after(() => {
+    relay.dropClients();
+    return new Promise((resolve) => server.close(resolve));
+  });
+  return relay;
+}
+
+/**
+ * Connect, then have the relay drop the connection so a reconnect is pending
+ */
+async function dropConnection(connection, relay) {
+  connection.connect();
+  await waitFor(() => connection.connected && relay.opens === 1);
+
+  connection.reconnectDelay = RECONNECT_DELAY;
+  relay.dropClients();
+  await waitFor(() => !connection.connected);
+  assert.ok(connection.reconnectTimer, 'a reconnect is pending');
+}
+
+// Stopping DMX input while the relay is down must stop it: a connection that came back would
+// keep driving fixtures from the desk
+for (const [name, Connection] of [
+  ['DMXOutput', DMXOutput],
+  ['DMXInput', DMXInput],
+]) {
+  test(`${name} reconnects after the relay drops it`, async (t) => {
+    const relay = await createRelayStub(t);
+    const connection = new Connection({ relayUrl: relay.url });
+    t.after(() => connection.close());
+
+    await dropConnection(connection, relay);
+    await waitFor(() => relay.opens === 2);
+  });
+
+  test(`${name} stays closed when closed while a reconnect is pending`, async (t) => {
+    const relay = await createRelayStub(t);
+    const connection = new Connection({ relayUrl: relay.url });
+
+    await dropConnection(connection, relay);
+    connection.close();
+
+    await wait(RECONNECT_DELAY * 10);
+    assert.equal(relay.opens, 1);
+    assert.equal(connection.closed, true);
+    assert.equal(connection.socket, null);
+  });
+}
@@ -0,0 +1,110 @@
+/**
+ * Art-Net / sACN packets: encoder -> decoder round trips, and relay -> fake receiver over UDP
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket } from 'ws';
+import {
+  DMX_CHANNELS,
+  encodeArtDmx,
+  decodeArtDmx,
+  encodeSacnData,
+  decodeSacnData,
+  decodeDmxPacket,
+  isArtNet,
+  isSacn,
+} from '../src/DMXProtocol.js';
+import { createRelay } from '../relay/dmx-relay.js';
+import { createFakeReceiver } from '../relay/fake-receiver.js';
+
+const cid = Uint8Array.from({ length: 16 }, (_, index) => index + 1);
+
+function channels(count) {
+  return Uint8Array.from({ length: count }, (_, index) => (index * 7) & 0xff);
+}
+
+test('ArtDmx round trip keeps universe, sequence and data', () => {
+  const data = channels(DMX_CHANNELS);
+  const packet = encodeArtDmx(0x1234, data, 42);
+
+  assert.ok(isArtNet(packet));
+  assert.equal(packet.length, 18 + DMX_CHANNELS);
+  assert.deepEqual(decodeArtDmx(packet), {
+    protocol: 'artnet',
+    universe: 0x1234,
+    sequence: 42,
+    data,
+  });
+});
+
+test('ArtDmx pads odd lengths to even and caps data at 512 channels', () => {
+  const odd = decodeArtDmx(encodeArtDmx(1, channels(3)));
+  assert.deepEqual(odd.data, Uint8Array.from([...channels(3), 0]));
+
+  const long = decodeArtDmx(encodeArtDmx(1, channels(600)));
+  assert.equal(long.data.length, DMX_CHANNELS);
+});
+
+test('sACN round trip keeps universe, sequence, priority, source name and data', () => {
+  const data = channels(DMX_CHANNELS);
+  const packet = encodeSacnData(7, data, { cid, sourceName: 'Test', sequence: 200, priority: 150 });
+
+  assert.ok(isSacn(packet));
+  assert.deepEqual(decodeSacnData(packet), {
+    protocol: 'sacn',
+    universe: 7,
+    sequence: 200,
+    priority: 150,
+    sourceName: 'Test',
+    data,
+  });
+});
+
+test('decodeDmxPacket picks the protocol and rejects other packets', () => {
+  assert.equal(decodeDmxPacket(encodeArtDmx(3, channels(8))).protocol, 'artnet');
+  assert.equal(decodeDmxPacket(encodeSacnData(3, channels(8), { cid })).protocol, 'sacn');
+  assert.equal(decodeDmxPacket(new Uint8Array(64)), null);
+
+  // An sACN packet with a non-DMX start code
+  const packet = encodeSacnData(3, channels(8), { cid });
+  packet[125] = 0xdd;
+  assert.equal(decodeSacnData(packet), null);
+});
+
+test('relay forwards packets to the fake receiver with both on their default hosts', async (t) => {
+  // Ports off the standard ones so a real node or desk on this machine is not disturbed
+  const artnetPort = 16454;
+  const sacnPort = 15568;
+
+  const receiver = await createFakeReceiver({ artnetPort, sacnPort });
+  t.after(() => receiver.close());
+
+  const relay = await createRelay({ port: 0, artnetPort, sacnPort });
+  t.after(() => relay.close());
+
+  const socket = new WebSocket(`ws://localhost:${relay.port}`);
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  t.after(() => socket.close());
+
+  const artnet = channels(16);
+  const sacn = channels(24);
+  socket.send(encodeArtDmx(0, artnet, 1));
+  socket.send(encodeSacnData(1, sacn, { cid, sequence: 1 }));
+
+  const deadline = Date.now() + 2000;
+  while (receiver.packets.length < 2 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  const byProtocol = Object.fromEntries(
+    receiver.packets.map((packet) => [packet.protocol, packet])
+  );
+  assert.deepEqual(byProtocol.artnet && byProtocol.artnet.data, Array.from(artnet));
+  assert.deepEqual(byProtocol.sacn && byProtocol.sacn.data, Array.from(sacn));
+});
@@ -0,0 +1,36 @@
+/**
+ * Incremental SHA-256 against node:crypto, whole and fed in uneven pieces
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { Sha256 } from '../src/Sha256.js';
+
+function bytes(count) {
+  return Uint8Array.from({ length: count }, (_, index) => (index * 31 + 7) & 0xff);
+}
+
+function expected(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+test('digest matches node:crypto across the padding boundaries', () => {
+  for (const size of [0, 1, 55, 56, 63, 64, 65, 119, 120, 1000]) {
+    const data = bytes(size);
+    const hash = new Sha256();
+    hash.update(data);
+    assert.equal(hash.digest(), expected(data), `${size} bytes`);
+  }
+});
+
+test('pieces of any size give the digest of the whole', () => {
+  const data = bytes(5000);
+  const hash = new Sha256();
+  for (let offset = 0, size = 1; offset < data.length; offset += size, size = (size * 3) % 97) {
+    hash.update(data.subarray(offset, offset + size));
+  }
+  assert.equal(hash.digest(), expected(data));
+});